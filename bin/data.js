@@ -0,0 +1,36 @@
+import { readFileSync, statSync, existsSync } from 'node:fs'
+import { join, extname } from 'node:path'
+import {
+  ParseError, REQUIRED_SHEETS, OPTIONAL_SHEETS, xlsxSheets, csvSheets, jsonSheets,
+} from '../src/lib/parse.js'
+import { DataSourceError } from '../src/lib/sources.js'
+
+// ─── Reading game data from disk ──────────────────────────────────────────────
+// Shared by the bin/ scripts. Same three kinds as the site's data sources,
+// told apart by the path: a directory of CSVs, a .json export, or a workbook.
+
+export const DEFAULT_DATA = join('public', 'Game Tracking.xlsx')
+
+// → sheet(name) lookup, as the browser's loadSource would build it.
+export const readSheets = (path) => {
+  if (!existsSync(path)) throw new DataSourceError(path, 'no such file or directory')
+
+  if (statSync(path).isDirectory()) {
+    const files = {}
+    for (const sheet of [...REQUIRED_SHEETS, ...OPTIONAL_SHEETS]) {
+      const file = join(path, `${sheet}.csv`)
+      if (existsSync(file)) files[sheet] = readFileSync(file, 'utf8').replace(/^\ufeff/, '')
+    }
+    return csvSheets(files)
+  }
+
+  if (extname(path).toLowerCase() === '.json') {
+    try {
+      return jsonSheets(JSON.parse(readFileSync(path, 'utf8')))
+    } catch (err) {
+      throw err instanceof ParseError ? err : new ParseError(`invalid JSON (${err.message})`)
+    }
+  }
+
+  return xlsxSheets(readFileSync(path))
+}
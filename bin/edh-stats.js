@@ -0,0 +1,141 @@
+#!/usr/bin/env node
+import { readFileSync, writeFileSync, existsSync } from 'node:fs'
+import { join } from 'node:path'
+import { parseArgs } from 'node:util'
+import { readSheets, DEFAULT_DATA } from './data.js'
+import { parseSheets } from '../src/lib/parse.js'
+import { DataSourceError } from '../src/lib/sources.js'
+import { validateSheets } from '../src/lib/validate.js'
+import { summarize, mergeSeasons, DECK_SORTS } from '../src/lib/engine.js'
+import { renderReport, FORMATS, SECTIONS } from '../src/lib/report.js'
+import { deckDashboardCSV } from '../src/lib/csv.js'
+import { commanderCard } from '../src/lib/scryfall.js'
+import { ALL_TIME, parseDay } from '../src/lib/period.js'
+import { SEASONS } from '../src/config.js'
+
+// ─── edh-stats ────────────────────────────────────────────────────────────────
+// The dashboard's numbers in a terminal. Reads the same data the site does and
+// prints standings, deck tables and superlatives, or regenerates games.csv.
+
+const USAGE = `Usage: edh-stats [data] [options]
+
+  data                  workbook (.xlsx), JSON export (.json) or a directory of
+                        per-sheet CSVs (default: public/Game Tracking.xlsx)
+
+  -f, --format <fmt>    ${FORMATS.join(' | ')} (default: text)
+  -s, --sections <list> comma-separated: ${SECTIONS.join(', ')} (default: all)
+      --sort <key>      deck order: ${DECK_SORTS.join(', ')} (default: games)
+      --top <n>         decks to list, 0 for all (default: 10)
+
+      --period <kind>   all | month | 90d (default: all)
+      --year <yyyy>     only games in that year
+      --season <name>   only games in a season from config.js or the Seasons sheet
+      --from <date>     only games on or after YYYY-MM-DD
+      --to <date>       only games on or before YYYY-MM-DD
+
+      --cards <file>    card bundle for color stats (default: public/cards.json,
+                        written by \`npm run cards\`; skipped if absent)
+      --csv <file>      also write the Deck Dashboard CSV (e.g. public/games.csv)
+  -q, --quiet           don't print the report (with --csv)
+  -h, --help            show this help
+`
+
+const fail = (message) => {
+  process.stderr.write(`edh-stats: ${message}\n`)
+  process.exit(1)
+}
+
+const periodFrom = (values) => {
+  if (values.from || values.to) {
+    const start = parseDay(values.from)
+    const end   = parseDay(values.to)
+    if ((values.from && isNaN(start)) || (values.to && isNaN(end))) fail('--from/--to need YYYY-MM-DD dates')
+    return { kind: 'custom', start, end }
+  }
+  if (values.season) return { kind: 'season', season: values.season }
+  if (values.year) {
+    if (!/^\d{4}$/.test(values.year)) fail(`--year needs a four-digit year, got “${values.year}”`)
+    return { kind: 'year', year: Number(values.year) }
+  }
+  if (!values.period || values.period === 'all') return ALL_TIME
+  if (!['month', '90d'].includes(values.period)) fail(`unknown --period “${values.period}” (use all, month or 90d)`)
+  return { kind: values.period }
+}
+
+const main = () => {
+  let parsed
+  try {
+    parsed = parseArgs({
+      allowPositionals: true,
+      options: {
+        format:   { type: 'string', short: 'f', default: 'text' },
+        sections: { type: 'string', short: 's', default: SECTIONS.join(',') },
+        sort:     { type: 'string', default: 'games' },
+        top:      { type: 'string', default: '10' },
+        period:   { type: 'string' },
+        year:     { type: 'string' },
+        season:   { type: 'string' },
+        from:     { type: 'string' },
+        to:       { type: 'string' },
+        cards:    { type: 'string', default: join('public', 'cards.json') },
+        csv:      { type: 'string' },
+        quiet:    { type: 'boolean', short: 'q' },
+        help:     { type: 'boolean', short: 'h' },
+      },
+    })
+  } catch (err) {
+    fail(`${err.message}\n\n${USAGE}`)
+  }
+  const { values, positionals } = parsed
+  if (values.help) return process.stdout.write(USAGE)
+
+  const format   = values.format === 'markdown' ? 'md' : values.format
+  const sections = values.sections.split(',').map(s => s.trim()).filter(Boolean)
+  const top      = Number(values.top)
+  if (!FORMATS.includes(format)) fail(`unknown --format “${values.format}” (use ${FORMATS.join(', ')})`)
+  if (!DECK_SORTS.includes(values.sort)) fail(`unknown --sort “${values.sort}” (use ${DECK_SORTS.join(', ')})`)
+  const unknown = sections.filter(s => !SECTIONS.includes(s))
+  if (unknown.length) fail(`unknown section “${unknown[0]}” (use ${SECTIONS.join(', ')})`)
+  if (!Number.isInteger(top) || top < 0) fail(`--top needs a whole number, got “${values.top}”`)
+
+  const path = positionals[0] ?? DEFAULT_DATA
+  let model
+  let issues
+  try {
+    const lookup = readSheets(path)
+    model  = parseSheets(lookup)
+    issues = validateSheets(lookup)
+  } catch (err) {
+    fail(err instanceof DataSourceError ? err.message : `${path}: ${err.message}`)
+  }
+
+  // Data problems don't stop the report, but shouldn't pass unnoticed either.
+  issues.forEach(i => process.stderr.write(`${i.severity}: ${i.sheet} row ${i.row}: ${i.message}\n`))
+
+  const period  = periodFrom(values)
+  const seasons = mergeSeasons(SEASONS)
+  if (period.kind === 'season' && ![...seasons, ...model.seasons].some(s => s.name === period.season)) {
+    fail(`no season named “${period.season}”`)
+  }
+  // Colors come from the resolve-cards bundle when there is one.
+  let colorsOf
+  if (existsSync(values.cards)) {
+    try {
+      const { cards = {}, missing = {} } = JSON.parse(readFileSync(values.cards, 'utf8'))
+      colorsOf = (commander) => commanderCard(commander, { cards, missing, failed: {} })?.colors
+    } catch (err) {
+      fail(`${values.cards}: ${err.message}`)
+    }
+  }
+  const summary = summarize(model, { period, seasons, colorsOf })
+
+  if (values.csv) {
+    writeFileSync(values.csv, deckDashboardCSV(summary.decks))
+    process.stderr.write(`wrote ${values.csv} (${summary.decks.length} decks)\n`)
+  }
+  if (!values.quiet) {
+    process.stdout.write(renderReport(summary, { format, sections, sort: values.sort, top }))
+  }
+}
+
+main()
@@ -0,0 +1,58 @@
+#!/usr/bin/env node
+import { writeFileSync } from 'node:fs'
+import { join } from 'node:path'
+import { parseArgs } from 'node:util'
+import { readSheets, DEFAULT_DATA } from './data.js'
+import { parseSheets } from '../src/lib/parse.js'
+import { cardNames, resolveCards, scryfallFetcher } from '../src/lib/scryfall.js'
+
+// ─── resolve-cards ────────────────────────────────────────────────────────────
+// Optional build step: looks every commander up on Scryfall once and writes
+// public/cards.json, which the site reads before touching its cache or the
+// network. With it, art and colors appear immediately and survive Scryfall
+// being down. Unknown names are listed and recorded in the bundle's `missing`.
+
+const USAGE = `Usage: resolve-cards [data] [--out file]
+
+  data          workbook, JSON export or CSV directory (default: ${DEFAULT_DATA})
+  -o, --out     where to write the bundle (default: public/cards.json)
+      --strict  exit 1 if any card name can't be resolved
+  -h, --help    show this help
+`
+
+const main = async () => {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      out:    { type: 'string', short: 'o', default: join('public', 'cards.json') },
+      strict: { type: 'boolean' },
+      help:   { type: 'boolean', short: 'h' },
+    },
+  })
+  if (values.help) return process.stdout.write(USAGE)
+
+  const { decks } = parseSheets(readSheets(positionals[0] ?? DEFAULT_DATA))
+  const names     = cardNames(decks.map(d => d.commander))
+
+  process.stderr.write(`resolving ${names.length} cards…\n`)
+  const { cards, missing, failed } = await resolveCards(names, {
+    fetchCard: scryfallFetcher(fetch, {
+      headers: { 'User-Agent': 'edh-dashboard/resolve-cards', Accept: 'application/json' },
+    }),
+  })
+
+  writeFileSync(values.out, JSON.stringify({ generated: new Date().toISOString(), cards, missing }, null, 2) + '\n')
+  process.stderr.write(`wrote ${values.out} (${Object.keys(cards).length} cards)\n`)
+
+  const problems = [
+    ...Object.entries(missing).map(([name, reason]) => `not found: ${name} — ${reason}`),
+    ...Object.entries(failed).map(([name, reason]) => `failed: ${name} — ${reason}`),
+  ]
+  problems.forEach(p => process.stderr.write(`${p}\n`))
+  if (values.strict && problems.length) process.exitCode = 1
+}
+
+main().catch(err => {
+  process.stderr.write(`resolve-cards: ${err.message}\n`)
+  process.exit(1)
+})
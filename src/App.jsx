@@ -1,164 +1,55 @@
-import { useState, useEffect, useMemo } from 'react'
-import * as XLSX from 'xlsx'
+import { useState, useEffect, useMemo, useRef } from 'react'
 import {
   BarChart, Bar, XAxis, YAxis, Tooltip,
   ResponsiveContainer,
 } from 'recharts'
-
-// ─── Helpers ─────────────────────────────────────────────────────────────────
-
-const winRate = (wins, games) =>
-  games === 0 ? 0 : Math.round((wins / games) * 100)
-
-// Convert an Excel date serial number to a JS Date.
-// Excel's epoch is Jan 1 1900; Unix epoch is Jan 1 1970 (25569 days later).
-const excelDateToJS = (serial) =>
-  serial ? new Date(Math.round((serial - 25569) * 86400 * 1000)) : null
-
-const parseXLSX = (buffer) => {
-  const wb = XLSX.read(new Uint8Array(buffer), { type: 'array' })
-
-  const sheet = (name) => XLSX.utils.sheet_to_json(wb.Sheets[name] ?? {})
-
-  // ── Players sheet → ordered player list ──────────────────────────────────
-  const players = sheet('Players')
-    .map(r => r.PlayerName?.trim())
-    .filter(Boolean)
-
-  // ── Game Players sheet → per-deck aggregates (source of truth) ───────────
-  // Each row is one player's result in one game session.
-  const deckStats = {}
-  sheet('Game Players').forEach(({ DeckID, WinFlag }) => {
-    if (!DeckID) return
-    if (!deckStats[DeckID]) deckStats[DeckID] = { games: 0, wins: 0, losses: 0 }
-    deckStats[DeckID].games++
-    deckStats[DeckID].wins   += WinFlag === 1 ? 1 : 0
-    deckStats[DeckID].losses += WinFlag === 0 ? 1 : 0
-  })
-
-  // ── Decks sheet → metadata joined with computed stats ────────────────────
-  const decks = sheet('Decks').map(row => ({
-    id:          String(row.DeckID ?? '').trim(),
-    commander:   row.Commander?.trim()  ?? '—',
-    player:      row.PlayerName?.trim() ?? '—',
-    themes:      row.Theme
-                   ? row.Theme.split(',').map(t => t.trim()).filter(Boolean)
-                   : [],
-    power:       row.EstPower           ?? null,
-    // Add an ArchidektID column to the Decks sheet to enable deck links.
-    archidektId: row.ArchidektID != null ? String(row.ArchidektID).trim() : null,
-    ...(deckStats[row.DeckID] ?? { games: 0, wins: 0, losses: 0 }),
-  }))
-
-  // ── Games sheet → session metadata ───────────────────────────────────────
-  // Each row is one pod session (multiple players/decks per session).
-  const sessions = sheet('Games').map(row => ({
-    id:       row.GameID,
-    date:     excelDateToJS(row.Date),
-    location: row.Location?.trim() || null,
-    players:  row.TotalPlayers ?? 0,
-    notes:    row.Notes?.trim() || null,
-  }))
-
-  return { decks, players, sessions }
-}
-
-// ─── Hooks ────────────────────────────────────────────────────────────────────
-
-// Animates a number from 0 → target with eased motion, starting after `delay` ms.
-// Returns the target unchanged if it is not a number.
-function useCountUp(target, delay = 0) {
-  const isNum = typeof target === 'number'
-  const [value, setValue] = useState(isNum ? 0 : target)
-
-  useEffect(() => {
-    setValue(isNum ? 0 : (target ?? '—'))
-
-    if (!isNum) return
-
-    const timeout = setTimeout(() => {
-      const duration = 900
-      const start = performance.now()
-
-      const tick = (now) => {
-        const progress = Math.min((now - start) / duration, 1)
-        const eased    = 1 - Math.pow(1 - progress, 4) // ease-out quart
-        setValue(Math.round(eased * target))
-        if (progress < 1) requestAnimationFrame(tick)
-      }
-
-      requestAnimationFrame(tick)
-    }, delay)
-
-    return () => clearTimeout(timeout)
-  }, [target, delay, isNum])
-
-  return value
-}
+import { PlayerPill, SortableTh, SortButton, Toggle } from './components/controls.jsx'
+import GameLog from './components/GameLog.jsx'
+import HeadToHead from './components/HeadToHead.jsx'
+import RatingChart from './components/RatingChart.jsx'
+import TrendChart from './components/TrendChart.jsx'
+import ColorStats from './components/ColorStats.jsx'
+import { ManaPips } from './components/ColorIdentity.jsx'
+import ThemeStats from './components/ThemeStats.jsx'
+import PodStats from './components/PodStats.jsx'
+import ThemeChips from './components/ThemeChips.jsx'
+import PeriodFilter from './components/PeriodFilter.jsx'
+import DeckPage from './components/DeckPage.jsx'
+import PlayerPage from './components/PlayerPage.jsx'
+import LogGame from './components/LogGame.jsx'
+import PodBuilder from './components/PodBuilder.jsx'
+import ExportPanel from './components/ExportPanel.jsx'
+import AchievementFeed, { Badges } from './components/Achievements.jsx'
+import PodComparison from './components/PodComparison.jsx'
+import WhatsNew from './components/WhatsNew.jsx'
+import DataHealth, { issueSummary } from './components/DataHealth.jsx'
+import { AboveExpected, CountUp, StatCard, WinBar } from './components/StatCard.jsx'
+import {
+  useRoute, homeHref, logHref, podsHref, deckHref, playerHref, podHref, combinedHref,
+} from './hooks/useRoute.js'
+import { useDeckView } from './hooks/useDeckView.js'
+import { buildGames } from './lib/games.js'
+import { replayRatings } from './lib/ratings.js'
+import { adjustedWinRate, withDeckStats } from './lib/stats.js'
+import {
+  mergeSeasons, gamesInPeriod, playerStandings, rankStandings, filterDecks, sortDecks, defaultDirection, superlatives,
+} from './lib/engine.js'
+import { superlativeRows } from './lib/report.js'
+import { shareCardModel } from './lib/shareCard.js'
+import { evaluateAchievements, achievementBadges } from './lib/achievements.js'
+import { findPod } from './lib/pods.js'
+import { visitSnapshot, changesSince, loadSnapshot, saveSnapshot } from './lib/lastVisit.js'
+import { ALL_TIME, gameYears, periodLabel, periodWatermark } from './lib/period.js'
+import { DEFAULT_VIEW, colorFilter, isFiltered, toggleIn } from './lib/deckView.js'
+import { COLOR_NAME, COLOR_ORDER } from './lib/colors.js'
+import {
+  cardNames, commanderCard, createCardCache, fetchCardBundle, failedCardIssues, missingCardIssues, resolveCards, scryfallFetcher,
+} from './lib/scryfall.js'
+import { DataSourceError, resolveSource, loadSource, refreshSource, modelFingerprint } from './lib/sources.js'
+import { SEASONS, PODS, REFRESH_SECONDS } from './config.js'
 
 // ─── Sub-components ───────────────────────────────────────────────────────────
 
-function StatCard({ label, value, sub, suffix = '', delay = 0 }) {
-  // Animate numeric values; strings (player names) just display immediately.
-  const animated = useCountUp(value, delay + 80)
-
-  return (
-    <div className="stat-card fade-up" style={{ animationDelay: `${delay}ms` }}>
-      <div className="stat-label">{label}</div>
-      <div className="stat-value">{animated}{suffix}</div>
-      {sub && <div className="stat-sub">{sub}</div>}
-    </div>
-  )
-}
-
-function PlayerPill({ player, active, onClick }) {
-  return (
-    <button
-      onClick={onClick}
-      className={`player-pill${active ? ' active' : ''}`}
-    >
-      {player}
-    </button>
-  )
-}
-
-function SortButton({ label, active, onClick }) {
-  return (
-    <button onClick={onClick} className={`sort-btn${active ? ' active' : ''}`}>
-      {label}
-    </button>
-  )
-}
-
-function Toggle({ label, checked, onChange }) {
-  return (
-    <label className="toggle-wrap">
-      <button
-        role="switch"
-        aria-checked={checked}
-        className={`toggle-track${checked ? ' on' : ''}`}
-        onClick={onChange}
-      >
-        <span className="toggle-thumb" />
-      </button>
-      <span className="toggle-label">{label}</span>
-    </label>
-  )
-}
-
-function WinBar({ wins, games }) {
-  const wr = winRate(wins, games)
-  if (games === 0) return <span className="win-dash">—</span>
-  return (
-    <div className="winbar">
-      <div className="winbar-track">
-        <div className="winbar-fill" style={{ width: `${wr}%` }} />
-      </div>
-      <span className="winbar-pct">{wr}%</span>
-    </div>
-  )
-}
-
 function CustomTooltip({ active, payload, label }) {
   if (!active || !payload?.length) return null
   return (
@@ -177,130 +68,302 @@ function CustomTooltip({ active, payload, label }) {
 // ─── Main App ─────────────────────────────────────────────────────────────────
 
 export default function App() {
-  const [decks, setDecks]           = useState([])
+  const [allDecks, setDecks]        = useState([])
   const [players, setPlayers]       = useState([])
   const [sessions, setSessions]     = useState([])
+  const [gamePlayers, setGamePlayers] = useState([])
+  const [sheetSeasons, setSeasons]  = useState([])
+  const [period, setPeriod]         = useState(ALL_TIME)
   const [loading, setLoading]       = useState(true)
-  const [activePlayer, setActive]   = useState('All')
-  const [deckSort, setSort]         = useState('games')
-  const [showUnplayed, setUnplayed] = useState(false)
+  const [loadError, setLoadError]   = useState(null) // DataSourceError
+  const [source, setSource]         = useState(null) // { type, path } actually loaded
+  const [sheetIssues, setIssues]    = useState([])   // data-health findings, see lib/validate.js
   const [cardImages, setCardImages] = useState({}) // { commanderName → art_crop URL }
   const [cardColors, setCardColors] = useState({}) // { commanderName → color_identity [] }
+  const [cardFaces, setCardFaces]   = useState({}) // { commanderName → full card image URLs [] }
+  const [missingCards, setMissingCards] = useState({}) // { cardName → why Scryfall couldn't match it }
+  const [failedCards, setFailedCards] = useState({})   // { cardName → why the lookup itself failed }
+  const [cardsSettled, setCardsSettled] = useState(false) // card lookups have finished, or given up
+  const [refreshedAt, setRefreshedAt] = useState(null) // when polling last brought in new data
+  const [lastVisit, setLastVisit]   = useState(null) // snapshot the "new since" card compares against
+  const [logPlayer, setLogPlayer]   = useState('All') // the Game Log's player filter, which its export follows
+  const validators = useRef({}) // ETag / Last-Modified per file, for the next refresh
+  const shown      = useRef(null) // modelFingerprint of the data on screen
+  const route = useRoute()
+  const [deckView, updateView] = useDeckView() // deck table filters + sort, kept in the URL
+  const scrollTarget = useRef(null) // element id to bring into view once home renders
+
+  // The pod in the URL, or the first one. Switching pods reloads the data.
+  const pod = findPod(PODS, route.pod)
+
+  // Puts a freshly loaded model on screen, on the first load and on refreshes.
+  const applyModel = (model) => {
+    setDecks(model.decks)
+    setPlayers(model.players)
+    setSessions(model.sessions)
+    setGamePlayers(model.gamePlayers)
+    setSeasons(model.seasons)
+    setIssues(model.issues)
+    validators.current = model.validators
+    shown.current      = modelFingerprint(model)
+  }
 
   useEffect(() => {
-    fetch(import.meta.env.BASE_URL + 'Game Tracking.xlsx')
-      .then(r => r.arrayBuffer())
-      .then(buf => {
-        const { decks, players, sessions } = parseXLSX(buf)
-        setDecks(decks)
-        setPlayers(players)
-        setSessions(sessions)
+    let stale = false
+    setLoading(true)
+    setLoadError(null)
+    Promise.resolve()
+      .then(() => {
+        if (!pod) throw new DataSourceError(`#/pod/${route.pod}`, 'no pod with this id (see PODS in config.js)')
+        return resolveSource(pod.source, window.location.search)
+      })
+      .then(source => {
+        setSource(source)
+        return loadSource(source, { baseUrl: import.meta.env.BASE_URL })
+      })
+      .then(model => {
+        if (stale) return
+        applyModel(model)
+        setLastVisit(loadSnapshot(pod.id))
+        setRefreshedAt(null)
         setLoading(false)
       })
-      .catch(() => setLoading(false))
-  }, [])
+      .catch(err => {
+        if (stale) return
+        setLoadError(err)
+        setLoading(false)
+      })
+    return () => { stale = true }
+  }, [pod])
+
+  // Every REFRESH_SECONDS, and whenever the tab comes back into view, ask the
+  // host whether the data file has changed (see refreshSource). New data
+  // replaces the old in place, without the loading screen, so only the
+  // numbers that changed count to their new values; a reload that turns out
+  // identical is dropped. A failed check leaves the data on screen and tries
+  // again next time.
+  useEffect(() => {
+    if (!source || loading || !REFRESH_SECONDS) return
+    let stale = false
+    let busy  = false
+
+    const check = () => {
+      if (busy || document.hidden) return
+      busy = true
+      refreshSource(source, validators.current, { baseUrl: import.meta.env.BASE_URL })
+        .then(({ changed, model }) => {
+          if (stale || !changed) return
+          validators.current = model.validators
+          if (modelFingerprint(model) === shown.current) return
+          applyModel(model)
+          setRefreshedAt(new Date())
+        })
+        .catch(() => {})
+        .finally(() => { busy = false })
+    }
+
+    const timer = setInterval(check, REFRESH_SECONDS * 1000)
+    document.addEventListener('visibilitychange', check)
+    return () => {
+      stale = true
+      clearInterval(timer)
+      document.removeEventListener('visibilitychange', check)
+    }
+  }, [source, loading])
+
+  // Card art and color identity for every commander: bundled cards.json
+  // first, then the localStorage cache, then Scryfall for whatever is left
+  // (see lib/scryfall.js). State fills in as each batch lands. Keyed on the
+  // commander names, so a refresh without a new commander looks nothing up.
+  const commanderKey = useMemo(
+    () => [...new Set(allDecks.map(d => d.commander).filter(Boolean))].sort().join('\n'), [allDecks])
 
-  // Fetch card art from Scryfall for every unique commander.
-  // Batches of 5 concurrent requests with a 100ms pause between batches
-  // to stay within Scryfall's rate-limit guidance.
   useEffect(() => {
-    if (!decks.length) return
-
-    const unique = [...new Set(decks.map(d => d.commander).filter(Boolean))]
-    const BATCH = 5
-
-    const fetchOne = async (name) => {
-      // For partner pairs ("A / B") search only the first card name
-      const query = name.split('/')[0].split(' // ')[0].trim()
-      try {
-        const res = await fetch(
-          `https://api.scryfall.com/cards/named?fuzzy=${encodeURIComponent(query)}`
-        )
-        if (!res.ok) return null
-        const card = await res.json()
-        if (card.object === 'error') return null
-        const img =
-          card.image_uris?.art_crop ??
-          card.card_faces?.[0]?.image_uris?.art_crop ?? null
-        const colors = card.color_identity ?? []
-        return { name, img: img ?? null, colors }
-      } catch {
-        return null
-      }
+    if (!commanderKey) return
+    let stale = false
+    setCardsSettled(false)
+
+    const commanders = commanderKey.split('\n')
+    const names      = cardNames(commanders)
+    let latest = { cards: {}, missing: {}, failed: {} }
+    const apply = (result) => {
+      latest = result
+      if (stale) return
+      const images = {}, colors = {}, faces = {}
+      commanders.forEach(c => {
+        const card = commanderCard(c, result)
+        if (!card) return
+        if (card.img) images[c] = card.img
+        if (card.faces.length) faces[c] = card.faces
+        colors[c] = card.colors
+      })
+      setCardImages(images)
+      setCardColors(colors)
+      setCardFaces(faces)
+      setMissingCards(result.missing)
+      setFailedCards(result.failed)
     }
 
-    const run = async () => {
-      for (let i = 0; i < unique.length; i += BATCH) {
-        const batch = unique.slice(i, i + BATCH)
-        const results = await Promise.allSettled(batch.map(fetchOne))
-        const valid = results
-          .filter(r => r.status === 'fulfilled' && r.value)
-          .map(r => r.value)
-        const newImages = Object.fromEntries(valid.filter(v => v.img).map(v => [v.name, v.img]))
-        const newColors = Object.fromEntries(valid.map(v => [v.name, v.colors]))
-        if (Object.keys(newImages).length) setCardImages(prev => ({ ...prev, ...newImages }))
-        if (Object.keys(newColors).length) setCardColors(prev => ({ ...prev, ...newColors }))
-        if (i + BATCH < unique.length) {
-          await new Promise(r => setTimeout(r, 250))
-        }
-      }
+    // If the lookup breaks off (storage or the fetcher throwing), keep what
+    // landed and count the rest as failed, so Data Health says so.
+    fetchCardBundle(`${import.meta.env.BASE_URL}cards.json`)
+      .then(bundle => resolveCards(names, {
+        fetchCard:  scryfallFetcher(),
+        cache:      createCardCache(),
+        bundle,
+        onProgress: apply,
+      }))
+      .then(() => { if (!stale) setCardsSettled(true) })
+      .catch(err => {
+        const { cards, missing, failed } = latest
+        const unsettled = names.filter(n => !(n in cards || n in missing || n in failed))
+        apply({ cards, missing, failed: { ...failed, ...Object.fromEntries(unsettled.map(n => [n, err.message])) } })
+        if (!stale) setCardsSettled(true)
+      })
+
+    return () => { stale = true }
+  }, [commanderKey])
+
+  // Data health covers the sheets themselves, commanders Scryfall can't find
+  // and lookups that didn't get through.
+  const issues = useMemo(
+    () => [...sheetIssues, ...missingCardIssues(missingCards, allDecks), ...failedCardIssues(failedCards)],
+    [sheetIssues, missingCards, failedCards, allDecks])
+
+  const seasons = useMemo(() => mergeSeasons(SEASONS, sheetSeasons), [sheetSeasons])
+
+  // Everything below is computed from `games`, the slice of history inside
+  // the selected period.
+  const allGames = useMemo(() => buildGames(sessions, gamePlayers), [sessions, gamePlayers])
+  const games    = useMemo(() => gamesInPeriod(allGames, period, seasons), [allGames, period, seasons])
+  const decks    = useMemo(() => withDeckStats(allDecks, games), [allDecks, games])
+  const ratings  = useMemo(() => replayRatings(games), [games])
+
+  const playerStats = useMemo(
+    () => playerStandings(players, decks, ratings), [decks, players, ratings])
+
+  // The pod builder ignores the period: every game counts towards a deck's
+  // record and to how often it has been played.
+  const lifetimeDecks = useMemo(() => withDeckStats(allDecks, allGames), [allDecks, allGames])
+
+  // "New since your last visit" compares all-time data with the snapshot
+  // saved when this browser last left the pod (see lib/lastVisit.js). A
+  // first visit saves one straight away, so games that arrive while the page
+  // is open show up too.
+  const visit = useMemo(() => ({
+    games:     allGames,
+    decks:     allDecks,
+    standings: playerStandings(players, lifetimeDecks, replayRatings(allGames)),
+  }), [allGames, allDecks, players, lifetimeDecks])
+  const changes = useMemo(() => changesSince(lastVisit, visit), [lastVisit, visit])
+
+  const markVisited = () => {
+    const snapshot = visitSnapshot(visit)
+    saveSnapshot(pod.id, snapshot)
+    setLastVisit(snapshot)
+  }
+
+  useEffect(() => {
+    if (!loading && !loadError && !lastVisit) markVisited()
+  }, [loading, loadError, lastVisit])
+
+  // Leaving the page, or switching to another pod, ends the visit: save what
+  // was on screen as the next visit's starting point.
+  const visitOnScreen = useRef(null)
+  visitOnScreen.current = loading || loadError ? null : visit
+  useEffect(() => {
+    if (!pod) return
+    const save = () => visitOnScreen.current && saveSnapshot(pod.id, visitSnapshot(visitOnScreen.current))
+    window.addEventListener('pagehide', save)
+    return () => {
+      window.removeEventListener('pagehide', save)
+      save()
     }
+  }, [pod])
+
+  // Achievements replay the whole history, since a tenth game is a tenth game
+  // whatever the period; the period only picks which of them are shown.
+  const achievements = useMemo(() => evaluateAchievements(allGames), [allGames])
+  const periodAchievements = useMemo(() => {
+    const ids = new Set(games.map(g => g.id))
+    return achievements.filter(e => ids.has(e.gameId))
+  }, [achievements, games])
+  const playerBadges = useMemo(() => achievementBadges(periodAchievements, 'player'), [periodAchievements])
+  const deckBadges   = useMemo(() => achievementBadges(periodAchievements, 'deck'), [periodAchievements])
+
+  // The color filter needs card data, so it waits for the lookups to settle.
+  const colorStatus = !cardsSettled ? 'loading' : Object.keys(failedCards).length ? 'failed' : 'ready'
+  const filteredDecks = useMemo(() => sortDecks(
+    filterDecks(decks, { ...deckView, ...colorFilter(deckView, commander => cardColors[commander], colorStatus) }),
+    deckView.sort,
+    ratings,
+    deckView.dir,
+  ), [decks, deckView, cardColors, colorStatus, ratings])
+
+  const allThemes = useMemo(
+    () => [...new Set(allDecks.flatMap(d => d.themes))].sort((a, b) => a.localeCompare(b)), [allDecks])
+
+  // Column headers sort the deck table; a second click flips the direction.
+  const sortBy = (sort) => updateView(v => ({
+    sort,
+    dir: v.sort === sort ? (v.dir === 'asc' ? 'desc' : 'asc') : defaultDirection(sort),
+  }))
+
+  // Theme chips anywhere on the site filter the deck table: on the dashboard
+  // they toggle; elsewhere they switch to it with the theme added, then bring
+  // the table into view once it renders.
+  const pickTheme = (theme) => {
+    updateView(v => ({
+      themes: route.page === 'home' ? toggleIn(v.themes, theme) : [...new Set([...v.themes, theme])],
+    }))
+    scrollTarget.current = 'deck-table'
+    if (route.page !== 'home') window.location.hash = homeHref()
+  }
 
-    run()
-  }, [decks])
-
-  const playerStats = useMemo(() =>
-    players.map(player => {
-      const pd    = decks.filter(d => d.player === player)
-      const games = pd.reduce((s, d) => s + d.games, 0)
-      const wins  = pd.reduce((s, d) => s + d.wins, 0)
-      return { player, decks: pd.length, games, wins }
-    }), [decks, players])
-
-  const filteredDecks = useMemo(() => {
-    let d = activePlayer === 'All' ? decks : decks.filter(d => d.player === activePlayer)
-    if (!showUnplayed) d = d.filter(d => d.games > 0)
-    return [...d].sort((a, b) => {
-      if (deckSort === 'games')   return b.games - a.games
-      if (deckSort === 'wins')    return b.wins  - a.wins
-      if (deckSort === 'winrate') return winRate(b.wins, b.games) - winRate(a.wins, a.games)
-      return 0
-    })
-  }, [decks, activePlayer, showUnplayed, deckSort])
-
-  const topWinner   = [...playerStats].sort((a, b) => b.wins  - a.wins)[0]
-  const mostActive  = [...playerStats].sort((a, b) => b.games - a.games)[0]
-
-  // Row 2 stats — Magic-flavored
-  // Most played color: tally each color across all commanders, weighted by games played
-  const mostPlayedColor = useMemo(() => {
-    const COLOR_NAME = { W: 'White', U: 'Blue', B: 'Black', R: 'Red', G: 'Green' }
-    const tally = {}
-    decks.forEach(d => {
-      const colors = cardColors[d.commander] ?? []
-      colors.forEach(c => { tally[c] = (tally[c] ?? 0) + Math.max(d.games, 1) })
-    })
-    const top = Object.entries(tally).sort((a, b) => b[1] - a[1])[0]
-    return top ? { color: COLOR_NAME[top[0]] ?? top[0], count: top[1] } : null
-  }, [decks, cardColors])
-
-  // Most popular theme: tally each individual theme tag across all decks
-  const mostPopularTheme = useMemo(() => {
-    const tally = {}
-    decks.forEach(d => d.themes.forEach(t => { tally[t] = (tally[t] ?? 0) + 1 }))
-    const top = Object.entries(tally).sort((a, b) => b[1] - a[1])[0]
-    return top ? { theme: top[0], count: top[1] } : null
-  }, [decks])
-
-  // Most dominant commander: best win rate among decks with 2+ games
-  const mostDominant = useMemo(() =>
-    [...decks]
-      .filter(d => d.games >= 2)
-      .sort((a, b) => winRate(b.wins, b.games) - winRate(a.wins, a.games))[0] ?? null
-  , [decks])
-
-  // Graveyard of Dreams: decks never played
-  const graveyardCount = decks.filter(d => d.games === 0).length
+  // The header's data-health badge jumps to the panel at the foot of the
+  // dashboard, from whichever page it was clicked on.
+  const showHealth = () => {
+    scrollTarget.current = 'data-health'
+    if (route.page !== 'home') window.location.hash = homeHref()
+    else scrollToTarget()
+  }
+
+  const scrollToTarget = () => {
+    const id = scrollTarget.current
+    scrollTarget.current = null
+    document.getElementById(id)?.scrollIntoView({ behavior: 'smooth', block: 'start' })
+  }
+
+  useEffect(() => {
+    if (scrollTarget.current && route.page === 'home') scrollToTarget()
+  }, [deckView.themes, route.page])
+
+  // The superlatives behind the stat cards; see lib/engine.js for how each is picked.
+  const best = useMemo(
+    () => superlatives(playerStats, decks, commander => cardColors[commander]),
+    [playerStats, decks, cardColors])
+
+  const allTime        = period.kind === 'all'
+  const watermark      = periodWatermark(period, allGames)
+
+  const loggedGames = useMemo(
+    () => (logPlayer === 'All' ? games : games.filter(g => g.seats.some(s => s.player === logPlayer))),
+    [games, logPlayer])
+
+  // The two rows of stat cards, worded by lib/report.js as in the CLI report.
+  const statRows = useMemo(
+    () => superlativeRows({ superlatives: best, games, decks }, { scope: allTime ? null : periodLabel(period) }),
+    [best, games, decks, allTime, period])
+
+  // The share card mirrors the stat cards for the selected period.
+  const shareModel = useMemo(() => shareCardModel({
+    title:   'Enough',
+    period:  periodLabel(period),
+    stats:   superlativeRows({ superlatives: best, games, decks }),
+    decks,
+    ratings,
+    games,
+  }), [best, games, decks, ratings, period])
 
   if (loading) {
     return (
@@ -313,81 +376,183 @@ export default function App() {
     )
   }
 
-  return (
-    <div className="app">
+  if (loadError) {
+    return (
+      <div className="app">
+        <div className="load-error fade-up" role="alert">
+          <p className="header-eyebrow">Couldn’t load game data</p>
+          <h1 className="load-error-file">{loadError.file ?? 'Game data'}</h1>
+          <p className="load-error-reason">{loadError.reason ?? loadError.message}</p>
+          <p className="load-error-hint">
+            Check that the file exists under <code>public/</code> and has the Players,
+            Decks, Games and Game Players sheets, then reload.
+          </p>
+        </div>
+      </div>
+    )
+  }
 
+  // Header is shared by every page; the period filter by every stats page.
+  const headerBar = (
+    <>
       {/* ── Header ─────────────────────────────────────── */}
       <header className="header fade-up">
         <div className="header-left">
-          <p className="header-eyebrow">Casual EDH Dashboard</p>
+          <p className="header-eyebrow">
+            Casual EDH Dashboard{PODS.length > 1 && ` · ${route.page === 'combined' ? 'All pods' : pod.name}`}
+          </p>
           <h1 className="app-title">Enough</h1>
+          <div className="header-actions">
+            {PODS.length > 1 && (
+              <select
+                className="log-input pod-switcher"
+                aria-label="Pod"
+                value={route.page === 'combined' ? 'combined' : pod.id}
+                onChange={e => {
+                  window.location.hash = e.target.value === 'combined' ? combinedHref : podHref(e.target.value)
+                }}
+              >
+                {PODS.map(p => <option key={p.id} value={p.id}>{p.name}</option>)}
+                <option value="combined">All pods, combined</option>
+              </select>
+            )}
+            {route.page !== 'combined' && (
+              <>
+                <a href={logHref()} className="header-link">+ Log a game</a>
+                <a href={podsHref()} className="header-link">Pod builder</a>
+              </>
+            )}
+            {refreshedAt && (
+              <span className="refresh-note" title="The data file changed and was reloaded">
+                Updated {refreshedAt.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+              </span>
+            )}
+            {issues.length > 0 && (
+              <button
+                className={`health-badge${issues.some(i => i.severity === 'error') ? ' error' : ''}`}
+                onClick={showHealth}
+                title="Problems found in the workbook — click for details"
+              >
+                ⚠ {issueSummary(issues)}
+              </button>
+            )}
+          </div>
           {/* <p className="app-subtitle">
             {players.length} players · {decks.length} decks · {sessions.length} sessions
           </p> */}
         </div>
-        {/* Ghost watermark — shows year */}
-        <div className="header-watermark" aria-hidden="true">
-          {new Date().getFullYear()}
+        {/* Ghost watermark — shows the selected period */}
+        <div className={`header-watermark${watermark.length > 5 ? ' long' : ''}`} aria-hidden="true">
+          {watermark}
         </div>
       </header>
+    </>
+  )
 
-      {/* ── Stat Cards — Row 1 ─────────────────────────── */}
-      <div className="stat-grid">
-        <StatCard
-          label="Nights Lost to Magic"
-          value={sessions.length}
-          sub="pods convened"
-          delay={0}
-        />
-        <StatCard
-          label="Cardboard Therapy"
-          value={decks.length}
-          sub="decks in the arsenal"
-          delay={80}
-        />
-        <StatCard
-          label="Threat Assessment #1"
-          value={topWinner?.player}
-          sub={`${topWinner?.wins} total wins`}
-          delay={160}
-        />
-        <StatCard
-          label="Heeds the Call"
-          value={mostActive?.player}
-          sub={`${mostActive?.games} games played`}
-          delay={240}
+  const header = (
+    <>
+      {headerBar}
+      <PeriodFilter
+        period={period}
+        onChange={setPeriod}
+        years={gameYears(allGames)}
+        seasons={seasons}
+      />
+    </>
+  )
+
+  if (route.page === 'log') {
+    return (
+      <div className="app">
+        {headerBar}
+        <LogGame
+          players={players}
+          decks={allDecks}
+          sessions={sessions}
+          gamePlayers={gamePlayers}
+          source={source}
+          baseUrl={import.meta.env.BASE_URL}
         />
       </div>
+    )
+  }
 
-      {/* ── Stat Cards — Row 2 ─────────────────────────── */}
-      <div className="stat-grid">
-        <StatCard
-          label="Most Played Color"
-          value={mostPlayedColor?.color ?? '—'}
-          sub={mostPlayedColor ? `across ${mostPlayedColor.count} deck-games` : 'no data'}
-          delay={60}
-        />
-        <StatCard
-          label="Most Popular Theme"
-          value={mostPopularTheme?.theme ?? '—'}
-          sub={mostPopularTheme ? `${mostPopularTheme.count} decks` : 'no data'}
-          delay={140}
-        />
-        <StatCard
-          label="Most Dominant"
-          value={mostDominant?.commander ?? '—'}
-          sub={mostDominant
-            ? `${winRate(mostDominant.wins, mostDominant.games)}% in ${mostDominant.games} games`
-            : 'need 2+ games'}
-          delay={220}
+  if (route.page === 'combined') {
+    return (
+      <div className="app">
+        {headerBar}
+        <PodComparison pods={PODS} baseUrl={import.meta.env.BASE_URL} />
+      </div>
+    )
+  }
+
+  if (route.page === 'pods') {
+    return (
+      <div className="app">
+        {headerBar}
+        <PodBuilder players={players} decks={lifetimeDecks} games={allGames} />
+      </div>
+    )
+  }
+
+  if (route.page === 'deck') {
+    const deck = decks.find(d => d.id === route.id)
+    return (
+      <div className="app">
+        {header}
+        <DeckPage
+          deckId={route.id}
+          decks={decks}
+          games={games}
+          rating={ratings.decks[route.id]}
+          badges={deckBadges[route.id]}
+          cardFaces={deck && cardFaces[deck.commander]}
+          cardColors={deck && cardColors[deck.commander]}
+          onTheme={pickTheme}
         />
-        <StatCard
-          label="Graveyard of Dreams"
-          value={graveyardCount}
-          sub="decks never played"
-          delay={300}
+      </div>
+    )
+  }
+
+  if (route.page === 'player') {
+    return (
+      <div className="app">
+        {header}
+        <PlayerPage
+          player={route.name}
+          players={players}
+          decks={decks}
+          games={games}
+          rating={ratings.players[route.name]}
+          achievements={periodAchievements}
+          cardColors={cardColors}
+          onTheme={pickTheme}
         />
       </div>
+    )
+  }
+
+  return (
+    <div className="app">
+      {header}
+
+      {/* ── New since last visit ───────────────────────── */}
+      <WhatsNew changes={changes} onDismiss={markVisited} />
+
+      {/* ── Stat Cards ─────────────────────────────────── */}
+      {[statRows.slice(0, 4), statRows.slice(4)].map((row, r) => (
+        <div className="stat-grid" key={r}>
+          {row.map((stat, i) => (
+            <StatCard
+              key={stat.label}
+              label={stat.label}
+              value={stat.count ?? stat.value}
+              sub={stat.sub}
+              delay={i * 80 + r * 60}
+            />
+          ))}
+        </div>
+      ))}
 
       {/* ── Chart ──────────────────────────────────────── */}
       <div className="card fade-up" style={{ animationDelay: '280ms' }}>
@@ -434,44 +599,156 @@ export default function App() {
         </div>
       </div>
 
+      {/* ── Achievements ───────────────────────────────── */}
+      <AchievementFeed
+        events={periodAchievements}
+        hint={allTime ? undefined : `${periodAchievements.length} earned · ${periodLabel(period)}`}
+      />
+
+      {/* ── Rating Chart ───────────────────────────────── */}
+      <RatingChart games={games} players={players} history={ratings.history} />
+
+      {/* ── Trends ─────────────────────────────────────── */}
+      <TrendChart games={games} players={players} decks={decks} />
+
+      {/* ── Color Identity ─────────────────────────────── */}
+      <ColorStats decks={decks} cardColors={cardColors} />
+
+      {/* ── Wins above expectation ─────────────────────── */}
+      <PodStats games={games} players={players} badges={playerBadges} />
+
+      {/* ── Themes ─────────────────────────────────────── */}
+      <ThemeStats decks={decks} activeThemes={deckView.themes} onPick={pickTheme} />
+
       {/* ── Filters ────────────────────────────────────── */}
-      <div className="filters-bar fade-up" style={{ animationDelay: '360ms' }}>
+      <div id="deck-table" className="filters-bar fade-up" style={{ animationDelay: '360ms' }}>
         <div className="pill-group">
-          {['All', ...players].map(p => (
+          <PlayerPill player="All" active={!deckView.players.length} onClick={() => updateView({ players: [] })} />
+          {players.map(p => (
             <PlayerPill
               key={p}
               player={p}
-              active={activePlayer === p}
-              onClick={() => setActive(p)}
+              active={deckView.players.includes(p)}
+              onClick={() => updateView(v => ({ players: toggleIn(v.players, p) }))}
             />
           ))}
+          {deckView.players.length === 1 && (
+            <a href={playerHref(deckView.players[0])} className="profile-link">
+              {deckView.players[0]}’s profile →
+            </a>
+          )}
         </div>
         <div className="sort-group">
-          <span className="sort-label">Sort by</span>
-          <SortButton label="Games"    active={deckSort === 'games'}   onClick={() => setSort('games')}   />
-          <SortButton label="Wins"     active={deckSort === 'wins'}    onClick={() => setSort('wins')}    />
-          <SortButton label="Win Rate" active={deckSort === 'winrate'} onClick={() => setSort('winrate')} />
-          <div className="sort-divider" aria-hidden="true" />
           <Toggle
             label="Unplayed"
-            checked={showUnplayed}
-            onChange={() => setUnplayed(v => !v)}
+            checked={deckView.unplayed}
+            onChange={() => updateView(v => ({ unplayed: !v.unplayed }))}
           />
         </div>
       </div>
 
+      <div className="filters-bar deck-filters fade-up" style={{ animationDelay: '380ms' }}>
+        <input
+          type="search"
+          className="log-input deck-search"
+          placeholder="Search commanders"
+          value={deckView.search}
+          onChange={e => updateView({ search: e.target.value })}
+        />
+        <div className="color-filter" role="group" aria-label="Color identity">
+          {COLOR_ORDER.map(c => (
+            <button
+              key={c}
+              className={`mana-pip mana-${c} color-toggle${deckView.colors.includes(c) ? ' active' : ''}`}
+              aria-pressed={deckView.colors.includes(c)}
+              title={`${COLOR_NAME[c]} decks`}
+              onClick={() => updateView(v => ({ colors: toggleIn(v.colors, c) }))}
+            >
+              {c}
+            </button>
+          ))}
+          {deckView.colors.length > 0 && colorStatus !== 'ready' && (
+            <span className="card-hint">
+              {colorStatus === 'loading' ? 'colors loading…' : 'some colors unavailable'}
+            </span>
+          )}
+        </div>
+        <div className="power-filter">
+          <span className="sort-label">Power</span>
+          {[0, 1].map(end => (
+            <input
+              key={end}
+              type="number"
+              min="1"
+              max="10"
+              className="log-input narrow"
+              placeholder={end ? 'max' : 'min'}
+              value={deckView.power[end] ?? ''}
+              onChange={e => updateView(v => {
+                const power = [...v.power]
+                power[end] = e.target.value === '' ? null : Number(e.target.value)
+                return { power }
+              })}
+            />
+          ))}
+        </div>
+        <select
+          className="log-input"
+          value=""
+          onChange={e => e.target.value && updateView(v => ({ themes: [...v.themes, e.target.value] }))}
+        >
+          <option value="">+ Theme…</option>
+          {allThemes.filter(t => !deckView.themes.includes(t)).map(t => (
+            <option key={t} value={t}>{t}</option>
+          ))}
+        </select>
+        {deckView.themes.map(t => (
+          <button
+            key={t}
+            className="filter-chip"
+            onClick={() => updateView(v => ({ themes: toggleIn(v.themes, t) }))}
+            title="Remove theme filter"
+          >
+            {t} <span aria-hidden="true">×</span>
+          </button>
+        ))}
+        {isFiltered(deckView) && (
+          <SortButton
+            label="Clear filters"
+            active={false}
+            onClick={() => updateView({ ...DEFAULT_VIEW, sort: deckView.sort, dir: deckView.dir })}
+          />
+        )}
+      </div>
+
       {/* ── Deck Table ─────────────────────────────────── */}
       <div className="card fade-up" style={{ animationDelay: '420ms' }}>
         <div className="table-scroll">
           <table className="deck-table">
             <thead>
               <tr>
-                <th className="col-left">Commander</th>
-                <th className="col-left">Player</th>
-                <th className="col-right">Games</th>
-                <th className="col-right">Wins</th>
-                <th className="col-right">Losses</th>
-                <th className="col-right">Win Rate</th>
+                <SortableTh label="Commander" sort="commander" view={deckView} onSort={sortBy} align="left" />
+                <SortableTh label="Player"    sort="player"    view={deckView} onSort={sortBy} align="left" />
+                <SortableTh label="Power"     sort="power"     view={deckView} onSort={sortBy} title="EstPower" />
+                <SortableTh label="Games"     sort="games"     view={deckView} onSort={sortBy} />
+                <SortableTh label="Wins"      sort="wins"      view={deckView} onSort={sortBy} />
+                <SortableTh label="Losses"    sort="losses"    view={deckView} onSort={sortBy} />
+                <SortableTh label="Win Rate"  sort="winrate"   view={deckView} onSort={sortBy} />
+                <SortableTh
+                  label="Adj."
+                  sort="adjusted"
+                  view={deckView}
+                  onSort={sortBy}
+                  title="win rate pulled toward 1 in N for small samples"
+                />
+                <SortableTh
+                  label="vs Exp."
+                  sort="expected"
+                  view={deckView}
+                  onSort={sortBy}
+                  title="wins above the 1-in-N expectation"
+                />
+                <SortableTh label="Rating"    sort="rating"    view={deckView} onSort={sortBy} />
               </tr>
             </thead>
             <tbody>
@@ -492,47 +769,61 @@ export default function App() {
                         )}
                       </div>
                       <div>
-                        {deck.archidektId ? (
+                        <a href={deckHref(deck.id)} className="commander-link">
+                          {deck.commander}
+                        </a>
+                        <ManaPips colors={cardColors[deck.commander]} />
+                        {deck.archidektId && (
                           <a
                             href={`https://archidekt.com/decks/${deck.archidektId}`}
                             target="_blank"
                             rel="noopener noreferrer"
-                            className="commander-link"
+                            className="archidekt-link"
+                            title="Open on Archidekt"
                           >
-                            {deck.commander}
+                            ↗
                           </a>
-                        ) : (
-                          deck.commander
-                        )}
-                        {deck.themes.length > 0 && (
-                          <div className="deck-themes">
-                            {deck.themes.map(t => (
-                              <span key={t} className="deck-theme">{t}</span>
-                            ))}
-                          </div>
                         )}
+                        <Badges badges={deckBadges[deck.id]} />
+                        <ThemeChips themes={deck.themes} active={deckView.themes} onPick={pickTheme} />
                       </div>
                     </div>
                   </td>
-                  <td><span className="player-badge">{deck.player}</span></td>
+                  <td><a href={playerHref(deck.player)} className="player-badge">{deck.player}</a></td>
+                  <td className="td-num">
+                    {deck.power ?? <span className="num-zero">—</span>}
+                  </td>
                   <td className="td-num">
                     {deck.games === 0
                       ? <span className="num-zero">—</span>
-                      : deck.games}
+                      : <CountUp value={deck.games} />}
                   </td>
                   <td className="td-num">
                     {deck.wins === 0
                       ? <span className="num-zero">—</span>
-                      : deck.wins}
+                      : <CountUp value={deck.wins} />}
                   </td>
                   <td className="td-num">
                     {deck.losses === 0
                       ? <span className="num-zero">—</span>
-                      : deck.losses}
+                      : <CountUp value={deck.losses} />}
                   </td>
                   <td className="td-num">
                     <WinBar wins={deck.wins} games={deck.games} />
                   </td>
+                  <td className="td-num">
+                    {deck.games === 0
+                      ? <span className="num-zero">—</span>
+                      : `${Math.round(adjustedWinRate(deck.wins, deck.games, deck.expected) * 100)}%`}
+                  </td>
+                  <td className="td-num">
+                    <AboveExpected {...deck} />
+                  </td>
+                  <td className="td-num">
+                    {deck.games === 0
+                      ? <span className="num-zero">—</span>
+                      : Math.round(ratings.decks[deck.id])}
+                  </td>
                 </tr>
               ))}
             </tbody>
@@ -546,8 +837,30 @@ export default function App() {
 
       <div className="table-footer">
         {filteredDecks.length} of {decks.length} decks
+        {!allTime && ` · ${periodLabel(period)}`}
       </div>
 
+      {/* ── Export & share ─────────────────────────────── */}
+      <ExportPanel
+        filteredDecks={filteredDecks}
+        standings={rankStandings(playerStats)}
+        games={loggedGames}
+        gamePlayer={logPlayer === 'All' ? null : logPlayer}
+        ratings={ratings}
+        periodName={periodLabel(period)}
+        shareModel={shareModel}
+        shareArt={cardImages[shareModel.night?.commander]}
+      />
+
+      {/* ── Head-to-head ───────────────────────────────── */}
+      <HeadToHead games={games} players={players} decks={decks} />
+
+      {/* ── Game Log ───────────────────────────────────── */}
+      <GameLog games={loggedGames} players={players} activePlayer={logPlayer} onPick={setLogPlayer} />
+
+      {/* ── Data health ────────────────────────────────── */}
+      {issues.length > 0 && <DataHealth issues={issues} />}
+
     </div>
   )
 }
@@ -0,0 +1,72 @@
+import { useState } from 'react'
+import { SortButton } from './controls.jsx'
+import { formatDate } from '../lib/games.js'
+import { deckHref, playerHref } from '../hooks/useRoute.js'
+
+// ─── Achievements ─────────────────────────────────────────────────────────────
+// The feed of recent awards and the row badges; lib/achievements.js decides
+// who earned what.
+
+const PAGE = 8
+
+// Glyphs for a player's or deck's badges, each titled with its latest award.
+// `labelled` adds the names, for the profile pages.
+export function Badges({ badges = [], labelled = false }) {
+  if (!badges.length) return null
+  return (
+    <span className={`achievement-badges${labelled ? ' labelled' : ''}`}>
+      {badges.map(b => (
+        <span
+          key={b.rule}
+          className="achievement-badge"
+          title={`${b.name}${b.count > 1 ? ` ×${b.count}` : ''} — ${b.detail} (${formatDate(b.date)})`}
+        >
+          {b.icon}
+          {labelled && <span className="achievement-label">{b.name}</span>}
+          {b.count > 1 && <span className="achievement-count">{b.count}</span>}
+        </span>
+      ))}
+    </span>
+  )
+}
+
+// `events` oldest first, as evaluateAchievements returns them.
+export default function AchievementFeed({ events, title = 'Recent Achievements', hint, delay = 300 }) {
+  const [shown, setShown] = useState(PAGE)
+  const recent = [...events].reverse()
+
+  return (
+    <div className="card fade-up" style={{ animationDelay: `${delay}ms` }}>
+      <div className="card-header">
+        <h2 className="card-title">{title}</h2>
+        <span className="card-hint">{hint ?? `${events.length} earned`}</span>
+      </div>
+
+      {recent.length > 0 ? (
+        <ul className="achievement-feed">
+          {recent.slice(0, shown).map(e => (
+            <li key={e.id} className="achievement-item">
+              <span className="achievement-icon" aria-hidden="true">{e.icon}</span>
+              <span className="achievement-name">{e.name}</span>
+              <span className="achievement-who">
+                {e.subject === 'deck'
+                  ? <><a href={deckHref(e.deckId)} className="commander-link">{e.commander}</a> · {e.player}</>
+                  : <a href={playerHref(e.player)} className="player-badge">{e.player}</a>}
+              </span>
+              <span className="achievement-detail">{e.detail}</span>
+              <span className="achievement-date">{formatDate(e.date)}</span>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <div className="empty-state">No achievements in the selected period.</div>
+      )}
+
+      {recent.length > shown && (
+        <div className="achievement-more">
+          <SortButton label={`Show ${Math.min(PAGE, recent.length - shown)} more`} active={false} onClick={() => setShown(n => n + PAGE)} />
+        </div>
+      )}
+    </div>
+  )
+}
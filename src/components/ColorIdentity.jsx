@@ -0,0 +1,27 @@
+import { COLOR_NAME } from '../lib/colors.js'
+
+// Color identity as named chips. `colors` is Scryfall's color_identity;
+// undefined means the card hasn't loaded (or couldn't be found).
+export default function ColorIdentity({ colors }) {
+  if (!colors) return <span className="num-zero">—</span>
+  if (!colors.length) return <span className="color-chip colorless">Colorless</span>
+  return (
+    <span className="color-identity">
+      {colors.map(c => (
+        <span key={c} className={`color-chip color-${c}`}>{COLOR_NAME[c] ?? c}</span>
+      ))}
+    </span>
+  )
+}
+
+// Compact mana-symbol pips for table rows.
+export function ManaPips({ colors }) {
+  if (!colors?.length) return null
+  return (
+    <span className="mana-pips">
+      {colors.map(c => (
+        <span key={c} className={`mana-pip mana-${c}`} title={COLOR_NAME[c] ?? c}>{c}</span>
+      ))}
+    </span>
+  )
+}
@@ -0,0 +1,111 @@
+import { useMemo } from 'react'
+import { WinBar } from './StatCard.jsx'
+import { ManaPips } from './ColorIdentity.jsx'
+import { COLOR_ORDER, COLOR_NAME, combinationName, combinationKind } from '../lib/colors.js'
+
+// ─── Color analytics ──────────────────────────────────────────────────────────
+// How the pod's decks split across WUBRG: single-color frequency, named
+// combinations (guilds, shards, wedges…) and color count, each with the games
+// played and win rate of the decks in that bucket.
+
+const tally = (rows, keyOf) => {
+  const out = {}
+  rows.forEach(({ deck, colors }) => {
+    [keyOf(colors)].flat().forEach(key => {
+      const t = (out[key] ??= { key, colors, decks: 0, games: 0, wins: 0 })
+      t.decks++
+      t.games += deck.games
+      t.wins  += deck.wins
+    })
+  })
+  return Object.values(out)
+}
+
+function BucketTable({ title, rows, label }) {
+  return (
+    <div className="color-block">
+      <h3 className="color-block-title">{title}</h3>
+      <table className="deck-table compact">
+        <thead>
+          <tr>
+            <th className="col-left" />
+            <th className="col-right">Decks</th>
+            <th className="col-right">Games</th>
+            <th className="col-right">Win Rate</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map(r => (
+            <tr key={r.key}>
+              <td className="td-commander">{label(r)}</td>
+              <td className="td-num">{r.decks}</td>
+              <td className="td-num">{r.games || <span className="num-zero">—</span>}</td>
+              <td className="td-num"><WinBar wins={r.wins} games={r.games} /></td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  )
+}
+
+export default function ColorStats({ decks, cardColors }) {
+  // Only decks whose commander has resolved on Scryfall can be placed.
+  const rows = useMemo(() =>
+    decks
+      .filter(d => cardColors[d.commander])
+      .map(d => ({ deck: d, colors: cardColors[d.commander] })),
+  [decks, cardColors])
+
+  const byColor = useMemo(() =>
+    tally(rows, colors => colors)
+      .sort((a, b) => COLOR_ORDER.indexOf(a.key) - COLOR_ORDER.indexOf(b.key)),
+  [rows])
+
+  const byCombination = useMemo(() =>
+    tally(rows, colors => combinationName(colors))
+      .sort((a, b) => b.games - a.games || b.decks - a.decks),
+  [rows])
+
+  const byCount = useMemo(() =>
+    tally(rows, colors => String(colors.length))
+      .sort((a, b) => Number(a.key) - Number(b.key)),
+  [rows])
+
+  const pending = decks.length - rows.length
+
+  return (
+    <div className="card fade-up" style={{ animationDelay: '340ms' }}>
+      <div className="card-header">
+        <h2 className="card-title">Color Identity</h2>
+        {pending > 0 && (
+          <span className="card-hint">{pending} decks without Scryfall colors</span>
+        )}
+      </div>
+      <div className="color-grid">
+        <BucketTable
+          title="By color"
+          rows={byColor}
+          label={r => <><ManaPips colors={[r.key]} /> {COLOR_NAME[r.key]}</>}
+        />
+        <BucketTable
+          title="By combination"
+          rows={byCombination}
+          label={r => (
+            <>
+              <ManaPips colors={r.colors} /> {r.key}
+              {r.colors.length >= 2 && r.colors.length <= 4 && (
+                <span className="color-kind">{combinationKind(r.colors)}</span>
+              )}
+            </>
+          )}
+        />
+        <BucketTable
+          title="By color count"
+          rows={byCount}
+          label={r => (r.key === '0' ? 'Colorless' : `${r.key} color${r.key === '1' ? '' : 's'}`)}
+        />
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,55 @@
+// ─── Data health ──────────────────────────────────────────────────────────────
+// Everything validateSheets found wrong with the workbook, errors first, each
+// pointing at the sheet and row to fix. Only rendered when there's something
+// to report.
+
+const SHEET_ORDER = ['Players', 'Decks', 'Games', 'Game Players']
+
+const byLocation = (a, b) =>
+  (a.severity === b.severity ? 0 : a.severity === 'error' ? -1 : 1) ||
+  SHEET_ORDER.indexOf(a.sheet) - SHEET_ORDER.indexOf(b.sheet) ||
+  (a.row ?? 0) - (b.row ?? 0)
+
+export const issueSummary = (issues) => {
+  const errors = issues.filter(i => i.severity === 'error').length
+  const parts  = []
+  if (errors) parts.push(`${errors} error${errors === 1 ? '' : 's'}`)
+  if (issues.length - errors) parts.push(`${issues.length - errors} warning${issues.length - errors === 1 ? '' : 's'}`)
+  return parts.join(', ')
+}
+
+export default function DataHealth({ issues }) {
+  const sorted = [...issues].sort(byLocation)
+
+  return (
+    <div id="data-health" className="card fade-up">
+      <div className="card-header">
+        <h2 className="card-title">Data Health</h2>
+        <span className="card-hint">{issueSummary(issues)} in the game data</span>
+      </div>
+      <div className="table-scroll health-scroll">
+        <table className="deck-table compact">
+          <thead>
+            <tr>
+              <th className="col-left">Sheet</th>
+              <th className="col-right">Row</th>
+              <th className="col-left">Issue</th>
+            </tr>
+          </thead>
+          <tbody>
+            {sorted.map((issue, i) => (
+              <tr key={i} className={`health-row ${issue.severity}`}>
+                <td className="td-sheet">{issue.sheet}</td>
+                <td className="td-num">{issue.row ?? <span className="num-zero">—</span>}</td>
+                <td>
+                  <span className={`health-severity ${issue.severity}`}>{issue.severity}</span>
+                  {issue.message}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  )
+}
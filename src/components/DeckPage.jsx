@@ -0,0 +1,256 @@
+import { useMemo } from 'react'
+import { StatCard, WinBar } from './StatCard.jsx'
+import ColorIdentity from './ColorIdentity.jsx'
+import ThemeChips from './ThemeChips.jsx'
+import { Badges } from './Achievements.jsx'
+import { formatDate } from '../lib/games.js'
+import { headToHead } from '../lib/headToHead.js'
+import { winRate } from '../lib/stats.js'
+import { homeHref, deckHref, playerHref } from '../hooks/useRoute.js'
+
+// ─── Deck page ────────────────────────────────────────────────────────────────
+// Everything we know about one deck: its card, its record, every game it sat
+// in, and how it fared against each deck it met. Reached via #/deck/<DeckID>.
+
+export default function DeckPage({ deckId, decks, games, rating, badges, cardFaces = [], cardColors, onTheme }) {
+  const deck = decks.find(d => d.id === deckId)
+
+  const deckGames = useMemo(
+    () => games.filter(g => g.seats.some(s => s.deckId === deckId)),
+    [games, deckId])
+
+  // Every opposing deck, with the record from this deck's side of the table.
+  const opponents = useMemo(() => {
+    const h2h  = headToHead(deckGames, seat => seat.deckId)
+    const mine = h2h[deckId] ?? {}
+    const byId = Object.fromEntries(decks.map(d => [d.id, d]))
+    return Object.entries(mine)
+      .map(([id, cell]) => ({
+        id,
+        deck:   byId[id],
+        shared: cell.shared,
+        wins:   cell.wins,
+        losses: h2h[id]?.[deckId]?.wins ?? 0,
+      }))
+      .sort((a, b) => b.shared - a.shared || b.wins - a.wins)
+  }, [deckGames, decks, deckId])
+
+  const podSizes = useMemo(() => {
+    const tally = {}
+    deckGames.forEach(g => {
+      const t = (tally[g.podSize] ??= { size: g.podSize, games: 0, wins: 0 })
+      t.games++
+      if (g.winners.some(s => s.deckId === deckId)) t.wins++
+    })
+    return Object.values(tally).sort((a, b) => a.size - b.size)
+  }, [deckGames, deckId])
+
+  if (!deck) {
+    return (
+      <div className="card fade-up">
+        <div className="empty-state">
+          No deck with ID “{deckId}”. <a href={homeHref()} className="commander-link">Back to the dashboard</a>
+        </div>
+      </div>
+    )
+  }
+
+  const seatOf = (game) => game.seats.find(s => s.deckId === deckId)
+
+  return (
+    <div className="deck-page">
+      <a href={homeHref()} className="back-link fade-up">← All decks</a>
+
+      {/* ── Hero ───────────────────────────────────────── */}
+      <div className="deck-hero fade-up" style={{ animationDelay: '40ms' }}>
+        <div className="deck-cards">
+          {/* Partner pairs show both cards; one empty frame while loading */}
+          {(cardFaces.length ? cardFaces : [null]).map((src, i) => (
+            <div key={src ?? i} className="deck-card-wrap">
+              {src && <img src={src} alt={deck.commander} className="deck-card" />}
+            </div>
+          ))}
+        </div>
+        <div className="deck-hero-info">
+          <p className="header-eyebrow">
+            <a href={playerHref(deck.player)} className="eyebrow-link">{deck.player}</a>’s deck · {deck.id}
+          </p>
+          <h2 className="deck-title">{deck.commander}</h2>
+          <ThemeChips themes={deck.themes} onPick={onTheme} />
+          <Badges badges={badges} labelled />
+          <dl className="deck-facts">
+            <dt>Color identity</dt>
+            <dd><ColorIdentity colors={cardColors} /></dd>
+            <dt>Est. power</dt>
+            <dd>{deck.power ?? <span className="num-zero">—</span>}</dd>
+            <dt>Decklist</dt>
+            <dd>
+              {deck.archidektId ? (
+                <a
+                  href={`https://archidekt.com/decks/${deck.archidektId}`}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  className="commander-link"
+                >
+                  Archidekt ↗
+                </a>
+              ) : <span className="num-zero">—</span>}
+            </dd>
+          </dl>
+        </div>
+      </div>
+
+      <div className="stat-grid">
+        <StatCard label="Games"    value={deck.games} sub="tables sat at" delay={0} />
+        <StatCard label="Wins"     value={deck.wins}  sub={`${deck.losses} losses`} delay={80} />
+        <StatCard
+          label="Win Rate"
+          value={deck.games ? winRate(deck.wins, deck.games) : '—'}
+          suffix={deck.games ? '%' : ''}
+          sub={deck.games ? `${deck.wins} of ${deck.games}` : 'never played'}
+          delay={160}
+        />
+        <StatCard
+          label="Rating"
+          value={rating != null ? Math.round(rating) : '—'}
+          sub="multiplayer Elo"
+          delay={240}
+        />
+      </div>
+
+      {/* ── Timeline ───────────────────────────────────── */}
+      {deckGames.length > 0 && (
+        <div className="card fade-up" style={{ animationDelay: '200ms' }}>
+          <div className="card-header">
+            <h2 className="card-title">Results</h2>
+            <span className="card-hint">oldest → newest</span>
+          </div>
+          <div className="deck-timeline">
+            {deckGames.map(g => {
+              const won = seatOf(g).win
+              return (
+                <span
+                  key={g.id}
+                  className={`timeline-pip${won ? ' won' : ''}`}
+                  title={`${g.id} · ${formatDate(g.date)} · ${won ? 'Win' : 'Loss'}`}
+                />
+              )
+            })}
+          </div>
+        </div>
+      )}
+
+      {/* ── Opponents + pod sizes ──────────────────────── */}
+      {deckGames.length > 0 && (
+        <div className="deck-split">
+          <div className="card fade-up" style={{ animationDelay: '260ms' }}>
+            <div className="card-header">
+              <h2 className="card-title">Opponents Faced</h2>
+            </div>
+            <div className="table-scroll">
+              <table className="deck-table compact">
+                <thead>
+                  <tr>
+                    <th className="col-left">Commander</th>
+                    <th className="col-left">Player</th>
+                    <th className="col-right">Games</th>
+                    <th className="col-right">W–L</th>
+                    <th className="col-right">Win Rate</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {opponents.map(o => (
+                    <tr key={o.id}>
+                      <td className="td-commander">
+                        <a href={deckHref(o.id)} className="commander-link">
+                          {o.deck?.commander ?? o.id}
+                        </a>
+                      </td>
+                      <td>
+                        {o.deck
+                          ? <a href={playerHref(o.deck.player)} className="player-badge">{o.deck.player}</a>
+                          : <span className="player-badge">—</span>}
+                      </td>
+                      <td className="td-num">{o.shared}</td>
+                      <td className="td-num">{o.wins}–{o.losses}</td>
+                      <td className="td-num"><WinBar wins={o.wins} games={o.shared} /></td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+
+          <div className="card fade-up" style={{ animationDelay: '300ms' }}>
+            <div className="card-header">
+              <h2 className="card-title">Pod Sizes</h2>
+            </div>
+            <table className="deck-table compact">
+              <thead>
+                <tr>
+                  <th className="col-left">Pod</th>
+                  <th className="col-right">Games</th>
+                  <th className="col-right">Win Rate</th>
+                </tr>
+              </thead>
+              <tbody>
+                {podSizes.map(p => (
+                  <tr key={p.size}>
+                    <td className="td-commander">{p.size} players</td>
+                    <td className="td-num">{p.games}</td>
+                    <td className="td-num"><WinBar wins={p.wins} games={p.games} /></td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+
+      {/* ── Game list ──────────────────────────────────── */}
+      <div className="card fade-up" style={{ animationDelay: '340ms' }}>
+        <div className="card-header">
+          <h2 className="card-title">Games</h2>
+        </div>
+        {deckGames.length > 0 ? (
+          <div className="table-scroll">
+            <table className="deck-table compact">
+              <thead>
+                <tr>
+                  <th className="col-left">Date</th>
+                  <th className="col-left">Game</th>
+                  <th className="col-left">Location</th>
+                  <th className="col-left">Table</th>
+                  <th className="col-right">Result</th>
+                </tr>
+              </thead>
+              <tbody>
+                {[...deckGames].reverse().map(g => (
+                  <tr key={g.id}>
+                    <td className="td-date">{formatDate(g.date)}</td>
+                    <td className="td-muted">{g.id}</td>
+                    <td className="td-muted">{g.location ?? '—'} · {g.podSize}p</td>
+                    <td className="td-table">
+                      {g.seats
+                        .filter(s => s.deckId !== deckId)
+                        .map(s => (
+                          <span key={`${s.player}-${s.deckId}`} className={s.win ? 'seat-won' : undefined}>
+                            {s.player}: {s.commander}
+                          </span>
+                        ))}
+                    </td>
+                    <td className={`td-num${seatOf(g).win ? ' td-win' : ''}`}>
+                      {seatOf(g).win ? 'Win' : 'Loss'}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        ) : (
+          <div className="empty-state">No games with this deck in the selected period.</div>
+        )}
+      </div>
+    </div>
+  )
+}
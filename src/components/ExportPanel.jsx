@@ -0,0 +1,142 @@
+import { useEffect, useState } from 'react'
+import { SortButton } from './controls.jsx'
+import { downloadFile } from '../lib/download.js'
+import {
+  deckExportColumns, STANDINGS_EXPORT_COLUMNS, GAME_EXPORT_COLUMNS, exportFile, fileSlug,
+} from '../lib/exports.js'
+import { SHARE_WIDTH, SHARE_HEIGHT, drawShareCard } from '../lib/shareCard.js'
+
+// ─── Export & share ───────────────────────────────────────────────────────────
+// Downloads of what the dashboard is showing — the deck table as filtered,
+// the standings and the game log for the selected period — plus a PNG share
+// card. Everything is built in the browser; nothing leaves it but the file.
+
+const loadImage = (src) => new Promise((resolve, reject) => {
+  const img = new Image()
+  img.crossOrigin = 'anonymous'
+  img.onload  = () => resolve(img)
+  img.onerror = () => reject(new Error(`could not load ${src}`))
+  img.src = src
+})
+
+const toBlob = (canvas) => new Promise((resolve, reject) => {
+  try {
+    canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('empty image'))), 'image/png')
+  } catch (err) {
+    reject(err) // a canvas tainted by cross-origin art refuses to export
+  }
+})
+
+// Draws the card, falling back to no art if the art can't be used.
+const renderShareCard = async (model, artUrl) => {
+  await document.fonts?.ready
+  const canvas  = document.createElement('canvas')
+  canvas.width  = SHARE_WIDTH
+  canvas.height = SHARE_HEIGHT
+  const ctx     = canvas.getContext('2d')
+  const art     = artUrl ? await loadImage(artUrl).catch(() => null) : null
+  drawShareCard(ctx, model, art)
+  try {
+    return await toBlob(canvas)
+  } catch {
+    drawShareCard(ctx, model, null)
+    return toBlob(canvas)
+  }
+}
+
+const canCopyImage = () => typeof window.ClipboardItem === 'function' && Boolean(navigator.clipboard?.write)
+
+// games: the game log as filtered, `gamePlayer`'s games when one is picked.
+export default function ExportPanel({ filteredDecks, standings, games, gamePlayer, ratings, periodName, shareModel, shareArt }) {
+  const [card, setCard]       = useState(null) // { blob, url }
+  const [working, setWorking] = useState(false)
+  const [status, setStatus]   = useState(null)
+
+  // Drop the preview's object URL when it's replaced or the panel goes away.
+  useEffect(() => () => card && URL.revokeObjectURL(card.url), [card])
+
+  const slug     = fileSlug(periodName)
+  const gameHint = gamePlayer ? `${games.length} games with ${gamePlayer}` : `${games.length} games`
+  const exports  = [
+    { name: 'Deck table', hint: `${filteredDecks.length} decks as filtered`, rows: filteredDecks, columns: deckExportColumns(ratings), file: `decks-${slug}` },
+    { name: 'Standings',  hint: `${standings.length} players`,               rows: standings,     columns: STANDINGS_EXPORT_COLUMNS,   file: `standings-${slug}` },
+    { name: 'Game log',   hint: gameHint,                                    rows: games,         columns: GAME_EXPORT_COLUMNS,        file: `games-${slug}` },
+  ]
+
+  const save = (e, format) => {
+    const { data, filename, type } = exportFile(e.rows, e.columns, format, e.file)
+    downloadFile(data, filename, type)
+  }
+
+  const makeCard = async () => {
+    setWorking(true)
+    setStatus(null)
+    try {
+      const blob = await renderShareCard(shareModel, shareArt)
+      setCard({ blob, url: URL.createObjectURL(blob) })
+    } catch (err) {
+      setStatus(`Couldn’t draw the card: ${err.message}`)
+    } finally {
+      setWorking(false)
+    }
+  }
+
+  const copyCard = async () => {
+    try {
+      await navigator.clipboard.write([new window.ClipboardItem({ 'image/png': card.blob })])
+      setStatus('Copied — paste it into the chat.')
+    } catch (err) {
+      setStatus(`Couldn’t copy: ${err.message}`)
+    }
+  }
+
+  return (
+    <div id="export" className="card fade-up" style={{ animationDelay: '500ms' }}>
+      <div className="card-header">
+        <h2 className="card-title">Export &amp; Share</h2>
+        <span className="card-hint">{periodName} · made in your browser</span>
+      </div>
+
+      <div className="table-scroll">
+        <table className="deck-table compact">
+          <tbody>
+            {exports.map(e => (
+              <tr key={e.name}>
+                <td className="td-commander">{e.name}</td>
+                <td className="export-hint">{e.hint}</td>
+                <td className="td-num">
+                  <div className="export-actions">
+                    <SortButton label="CSV"  active={false} onClick={() => save(e, 'csv')}  />
+                    <SortButton label="JSON" active={false} onClick={() => save(e, 'json')} />
+                  </div>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="share-card">
+        <div className="share-actions">
+          <SortButton
+            label={working ? 'Drawing…' : card ? 'Redraw share card' : 'Create share card'}
+            active={false}
+            onClick={makeCard}
+          />
+          {card && (
+            <>
+              <SortButton
+                label="Download PNG"
+                active={false}
+                onClick={() => downloadFile(card.blob, `edh-${slug}.png`)}
+              />
+              {canCopyImage() && <SortButton label="Copy image" active={false} onClick={copyCard} />}
+            </>
+          )}
+          {status && <span className="card-hint">{status}</span>}
+        </div>
+        {card && <img src={card.url} alt="Share card preview" className="share-preview" />}
+      </div>
+    </div>
+  )
+}
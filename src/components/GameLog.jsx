@@ -0,0 +1,91 @@
+import { useState, useMemo } from 'react'
+import { PlayerPill } from './controls.jsx'
+import { formatDate } from '../lib/games.js'
+
+// ─── Game Log ─────────────────────────────────────────────────────────────────
+// Chronological list of every GameID, newest first. Each row expands to show
+// the full table: who sat down, with which commander, and who took it. The
+// player filter lives in App, since the game log export follows it too.
+
+function GameRow({ game, open, onToggle }) {
+  const winner = game.winners[0]
+
+  return (
+    <li className={`game-row${open ? ' open' : ''}`}>
+      <button className="game-summary" onClick={onToggle} aria-expanded={open}>
+        <span className="game-date">{formatDate(game.date)}</span>
+        <span className="game-id">{game.id}</span>
+        <span className="game-meta">
+          {game.location ?? 'Unknown table'} · {game.podSize}-player pod
+        </span>
+        <span className="game-winner">
+          {winner
+            ? <>{winner.player} <span className="game-winner-deck">{winner.commander}</span></>
+            : <span className="num-zero">No winner logged</span>}
+        </span>
+        <span className="game-chevron" aria-hidden="true">{open ? '−' : '+'}</span>
+      </button>
+
+      {open && (
+        <div className="game-detail">
+          <ul className="game-seats">
+            {game.seats.map(seat => (
+              <li key={`${seat.player}-${seat.deckId}`} className={`game-seat${seat.win ? ' won' : ''}`}>
+                <span className="player-badge">{seat.player}</span>
+                <span className="game-seat-deck">{seat.commander}</span>
+                <span className="game-seat-result">{seat.win ? 'Win' : 'Loss'}</span>
+              </li>
+            ))}
+          </ul>
+          {game.notes && <p className="game-notes">{game.notes}</p>}
+        </div>
+      )}
+    </li>
+  )
+}
+
+// games: already narrowed to `activePlayer`'s, oldest first.
+export default function GameLog({ games, players, activePlayer, onPick }) {
+  const [expanded, setExpanded] = useState(() => new Set())
+
+  const visible = useMemo(() => [...games].reverse(), [games])
+
+  const toggle = (id) => setExpanded(prev => {
+    const next = new Set(prev)
+    next.has(id) ? next.delete(id) : next.add(id)
+    return next
+  })
+
+  return (
+    <div className="card fade-up" style={{ animationDelay: '480ms' }}>
+      <div className="card-header">
+        <h2 className="card-title">Game Log</h2>
+        <div className="pill-group header-pills">
+          {['All', ...players].map(p => (
+            <PlayerPill
+              key={p}
+              player={p}
+              active={activePlayer === p}
+              onClick={() => onPick(p)}
+            />
+          ))}
+        </div>
+      </div>
+
+      {visible.length > 0 ? (
+        <ul className="game-list">
+          {visible.map(game => (
+            <GameRow
+              key={game.id}
+              game={game}
+              open={expanded.has(game.id)}
+              onToggle={() => toggle(game.id)}
+            />
+          ))}
+        </ul>
+      ) : (
+        <div className="empty-state">No games logged for {activePlayer}.</div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,30 @@
+import { formatDate } from '../lib/games.js'
+
+// ─── Game tooltip ─────────────────────────────────────────────────────────────
+// Recharts tooltip for charts whose x-axis is one point per GameID: names the
+// game and who won it, then lists each series' value, highest first.
+
+export default function GameTooltip({ active, payload, label, gameById, format = v => v }) {
+  if (!active || !payload?.length) return null
+  const game   = gameById[label]
+  const winner = game?.winners[0]
+  return (
+    <div className="chart-tooltip">
+      <div className="tooltip-player">{label} · {formatDate(game?.date)}</div>
+      {winner && (
+        <div className="tooltip-winner">
+          {winner.player} won with {winner.commander}
+        </div>
+      )}
+      {[...payload]
+        .filter(p => p.value != null)
+        .sort((a, b) => b.value - a.value)
+        .map(p => (
+          <div key={p.dataKey} className="tooltip-row">
+            <span>{p.name}</span>
+            <strong>{format(p.value)}</strong>
+          </div>
+        ))}
+    </div>
+  )
+}
@@ -0,0 +1,146 @@
+import { useState, useMemo, useRef } from 'react'
+import { SortButton } from './controls.jsx'
+import { headToHead, shortCommander } from '../lib/headToHead.js'
+import { winRate } from '../lib/stats.js'
+
+// ─── Head-to-head ─────────────────────────────────────────────────────────────
+// N×N grid: each cell reads "how often did the row win with the column at the
+// table". Pivot between players and commanders.
+
+// A full commander grid is unreadable; show the most-played decks only.
+const MAX_COMMANDERS = 12
+
+// Rendered outside the scrolling table so it never gets clipped; follows the
+// pointer like the recharts tooltip does, flipping above it in the lower half.
+function MatrixTooltip({ row, col, cell, x, y, flip }) {
+  return (
+    <div
+      className={`chart-tooltip h2h-tooltip${flip ? ' flip' : ''}`}
+      style={{ left: x + 14, top: flip ? y - 14 : y + 14 }}
+    >
+      <div className="tooltip-player">{row} vs {col}</div>
+      <div className="tooltip-row">
+        <span>Games together</span>
+        <strong>{cell.shared}</strong>
+      </div>
+      <div className="tooltip-row">
+        <span>{row} wins</span>
+        <strong>{cell.wins}</strong>
+      </div>
+      <div className="tooltip-row">
+        <span>Win rate</span>
+        <strong>{winRate(cell.wins, cell.shared)}%</strong>
+      </div>
+    </div>
+  )
+}
+
+export default function HeadToHead({ games, players, decks }) {
+  const [mode, setMode]       = useState('players')
+  const [hovered, setHovered] = useState(null) // { row, col, x, y, flip }
+  const cardRef = useRef(null)
+
+  // Pointer position relative to the card, which anchors the tooltip.
+  const hover = (row, col) => (e) => {
+    const box = cardRef.current.getBoundingClientRect()
+    const y   = e.clientY - box.top
+    setHovered({ row, col, x: e.clientX - box.left, y, flip: y > box.height / 2 })
+  }
+
+  const { keys, labels, subs, cells } = useMemo(() => {
+    if (mode === 'players') {
+      return {
+        keys:   players,
+        labels: Object.fromEntries(players.map(p => [p, p])),
+        subs:   {},
+        cells:  headToHead(games, seat => seat.player),
+      }
+    }
+    const top = [...decks]
+      .filter(d => d.games > 0)
+      .sort((a, b) => b.games - a.games)
+      .slice(0, MAX_COMMANDERS)
+    return {
+      keys:   top.map(d => d.id),
+      labels: Object.fromEntries(top.map(d => [d.id, shortCommander(d.commander)])),
+      subs:   Object.fromEntries(top.map(d => [d.id, d.player])),
+      cells:  headToHead(games, seat => seat.deckId),
+    }
+  }, [mode, games, players, decks])
+
+  return (
+    <div ref={cardRef} className="card h2h-card fade-up" style={{ animationDelay: '460ms' }}>
+      <div className="card-header">
+        <h2 className="card-title">Head-to-Head</h2>
+        <div className="sort-group">
+          <span className="sort-label">Compare</span>
+          <SortButton label="Players"    active={mode === 'players'}    onClick={() => setMode('players')}    />
+          <SortButton label="Commanders" active={mode === 'commanders'} onClick={() => setMode('commanders')} />
+        </div>
+      </div>
+
+      <div className="table-scroll">
+        <table className="h2h-table" onMouseLeave={() => setHovered(null)}>
+          <thead>
+            <tr>
+              <th className="h2h-corner">Row win % with column at the table</th>
+              {keys.map(k => (
+                <th key={k} className="h2h-col" title={labels[k]}>
+                  {labels[k]}
+                  {subs[k] && <span className="h2h-sub">{subs[k]}</span>}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {keys.map(row => (
+              <tr key={row}>
+                <th className="h2h-row" title={labels[row]}>
+                  {labels[row]}
+                  {subs[row] && <span className="h2h-sub">{subs[row]}</span>}
+                </th>
+                {keys.map(col => {
+                  const cell = cells[row]?.[col]
+                  if (row === col || !cell) {
+                    return (
+                      <td key={col} className="h2h-cell empty" onMouseEnter={() => setHovered(null)}>
+                        {row === col ? '' : '—'}
+                      </td>
+                    )
+                  }
+                  const wr = winRate(cell.wins, cell.shared)
+                  return (
+                    <td
+                      key={col}
+                      className={`h2h-cell${wr >= 50 ? ' strong' : ''}`}
+                      style={{ background: `rgba(9, 9, 11, ${(wr / 100) * 0.85})` }}
+                      onMouseMove={hover(row, col)}
+                    >
+                      <span className="h2h-pct">{wr}%</span>
+                      <span className="h2h-shared">{cell.shared}</span>
+                    </td>
+                  )
+                })}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {hovered && cells[hovered.row]?.[hovered.col] && (
+        <MatrixTooltip
+          row={labels[hovered.row]}
+          col={labels[hovered.col]}
+          cell={cells[hovered.row][hovered.col]}
+          x={hovered.x}
+          y={hovered.y}
+          flip={hovered.flip}
+        />
+      )}
+
+      {keys.length === 0 && (
+        <div className="empty-state">No shared games yet.</div>
+      )}
+    </div>
+  )
+}
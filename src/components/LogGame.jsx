@@ -0,0 +1,447 @@
+import { useState, useMemo, useEffect } from 'react'
+import { buildGames } from '../lib/games.js'
+import { replayRatings } from '../lib/ratings.js'
+import { winRate } from '../lib/stats.js'
+import { parseDay } from '../lib/period.js'
+import { fetchWorkbook } from '../lib/sources.js'
+import { nextId, readWorkbook, checkGames, assignIds, appendGame, writeWorkbook, XLSX_TYPE } from '../lib/workbook.js'
+import { downloadFile } from '../lib/download.js'
+import { homeHref } from '../hooks/useRoute.js'
+
+// ─── Log a game ───────────────────────────────────────────────────────────────
+// Fill in a pod, check what it does to the numbers, and download the workbook
+// with the game appended — ready to drop into public/ and push. Nothing is
+// saved in the browser; the download is the only output. Reached via #/log.
+
+const NEW = '__new'
+
+let seatKey = 0
+const blankSeat = () => ({ key: ++seatKey, player: '', deckId: '' })
+
+// Today in the visitor's calendar, as the YYYY-MM-DD a date input expects.
+const today = () => {
+  const d = new Date()
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`
+}
+
+const recordOf = (games, matches) => {
+  const seats = games.flatMap(g => g.seats.filter(matches))
+  const wins  = seats.filter(s => s.win).length
+  return { games: seats.length, wins, rate: winRate(wins, seats.length) }
+}
+
+function Change({ before, after, suffix = '', up = after > before }) {
+  if (before === after) return <span className="change-same">{after}{suffix}</span>
+  return (
+    <span className="change">
+      <span className="change-before">{before ?? '—'}{before != null && suffix}</span>
+      {' → '}
+      <span className={up ? 'change-up' : 'change-down'}>{after}{suffix}</span>
+    </span>
+  )
+}
+
+// Inline "new player" / "new deck" inputs, shown in place of a seat's select.
+function NewPlayerForm({ onAdd, onCancel, taken }) {
+  const [name, setName] = useState('')
+  const clean = name.trim()
+  const clash = taken.some(p => p.toLowerCase() === clean.toLowerCase())
+  return (
+    <div className="log-inline">
+      <input
+        className="log-input"
+        placeholder="Player name"
+        value={name}
+        onChange={e => setName(e.target.value)}
+        autoFocus
+      />
+      <button className="sort-btn active" disabled={!clean || clash} onClick={() => onAdd(clean)}>Add</button>
+      <button className="sort-btn" onClick={onCancel}>Cancel</button>
+      {clash && <span className="log-hint">already a player</span>}
+    </div>
+  )
+}
+
+function NewDeckForm({ owner, onAdd, onCancel }) {
+  const [commander, setCommander] = useState('')
+  const [themes, setThemes]       = useState('')
+  const [power, setPower]         = useState('')
+  return (
+    <div className="log-inline">
+      <input
+        className="log-input wide"
+        placeholder={`${owner}’s commander`}
+        value={commander}
+        onChange={e => setCommander(e.target.value)}
+        autoFocus
+      />
+      <input
+        className="log-input"
+        placeholder="Themes, comma separated"
+        value={themes}
+        onChange={e => setThemes(e.target.value)}
+      />
+      <input
+        className="log-input narrow"
+        type="number"
+        min="1"
+        max="10"
+        placeholder="Power"
+        value={power}
+        onChange={e => setPower(e.target.value)}
+      />
+      <button
+        className="sort-btn active"
+        disabled={!commander.trim()}
+        onClick={() => onAdd({
+          commander: commander.trim(),
+          themes:    themes.split(',').map(t => t.trim()).filter(Boolean),
+          power:     power === '' ? null : Number(power),
+        })}
+      >
+        Add
+      </button>
+      <button className="sort-btn" onClick={onCancel}>Cancel</button>
+    </div>
+  )
+}
+
+export default function LogGame({ players, decks, sessions, gamePlayers, source, baseUrl }) {
+  const [date, setDate]             = useState(today)
+  const [location, setLocation]     = useState('')
+  const [notes, setNotes]           = useState('')
+  const [seats, setSeats]           = useState(() => [blankSeat(), blankSeat(), blankSeat(), blankSeat()])
+  const [winner, setWinner]         = useState(null) // seat key
+  const [newPlayers, setNewPlayers] = useState([])
+  const [newDecks, setNewDecks]     = useState([])
+  const [adding, setAdding]         = useState(null) // { kind: 'player' | 'deck', key }
+  const [exporting, setExporting]   = useState(false)
+  const [exportError, setExportError] = useState(null)
+  const [exported, setExported]     = useState(null) // GameID of the last download
+
+  const allPlayers = [...players, ...newPlayers]
+  const allDecks   = [...decks, ...newDecks]
+  const deckById   = Object.fromEntries(allDecks.map(d => [d.id, d]))
+  // Provisional: the download takes its IDs from the workbook it's written into.
+  const gameId     = nextId(sessions.map(s => s.id), 'G')
+
+  // Until a downloaded game has been pushed and the data reloaded, another
+  // download is written into the same workbook, so it replaces that game
+  // rather than adding to it (say, to fix a typo). Once it lands, the form
+  // starts afresh.
+  const pending = exported != null && !sessions.some(s => s.id === exported)
+  useEffect(() => {
+    if (exported == null || pending) return
+    setSeats([blankSeat(), blankSeat(), blankSeat(), blankSeat()])
+    setWinner(null)
+    setNotes('')
+    setNewPlayers([])
+    setNewDecks([])
+    setExported(null)
+  }, [exported, pending])
+
+  const locations = useMemo(
+    () => [...new Set(sessions.map(s => s.location).filter(Boolean))].sort(),
+    [sessions])
+
+  const updateSeat = (key, change) =>
+    setSeats(prev => prev.map(s => (s.key === key ? { ...s, ...change } : s)))
+
+  const removeSeat = (key) => {
+    setSeats(prev => prev.filter(s => s.key !== key))
+    if (winner === key) setWinner(null)
+  }
+
+  const pickPlayer = (seat, value) => {
+    if (value === NEW) return setAdding({ kind: 'player', key: seat.key })
+    // A player's own deck is the likely pick; clear one that belonged to someone else.
+    const own = allDecks.filter(d => d.player === value)
+    updateSeat(seat.key, {
+      player: value,
+      deckId: own.length === 1 ? own[0].id : deckById[seat.deckId]?.player === value ? seat.deckId : '',
+    })
+  }
+
+  const pickDeck = (seat, value) => {
+    if (value === NEW) return setAdding({ kind: 'deck', key: seat.key })
+    updateSeat(seat.key, { deckId: value })
+  }
+
+  const addPlayer = (key, name) => {
+    setNewPlayers(prev => [...prev, name])
+    updateSeat(key, { player: name, deckId: '' })
+    setAdding(null)
+  }
+
+  const addDeck = (seat, deck) => {
+    const id = nextId(allDecks.map(d => d.id), 'D')
+    setNewDecks(prev => [...prev, { ...deck, id, player: seat.player, archidektId: null }])
+    updateSeat(seat.key, { deckId: id })
+    setAdding(null)
+  }
+
+  // ── The game as entered ──────────────────────────────────────────────────
+  const filled = seats.filter(s => s.player || s.deckId)
+  const entry  = {
+    gameId,
+    date:     parseDay(date),
+    location: location.trim(),
+    notes:    notes.trim(),
+    seats:    filled.map(s => ({
+      player:    s.player,
+      deckId:    s.deckId,
+      commander: deckById[s.deckId]?.commander ?? '',
+      win:       s.key === winner,
+    })),
+    newPlayers,
+    newDecks,
+  }
+
+  const problems = []
+  if (!entry.date) problems.push('Pick a date.')
+  if (filled.length < 2) problems.push('Seat at least two players.')
+  if (filled.some(s => !s.player || !s.deckId)) problems.push('Every seat needs a player and a deck.')
+  const names = filled.map(s => s.player).filter(Boolean)
+  if (new Set(names).size < names.length) problems.push('A player is seated twice.')
+  if (!filled.some(s => s.key === winner)) problems.push('Pick the winner.')
+  const ready = problems.length === 0
+
+  // ── Preview: all-time numbers before and after this game ────────────────
+  // Recomputed on every edit; replaying a season of games is cheap.
+  const preview = ready && (() => {
+    const before  = buildGames(sessions, gamePlayers)
+    const after   = buildGames(
+      [...sessions, { id: gameId, date: entry.date, location: entry.location || null, players: entry.seats.length, notes: entry.notes || null }],
+      [...gamePlayers, ...entry.seats.map(s => ({ ...s, gameId }))],
+    )
+    const ratingsBefore = replayRatings(before)
+    const ratingsAfter  = replayRatings(after)
+    return entry.seats.map(s => ({
+      seat:   s,
+      player: {
+        before: recordOf(before, x => x.player === s.player),
+        after:  recordOf(after,  x => x.player === s.player),
+        rating: [ratingsBefore.players[s.player], ratingsAfter.players[s.player]],
+      },
+      deck: {
+        before: recordOf(before, x => x.deckId === s.deckId),
+        after:  recordOf(after,  x => x.deckId === s.deckId),
+        rating: [ratingsBefore.decks[s.deckId], ratingsAfter.decks[s.deckId]],
+      },
+    }))
+  })()
+
+  const filename = source.path.split('/').pop()
+
+  const exportWorkbook = async () => {
+    setExporting(true)
+    setExportError(null)
+    try {
+      const wb = readWorkbook(await fetchWorkbook(source, { baseUrl }))
+      checkGames(wb, sessions.map(s => s.id))
+      const logged = assignIds(wb, entry)
+      downloadFile(writeWorkbook(appendGame(wb, logged)), filename, XLSX_TYPE)
+      setExported(logged.gameId)
+    } catch (err) {
+      setExportError(err.reason ?? err.message)
+    } finally {
+      setExporting(false)
+    }
+  }
+
+  const round = (r) => (r == null ? null : Math.round(r))
+
+  return (
+    <div className="log-page">
+      <a href={homeHref()} className="back-link fade-up">← Dashboard</a>
+
+      <div className="card fade-up" style={{ animationDelay: '40ms' }}>
+        <div className="card-header">
+          <h2 className="card-title">Log a game</h2>
+          <span className="card-hint">{gameId}</span>
+        </div>
+
+        <div className="log-fields">
+          <label className="log-field">
+            <span className="log-label">Date</span>
+            <input type="date" className="log-input" value={date} onChange={e => setDate(e.target.value)} />
+          </label>
+          <label className="log-field">
+            <span className="log-label">Location</span>
+            <input
+              className="log-input"
+              list="log-locations"
+              value={location}
+              onChange={e => setLocation(e.target.value)}
+            />
+            <datalist id="log-locations">
+              {locations.map(l => <option key={l} value={l} />)}
+            </datalist>
+          </label>
+          <label className="log-field grow">
+            <span className="log-label">Notes</span>
+            <input className="log-input" value={notes} onChange={e => setNotes(e.target.value)} />
+          </label>
+        </div>
+
+        <table className="deck-table compact log-seats">
+          <thead>
+            <tr>
+              <th className="col-left">Player</th>
+              <th className="col-left">Deck</th>
+              <th className="col-center">Winner</th>
+              <th />
+            </tr>
+          </thead>
+          <tbody>
+            {seats.map(seat => {
+              const own    = allDecks.filter(d => d.player === seat.player)
+              const others = allDecks.filter(d => d.player !== seat.player)
+              return (
+                <tr key={seat.key}>
+                  <td>
+                    {adding?.kind === 'player' && adding.key === seat.key ? (
+                      <NewPlayerForm
+                        taken={allPlayers}
+                        onAdd={name => addPlayer(seat.key, name)}
+                        onCancel={() => setAdding(null)}
+                      />
+                    ) : (
+                      <select className="log-input" value={seat.player} onChange={e => pickPlayer(seat, e.target.value)}>
+                        <option value="">Player…</option>
+                        {allPlayers.map(p => <option key={p} value={p}>{p}</option>)}
+                        <option value={NEW}>+ New player…</option>
+                      </select>
+                    )}
+                  </td>
+                  <td>
+                    {adding?.kind === 'deck' && adding.key === seat.key ? (
+                      <NewDeckForm
+                        owner={seat.player}
+                        onAdd={deck => addDeck(seat, deck)}
+                        onCancel={() => setAdding(null)}
+                      />
+                    ) : (
+                      <select
+                        className="log-input wide"
+                        value={seat.deckId}
+                        disabled={!seat.player}
+                        onChange={e => pickDeck(seat, e.target.value)}
+                      >
+                        <option value="">Deck…</option>
+                        {own.length > 0 && (
+                          <optgroup label={`${seat.player}’s decks`}>
+                            {own.map(d => <option key={d.id} value={d.id}>{d.commander}</option>)}
+                          </optgroup>
+                        )}
+                        <optgroup label="Borrowed">
+                          {others.map(d => <option key={d.id} value={d.id}>{d.commander} ({d.player})</option>)}
+                        </optgroup>
+                        <option value={NEW}>+ New deck for {seat.player}…</option>
+                      </select>
+                    )}
+                  </td>
+                  <td className="td-center">
+                    <input
+                      type="radio"
+                      name="log-winner"
+                      aria-label={`${seat.player || 'This seat'} won`}
+                      checked={winner === seat.key}
+                      onChange={() => setWinner(seat.key)}
+                    />
+                  </td>
+                  <td className="td-num">
+                    <button className="log-remove" onClick={() => removeSeat(seat.key)} aria-label="Remove seat">×</button>
+                  </td>
+                </tr>
+              )
+            })}
+          </tbody>
+        </table>
+
+        <div className="log-actions">
+          <button className="sort-btn" onClick={() => setSeats(prev => [...prev, blankSeat()])}>+ Seat</button>
+          {(newPlayers.length > 0 || newDecks.length > 0) && (
+            <span className="log-hint">
+              Adding {[
+                newPlayers.length && `${newPlayers.length} player${newPlayers.length > 1 ? 's' : ''}`,
+                newDecks.length && `${newDecks.length} deck${newDecks.length > 1 ? 's' : ''}`,
+              ].filter(Boolean).join(' and ')} to the workbook
+            </span>
+          )}
+        </div>
+      </div>
+
+      {/* ── Preview ────────────────────────────────────── */}
+      <div className="card fade-up" style={{ animationDelay: '80ms' }}>
+        <div className="card-header">
+          <h2 className="card-title">What changes</h2>
+          <span className="card-hint">all-time, including this game</span>
+        </div>
+
+        {!ready ? (
+          <ul className="log-problems">
+            {problems.map(p => <li key={p}>{p}</li>)}
+          </ul>
+        ) : (
+          <div className="table-scroll">
+            <table className="deck-table compact">
+              <thead>
+                <tr>
+                  <th className="col-left">Seat</th>
+                  <th className="col-right">Player games</th>
+                  <th className="col-right">Player win rate</th>
+                  <th className="col-right">Player rating</th>
+                  <th className="col-right">Deck record</th>
+                  <th className="col-right">Deck rating</th>
+                </tr>
+              </thead>
+              <tbody>
+                {preview.map(({ seat, player, deck }) => (
+                  <tr key={seat.player}>
+                    <td className="td-commander">
+                      <span className="player-badge">{seat.player}</span>{' '}
+                      {seat.commander}
+                      {seat.win && <span className="log-won">Win</span>}
+                    </td>
+                    <td className="td-num"><Change before={player.before.games} after={player.after.games} /></td>
+                    <td className="td-num"><Change before={player.before.rate} after={player.after.rate} suffix="%" /></td>
+                    <td className="td-num"><Change before={round(player.rating[0])} after={round(player.rating[1])} /></td>
+                    <td className="td-num">
+                      <Change
+                        before={`${deck.before.wins}–${deck.before.games - deck.before.wins}`}
+                        after={`${deck.after.wins}–${deck.after.games - deck.after.wins}`}
+                        up={seat.win}
+                      />
+                    </td>
+                    <td className="td-num"><Change before={round(deck.rating[0])} after={round(deck.rating[1])} /></td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        <div className="log-actions">
+          <button
+            className="sort-btn active"
+            disabled={!ready || exporting || source.type !== 'xlsx'}
+            onClick={exportWorkbook}
+          >
+            {exporting ? 'Preparing…' : `Download ${filename}`}
+          </button>
+          {source.type !== 'xlsx' && (
+            <span className="log-hint">Downloads need the xlsx data source.</span>
+          )}
+          {exportError && <span className="log-error">{exportError}</span>}
+          {pending && !exportError && (
+            <span className="log-hint">
+              {exported} added. Replace <code>public/{source.path}</code> with the download and push.
+              Until the dashboard picks it up, downloading again replaces {exported} instead of adding a game.
+            </span>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
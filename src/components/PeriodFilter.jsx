@@ -0,0 +1,70 @@
+import { SortButton } from './controls.jsx'
+import { PRESETS, ALL_TIME, parseDay, formatDay } from '../lib/period.js'
+
+// ─── Period filter ────────────────────────────────────────────────────────────
+// Global date filter shown under the header. Year and Season open a picker;
+// Custom shows a from/to pair of date inputs.
+
+export default function PeriodFilter({ period, onChange, years, seasons }) {
+  const pick = (kind) => {
+    if (kind === 'all')    return onChange(ALL_TIME)
+    if (kind === 'year')   return onChange({ kind, year: period.year ?? years[0] ?? new Date().getUTCFullYear() })
+    if (kind === 'season') return onChange({ kind, season: period.season ?? seasons[0]?.name })
+    if (kind === 'custom') return onChange({ kind, start: period.start ?? null, end: period.end ?? null })
+    onChange({ kind })
+  }
+
+  return (
+    <div className="period-bar fade-up" style={{ animationDelay: '40ms' }}>
+      <span className="sort-label">Period</span>
+      {PRESETS
+        .filter(p => p.kind !== 'season' || seasons.length > 0)
+        .map(p => (
+          <SortButton
+            key={p.kind}
+            label={p.label}
+            active={period.kind === p.kind}
+            onClick={() => pick(p.kind)}
+          />
+        ))}
+
+      {period.kind === 'year' && (
+        <select
+          className="period-select"
+          value={period.year}
+          onChange={e => onChange({ kind: 'year', year: Number(e.target.value) })}
+        >
+          {years.map(y => <option key={y} value={y}>{y}</option>)}
+        </select>
+      )}
+
+      {period.kind === 'season' && (
+        <select
+          className="period-select"
+          value={period.season}
+          onChange={e => onChange({ kind: 'season', season: e.target.value })}
+        >
+          {seasons.map(s => <option key={s.name} value={s.name}>{s.name}</option>)}
+        </select>
+      )}
+
+      {period.kind === 'custom' && (
+        <span className="period-range">
+          <input
+            type="date"
+            className="period-date"
+            value={formatDay(period.start)}
+            onChange={e => onChange({ ...period, start: parseDay(e.target.value) })}
+          />
+          <span className="period-to">to</span>
+          <input
+            type="date"
+            className="period-date"
+            value={formatDay(period.end)}
+            onChange={e => onChange({ ...period, end: parseDay(e.target.value) })}
+          />
+        </span>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,369 @@
+import { useMemo } from 'react'
+import {
+  LineChart, Line, XAxis, YAxis, Tooltip,
+  ResponsiveContainer,
+} from 'recharts'
+import { AboveExpected, StatCard, WinBar } from './StatCard.jsx'
+import ThemeChips from './ThemeChips.jsx'
+import AchievementFeed, { Badges } from './Achievements.jsx'
+import { formatDate } from '../lib/games.js'
+import { headToHead } from '../lib/headToHead.js'
+import { winRate, winStreaks } from '../lib/stats.js'
+import { achievementBadges } from '../lib/achievements.js'
+import {
+  aboveExpected, expectedShare, formatAboveExpected, expectationBreakdown, podSizeOf, locationGrouper,
+} from '../lib/expectation.js'
+import { COLOR_NAME } from '../lib/colors.js'
+import { homeHref, deckHref, playerHref } from '../hooks/useRoute.js'
+
+// ─── Player page ──────────────────────────────────────────────────────────────
+// One player's corner of the pod: their deck portfolio, what they like to
+// build, how their win rate has moved, and who they beat (or lose to) most.
+// Reached via #/player/<PlayerName>.
+
+// Sorts a { key → count } tally into [{ key, count }], biggest first.
+const ranked = (tally) =>
+  Object.entries(tally)
+    .map(([key, count]) => ({ key, count }))
+    .sort((a, b) => b.count - a.count)
+
+function WinRateTooltip({ active, payload }) {
+  if (!active || !payload?.length) return null
+  const point = payload[0].payload
+  return (
+    <div className="chart-tooltip">
+      <div className="tooltip-player">{point.game} · {formatDate(point.date)}</div>
+      <div className="tooltip-row">
+        <span>{point.commander}</span>
+        <strong>{point.won ? 'Win' : 'Loss'}</strong>
+      </div>
+      <div className="tooltip-row">
+        <span>Win rate</span>
+        <strong>{point.rate}%</strong>
+      </div>
+    </div>
+  )
+}
+
+export default function PlayerPage({ player, players, decks, games, rating, achievements = [], cardColors, onTheme }) {
+  const playerDecks = useMemo(
+    () => decks.filter(d => d.player === player), [decks, player])
+
+  // This player's seat in each game they played, oldest first.
+  const seats = useMemo(() =>
+    games.flatMap(g => g.seats
+      .filter(s => s.player === player)
+      .map(s => ({ ...s, game: g }))),
+  [games, player])
+
+  const wins     = seats.filter(s => s.win).length
+  const expected = seats.reduce((sum, s) => sum + expectedShare(s.game), 0)
+  const streaks  = winStreaks(seats.map(s => s.win))
+
+  // Their record split by pod size and by location, against 1 in N.
+  const splits = useMemo(() => {
+    const mine = seat => (seat.player === player ? player : null)
+    const rows = (groupOf) => {
+      const { groups, cells } = expectationBreakdown(games, mine, groupOf)
+      return groups.filter(g => cells[player]?.[g]).map(g => ({ group: g, ...cells[player][g] }))
+    }
+    return [
+      { title: 'By pod size', label: g => `${g}-player`, rows: rows(podSizeOf) },
+      { title: 'By location', label: g => g,             rows: rows(locationGrouper(games)) },
+    ]
+  }, [games, player])
+
+  const timeline = useMemo(() => {
+    let won = 0
+    return seats.map((s, i) => {
+      if (s.win) won++
+      return {
+        game:      s.game.id,
+        date:      s.game.date,
+        commander: s.commander,
+        won:       s.win,
+        rate:      winRate(won, i + 1),
+      }
+    })
+  }, [seats])
+
+  const portfolio = useMemo(() =>
+    playerDecks
+      .filter(d => d.games > 0)
+      .sort((a, b) => b.games - a.games),
+  [playerDecks])
+
+  // Colors and themes weighted by games played, so the decks that actually
+  // hit the table count for more than the ones gathering dust.
+  const favourites = useMemo(() => {
+    const colors = {}
+    const themes = {}
+    portfolio.forEach(d => {
+      (cardColors[d.commander] ?? []).forEach(c => { colors[c] = (colors[c] ?? 0) + d.games })
+      d.themes.forEach(t => { themes[t] = (themes[t] ?? 0) + d.games })
+    })
+    return { colors: ranked(colors), themes: ranked(themes).slice(0, 5) }
+  }, [portfolio, cardColors])
+
+  // Nemesis: the opponent who has won the most games with this player at the
+  // table. Favourite victim: the opponent present for the most of their wins.
+  const rivals = useMemo(() => {
+    const h2h = headToHead(games, seat => seat.player)
+    const against = Object.entries(h2h[player] ?? {}).map(([opponent, cell]) => ({
+      opponent,
+      shared: cell.shared,
+      beaten: cell.wins,
+      lost:   h2h[opponent]?.[player]?.wins ?? 0,
+    }))
+    const top = (key) => [...against]
+      .filter(a => a[key] > 0)
+      .sort((a, b) => b[key] - a[key] || b[key] / b.shared - a[key] / a.shared)[0] ?? null
+    return { nemesis: top('lost'), victim: top('beaten') }
+  }, [games, player])
+
+  const untouched = playerDecks.filter(d => d.games === 0)
+
+  // Everything they earned, their decks' awards included.
+  const earned = useMemo(
+    () => achievements.filter(e => e.player === player), [achievements, player])
+  const deckBadges = useMemo(() => achievementBadges(earned, 'deck'), [earned])
+
+  if (!players.includes(player)) {
+    return (
+      <div className="card fade-up">
+        <div className="empty-state">
+          No player named “{player}”. <a href={homeHref()} className="commander-link">Back to the dashboard</a>
+        </div>
+      </div>
+    )
+  }
+
+  return (
+    <div className="player-page">
+      <a href={homeHref()} className="back-link fade-up">← Dashboard</a>
+
+      <div className="profile-head fade-up" style={{ animationDelay: '40ms' }}>
+        <p className="header-eyebrow">Player profile</p>
+        <h2 className="deck-title">{player}</h2>
+        <div className="profile-favourites">
+          {favourites.colors.length > 0 && (
+            <span className="color-identity">
+              {favourites.colors.map(({ key, count }) => (
+                <span key={key} className={`color-chip color-${key}`} title={`${count} deck-games`}>
+                  {COLOR_NAME[key] ?? key}
+                </span>
+              ))}
+            </span>
+          )}
+          <ThemeChips themes={favourites.themes.map(t => t.key)} onPick={onTheme} />
+        </div>
+        <Badges badges={achievementBadges(earned, 'player')[player]} labelled />
+      </div>
+
+      <div className="stat-grid">
+        <StatCard label="Games"    value={seats.length} sub={`${playerDecks.length} decks owned`} delay={0} />
+        <StatCard label="Wins"     value={wins} sub={`${seats.length - wins} losses`} delay={80} />
+        <StatCard
+          label="Win Rate"
+          value={seats.length ? winRate(wins, seats.length) : '—'}
+          suffix={seats.length ? '%' : ''}
+          sub={seats.length
+            ? `${wins} of ${seats.length} · ${formatAboveExpected(aboveExpected({ wins, expected }))} vs expected`
+            : 'no games yet'}
+          delay={160}
+        />
+        <StatCard
+          label="Rating"
+          value={rating != null ? Math.round(rating) : '—'}
+          sub="multiplayer Elo"
+          delay={240}
+        />
+      </div>
+
+      <div className="stat-grid">
+        <StatCard label="Current Streak" value={streaks.current} sub="wins in a row" delay={60} />
+        <StatCard label="Longest Streak" value={streaks.longest} sub="best run" delay={140} />
+        <StatCard
+          label="Nemesis"
+          value={rivals.nemesis?.opponent ?? '—'}
+          sub={rivals.nemesis
+            ? `won ${rivals.nemesis.lost} of ${rivals.nemesis.shared} together`
+            : 'nobody yet'}
+          delay={220}
+        />
+        <StatCard
+          label="Favourite Victim"
+          value={rivals.victim?.opponent ?? '—'}
+          sub={rivals.victim
+            ? `beaten ${rivals.victim.beaten} of ${rivals.victim.shared}`
+            : 'nobody yet'}
+          delay={300}
+        />
+      </div>
+
+      {/* ── Win rate over time ─────────────────────────── */}
+      {timeline.length > 0 && (
+        <div className="card fade-up" style={{ animationDelay: '260ms' }}>
+          <div className="card-header">
+            <h2 className="card-title">Win Rate Over Time</h2>
+            <span className="card-hint">cumulative, by game</span>
+          </div>
+          <div className="card-body">
+            <ResponsiveContainer width="100%" height={200}>
+              <LineChart data={timeline} margin={{ top: 4, right: 8, left: -22, bottom: 0 }}>
+                <XAxis
+                  dataKey="game"
+                  tick={{ fill: '#a1a1aa', fontSize: 10, fontFamily: 'Roboto, sans-serif' }}
+                  axisLine={false}
+                  tickLine={false}
+                  minTickGap={16}
+                />
+                <YAxis
+                  domain={[0, 100]}
+                  unit="%"
+                  tick={{ fill: '#d4d4d8', fontSize: 10, fontFamily: 'Roboto, sans-serif' }}
+                  axisLine={false}
+                  tickLine={false}
+                />
+                <Tooltip content={<WinRateTooltip />} cursor={{ stroke: '#e4e4e7' }} />
+                <Line
+                  dataKey="rate"
+                  type="monotone"
+                  stroke="#09090b"
+                  strokeWidth={2}
+                  dot={({ cx, cy, payload }) => (
+                    <circle
+                      key={payload.game}
+                      cx={cx}
+                      cy={cy}
+                      r={3}
+                      fill={payload.won ? '#09090b' : '#fff'}
+                      stroke="#09090b"
+                    />
+                  )}
+                  isAnimationActive={false}
+                />
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+        </div>
+      )}
+
+      {/* ── Pod size and location ──────────────────────── */}
+      {seats.length > 0 && (
+        <div className="card fade-up" style={{ animationDelay: '290ms' }}>
+          <div className="card-header">
+            <h2 className="card-title">Where {player} Wins</h2>
+            <span className="card-hint">against 1 win in N at an N-player table</span>
+          </div>
+          <div className="split-tables">
+            {splits.map(s => (
+              <div key={s.title} className="table-scroll">
+                <table className="deck-table compact">
+                  <thead>
+                    <tr>
+                      <th className="col-left">{s.title}</th>
+                      <th className="col-right">Games</th>
+                      <th className="col-right">Wins</th>
+                      <th className="col-right">Win Rate</th>
+                      <th className="col-right">vs Exp.</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {s.rows.map(r => (
+                      <tr key={r.group}>
+                        <td>{s.label(r.group)}</td>
+                        <td className="td-num">{r.games}</td>
+                        <td className="td-num">{r.wins || <span className="num-zero">—</span>}</td>
+                        <td className="td-num"><WinBar wins={r.wins} games={r.games} /></td>
+                        <td className="td-num"><AboveExpected {...r} /></td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {/* ── Achievements ───────────────────────────────── */}
+      {earned.length > 0 && (
+        <AchievementFeed events={earned} title="Achievements" delay={300} />
+      )}
+
+      {/* ── Deck portfolio ─────────────────────────────── */}
+      <div className="card fade-up" style={{ animationDelay: '320ms' }}>
+        <div className="card-header">
+          <h2 className="card-title">Deck Portfolio</h2>
+        </div>
+        {portfolio.length > 0 ? (
+          <div className="table-scroll">
+            <table className="deck-table compact">
+              <thead>
+                <tr>
+                  <th className="col-left">Commander</th>
+                  <th className="col-right">Games</th>
+                  <th className="col-right">Share</th>
+                  <th className="col-right">Wins</th>
+                  <th className="col-right">Win Rate</th>
+                  <th className="col-right">vs Exp.</th>
+                </tr>
+              </thead>
+              <tbody>
+                {portfolio.map(d => (
+                  <tr key={d.id}>
+                    <td className="td-commander">
+                      <a href={deckHref(d.id)} className="commander-link">{d.commander}</a>
+                      <Badges badges={deckBadges[d.id]} />
+                    </td>
+                    <td className="td-num">{d.games}</td>
+                    <td className="td-num">
+                      <div className="winbar">
+                        <div className="winbar-track">
+                          <div
+                            className="winbar-fill"
+                            style={{ width: `${winRate(d.games, seats.length)}%` }}
+                          />
+                        </div>
+                        <span className="winbar-pct">{winRate(d.games, seats.length)}%</span>
+                      </div>
+                    </td>
+                    <td className="td-num">{d.wins || <span className="num-zero">—</span>}</td>
+                    <td className="td-num"><WinBar wins={d.wins} games={d.games} /></td>
+                    <td className="td-num"><AboveExpected {...d} /></td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        ) : (
+          <div className="empty-state">No games for {player} in the selected period.</div>
+        )}
+      </div>
+
+      {/* ── Untouched decks ────────────────────────────── */}
+      {untouched.length > 0 && (
+        <div className="card fade-up" style={{ animationDelay: '380ms' }}>
+          <div className="card-header">
+            <h2 className="card-title">Graveyard of Dreams</h2>
+            <span className="card-hint">{untouched.length} unplayed</span>
+          </div>
+          <ul className="graveyard-list">
+            {untouched.map(d => (
+              <li key={d.id}>
+                <a href={deckHref(d.id)} className="commander-link">{d.commander}</a>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      <div className="profile-others">
+        {players.filter(p => p !== player).map(p => (
+          <a key={p} href={playerHref(p)} className="player-pill">{p}</a>
+        ))}
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,133 @@
+import { useMemo, useState } from 'react'
+import { PlayerPill, SortButton } from './controls.jsx'
+import { formatDate } from '../lib/games.js'
+import { podSizes, proposePods } from '../lib/matchmaking.js'
+import { homeHref, deckHref, playerHref } from '../hooks/useRoute.js'
+
+// ─── Pod builder ──────────────────────────────────────────────────────────────
+// Tick off who turned up; get a few ways to split them into pods, with a deck
+// for every seat. Proposals come from proposePods, which weighs balance,
+// unplayed decks and recent rematches; Reroll draws a fresh set.
+// Reached via #/pods.
+
+const newSeed = () => Math.floor(Math.random() * 2 ** 31)
+
+export default function PodBuilder({ players, decks, games }) {
+  const [present, setPresent] = useState(() => new Set(players))
+  const [seed, setSeed]       = useState(newSeed)
+
+  const attendees = useMemo(() => players.filter(p => present.has(p)), [players, present])
+
+  const options = useMemo(
+    () => (attendees.length >= 2 ? proposePods(attendees, { decks, games, seed }) : []),
+    [attendees, decks, games, seed])
+
+  const toggle = (player) => setPresent(prev => {
+    const next = new Set(prev)
+    next.has(player) ? next.delete(player) : next.add(player)
+    return next
+  })
+
+  return (
+    <div className="pods-page">
+      <a href={homeHref()} className="back-link fade-up">← Dashboard</a>
+
+      <div className="card fade-up" style={{ animationDelay: '40ms' }}>
+        <div className="card-header">
+          <h2 className="card-title">Who’s playing tonight?</h2>
+          <div className="sort-group">
+            <span className="sort-label">
+              {attendees.length} player{attendees.length === 1 ? '' : 's'}
+              {attendees.length >= 2 && ` · tables of ${podSizes(attendees.length).join(' + ')}`}
+            </span>
+            <SortButton label="Everyone" active={false} onClick={() => setPresent(new Set(players))} />
+            <SortButton label="Nobody"   active={false} onClick={() => setPresent(new Set())} />
+            <div className="sort-divider" aria-hidden="true" />
+            <SortButton label="↻ Reroll" active={false} onClick={() => setSeed(newSeed())} />
+          </div>
+        </div>
+        <div className="card-subheader">
+          <div className="pill-group">
+            {players.map(p => (
+              <PlayerPill key={p} player={p} active={present.has(p)} onClick={() => toggle(p)} />
+            ))}
+          </div>
+        </div>
+      </div>
+
+      {options.length === 0 && (
+        <div className="card fade-up" style={{ animationDelay: '100ms' }}>
+          <div className="empty-state">Pick at least two players to build pods.</div>
+        </div>
+      )}
+
+      {options.map((option, i) => (
+        <div key={`${seed}-${i}`} className="card fade-up" style={{ animationDelay: `${100 + i * 60}ms` }}>
+          <div className="card-header">
+            <h2 className="card-title">Option {i + 1}</h2>
+            <div className="pod-option-meta">
+              <span className="card-hint">
+                {option.fresh > 0 && `${option.fresh} unplayed deck${option.fresh === 1 ? '' : 's'} · `}
+                {option.repeats.length
+                  ? `${option.repeats.length} recent rematch${option.repeats.length === 1 ? '' : 'es'}`
+                  : 'no recent rematches'}
+              </span>
+              <span className="pod-balance" title="100 means every seat has an even 1-in-N shot">
+                Balance {option.balance}
+              </span>
+            </div>
+          </div>
+
+          <div className="pod-grid">
+            {option.pods.map((pod, j) => (
+              <div key={j} className="pod-table">
+                <div className="pod-table-head">
+                  <span>Pod {j + 1} · {pod.seats.length} players</span>
+                  <span className="pod-table-balance">balance {pod.balance}</span>
+                </div>
+                <table className="deck-table compact">
+                  <thead>
+                    <tr>
+                      <th className="col-left">Player</th>
+                      <th className="col-left">Deck</th>
+                      <th className="col-right" title="EstPower from the Decks sheet">Power</th>
+                      <th className="col-right">Games</th>
+                      <th className="col-right" title="estimated from power and win rates">Win chance</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {pod.seats.map(seat => (
+                      <tr key={seat.player}>
+                        <td><a href={playerHref(seat.player)} className="player-badge">{seat.player}</a></td>
+                        <td className="td-commander">
+                          {seat.deck
+                            ? <a href={deckHref(seat.deck.id)} className="commander-link">{seat.deck.commander}</a>
+                            : <span className="num-zero">borrow one</span>}
+                        </td>
+                        <td className="td-num">{seat.deck?.power ?? <span className="num-zero">—</span>}</td>
+                        <td className="td-num">
+                          {!seat.deck
+                            ? <span className="num-zero">—</span>
+                            : seat.deck.games || <span className="pod-fresh">new</span>}
+                        </td>
+                        <td className="td-num">{Math.round(seat.chance * 100)}%</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            ))}
+          </div>
+
+          {option.repeats.length > 0 && (
+            <div className="pod-repeats">
+              Rematches: {option.repeats
+                .map(r => `${r.players.join(' & ')} (${formatDate(r.date, { year: undefined })})`)
+                .join(', ')}
+            </div>
+          )}
+        </div>
+      ))}
+    </div>
+  )
+}
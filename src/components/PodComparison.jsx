@@ -0,0 +1,187 @@
+import { useEffect, useMemo, useState } from 'react'
+import { Toggle } from './controls.jsx'
+import { AboveExpected, StatCard } from './StatCard.jsx'
+import { formatDate } from '../lib/games.js'
+import { winRate } from '../lib/stats.js'
+import { loadPods, podComparison } from '../lib/pods.js'
+import { homeHref, podHref } from '../hooks/useRoute.js'
+
+// ─── All pods, combined ───────────────────────────────────────────────────────
+// Every pod side by side, and everyone who plays in them: each player's
+// record in each pod they belong to and across all of them. Players are
+// matched by name, or through a pod's alias table (see PODS in config.js).
+// Reached via #/combined; covers all time, since each pod has its own seasons.
+
+const WinRate = ({ wins, games }) =>
+  (games ? `${winRate(wins, games)}%` : <span className="num-zero">—</span>)
+
+function PodColumns() {
+  return (
+    <>
+      <th className="col-right pod-group-start">Games</th>
+      <th className="col-right">Wins</th>
+      <th className="col-right">Win Rate</th>
+    </>
+  )
+}
+
+// A player's record in one pod, linking to their page there.
+function PodCells({ podId, standing }) {
+  return (
+    <>
+      <td className="td-num pod-group-start">
+        <a href={podHref(podId, `player/${encodeURIComponent(standing.name)}`)} className="commander-link">
+          {standing.games}
+        </a>
+      </td>
+      <td className="td-num">{standing.wins || <span className="num-zero">—</span>}</td>
+      <td className="td-num"><WinRate {...standing} /></td>
+    </>
+  )
+}
+
+export default function PodComparison({ pods, baseUrl }) {
+  const [loaded, setLoaded] = useState(null) // loadPods results
+  const [shared, setShared] = useState(false)
+
+  useEffect(() => {
+    let stale = false
+    loadPods(pods, { baseUrl }).then(results => { if (!stale) setLoaded(results) })
+    return () => { stale = true }
+  }, [pods, baseUrl])
+
+  const failed = loaded?.filter(r => r.error) ?? []
+  const comparison = useMemo(
+    () => loaded && podComparison(loaded.filter(r => r.model)), [loaded])
+
+  if (!comparison) {
+    return <div className="card fade-up"><div className="empty-state">Loading every pod…</div></div>
+  }
+
+  const { pods: summary, rows } = comparison
+  const active    = rows.filter(r => r.combined.games > 0)
+  const crossPod  = active.filter(r => Object.values(r.pods).filter(s => s.games > 0).length > 1)
+  const shown     = shared ? crossPod : active
+  const podsShown = summary.filter(p => p.games > 0)
+
+  return (
+    <div className="pod-comparison">
+      <a href={homeHref()} className="back-link fade-up">← Dashboard</a>
+
+      <div className="stat-grid">
+        <StatCard label="Pods" value={summary.length} sub="playgroups tracked" delay={0} />
+        <StatCard
+          label="Games"
+          value={summary.reduce((n, p) => n + p.games, 0)}
+          sub="across every pod"
+          delay={80}
+        />
+        <StatCard label="Players" value={active.length} sub="who have sat down" delay={160} />
+        <StatCard label="Travellers" value={crossPod.length} sub="play in more than one pod" delay={240} />
+      </div>
+
+      {failed.length > 0 && (
+        <div className="card fade-up" role="alert">
+          <ul className="log-problems">
+            {failed.map(({ pod, error }) => (
+              <li key={pod.id}>
+                Couldn’t load {pod.name}: {error.file ? `${error.file} — ${error.reason}` : error.message}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {/* ── Pods ───────────────────────────────────────── */}
+      <div className="card fade-up" style={{ animationDelay: '200ms' }}>
+        <div className="card-header">
+          <h2 className="card-title">Pods</h2>
+        </div>
+        <div className="table-scroll">
+          <table className="deck-table compact">
+            <thead>
+              <tr>
+                <th className="col-left">Pod</th>
+                <th className="col-right">Games</th>
+                <th className="col-right">Players</th>
+                <th className="col-right">Decks</th>
+                <th className="col-right">Last game</th>
+              </tr>
+            </thead>
+            <tbody>
+              {summary.map(p => (
+                <tr key={p.id}>
+                  <td className="td-commander"><a href={podHref(p.id)} className="commander-link">{p.name}</a></td>
+                  <td className="td-num">{p.games}</td>
+                  <td className="td-num">{p.players}</td>
+                  <td className="td-num">{p.decks}</td>
+                  <td className="td-num">{p.last ? formatDate(p.last) : <span className="num-zero">—</span>}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      {/* ── Players across pods ────────────────────────── */}
+      <div className="card fade-up" style={{ animationDelay: '280ms' }}>
+        <div className="card-header">
+          <h2 className="card-title">Players Across Pods</h2>
+          <Toggle label="Only travellers" checked={shared} onChange={() => setShared(s => !s)} />
+        </div>
+        <div className="table-scroll">
+          <table className="deck-table compact pod-compare-table">
+            <thead>
+              <tr>
+                <th rowSpan={2} className="col-left">Player</th>
+                {podsShown.map(p => <th key={p.id} colSpan={3} className="pod-group">{p.name}</th>)}
+                <th colSpan={5} className="pod-group">Combined</th>
+              </tr>
+              <tr>
+                {podsShown.map(p => <PodColumns key={p.id} />)}
+                <th className="col-right">Games</th>
+                <th className="col-right">Wins</th>
+                <th className="col-right">Win Rate</th>
+                <th className="col-right" title="wins above the 1-in-N expectation">vs Exp.</th>
+                <th className="col-right" title="one rating across every pod's games">Rating</th>
+              </tr>
+            </thead>
+            <tbody>
+              {shown.map(r => (
+                <tr key={r.player}>
+                  <td>
+                    <span className="player-badge">{r.player}</span>
+                    {Object.entries(r.pods)
+                      .filter(([, s]) => s.name !== r.player)
+                      .map(([id, s]) => (
+                        <span key={id} className="pod-alias">
+                          as {s.name} in {summary.find(p => p.id === id)?.name}
+                        </span>
+                      ))}
+                  </td>
+                  {podsShown.map(p => {
+                    const s = r.pods[p.id]
+                    if (!s?.games) {
+                      return <td key={p.id} colSpan={3} className="td-num pod-group-start"><span className="num-zero">—</span></td>
+                    }
+                    return <PodCells key={p.id} podId={p.id} standing={s} />
+                  })}
+                  <td className="td-num pod-group-start">{r.combined.games}</td>
+                  <td className="td-num">{r.combined.wins || <span className="num-zero">—</span>}</td>
+                  <td className="td-num"><WinRate {...r.combined} /></td>
+                  <td className="td-num"><AboveExpected {...r.combined} /></td>
+                  <td className="td-num">{r.combined.rating != null ? Math.round(r.combined.rating) : '—'}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+        {shown.length === 0 && (
+          <div className="empty-state">
+            {shared ? 'Nobody has played in more than one pod yet.' : 'No games in any pod yet.'}
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
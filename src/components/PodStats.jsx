@@ -0,0 +1,96 @@
+import { useMemo, useState } from 'react'
+import { SortButton } from './controls.jsx'
+import { AboveExpected } from './StatCard.jsx'
+import { Badges } from './Achievements.jsx'
+import { winRate } from '../lib/stats.js'
+import {
+  aboveExpected, expectationBy, expectationBreakdown, podSizeOf, locationGrouper,
+} from '../lib/expectation.js'
+import { playerHref } from '../hooks/useRoute.js'
+
+// ─── Where they win ───────────────────────────────────────────────────────────
+// Each player's record against the 1-in-N odds of the pods they sat in,
+// split by pod size or by location — who thrives on Spelltable and who at
+// the kitchen table. Players are ordered by wins above expectation, and
+// carry their achievement badges for the period.
+
+const SPLITS = {
+  size:     { label: 'Pod size', heading: g => `${g}-player` },
+  location: { label: 'Location', heading: g => g },
+}
+
+export default function PodStats({ games, players, badges = {} }) {
+  const [split, setSplit] = useState('location')
+
+  const groupOf = useMemo(
+    () => (split === 'size' ? podSizeOf : locationGrouper(games)), [games, split])
+
+  const { rows, groups } = useMemo(() => {
+    const overall = expectationBy(games, seat => seat.player)
+    const { groups, cells } = expectationBreakdown(games, seat => seat.player, groupOf)
+    const rows = players
+      .filter(p => overall[p])
+      .map(p => ({ player: p, ...overall[p], cells: cells[p] ?? {} }))
+      .sort((a, b) => aboveExpected(b) - aboveExpected(a) || b.games - a.games)
+    return { rows, groups }
+  }, [games, players, groupOf])
+
+  if (!rows.length) return null
+
+  return (
+    <div className="card fade-up" style={{ animationDelay: '340ms' }}>
+      <div className="card-header">
+        <h2 className="card-title">Wins Above Expectation</h2>
+        <div className="sort-group">
+          <span className="sort-label">Split by</span>
+          {Object.entries(SPLITS).map(([key, s]) => (
+            <SortButton key={key} label={s.label} active={split === key} onClick={() => setSplit(key)} />
+          ))}
+        </div>
+      </div>
+      <div className="table-scroll">
+        <table className="deck-table compact">
+          <thead>
+            <tr>
+              <th className="col-left">Player</th>
+              <th className="col-right">Games</th>
+              <th className="col-right">Wins</th>
+              <th className="col-right" title="1 win in N for every N-player game">Expected</th>
+              <th className="col-right">vs Exp.</th>
+              {groups.map(g => (
+                <th key={g} className="col-right">{SPLITS[split].heading(g)}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map(r => (
+              <tr key={r.player}>
+                <td>
+                  <a href={playerHref(r.player)} className="player-badge">{r.player}</a>
+                  <Badges badges={badges[r.player]} />
+                </td>
+                <td className="td-num">{r.games}</td>
+                <td className="td-num">{r.wins || <span className="num-zero">—</span>}</td>
+                <td className="td-num">{r.expected.toFixed(1)}</td>
+                <td className="td-num"><AboveExpected {...r} /></td>
+                {groups.map(g => {
+                  const cell = r.cells[g]
+                  return (
+                    <td key={g} className="td-num">
+                      {cell ? (
+                        <span className="pod-cell" title={`${cell.wins} of ${cell.games}`}>
+                          {winRate(cell.wins, cell.games)}%
+                          <AboveExpected {...cell} />
+                        </span>
+                      ) : <span className="num-zero">—</span>}
+                    </td>
+                  )
+                })}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,91 @@
+import { useState, useMemo } from 'react'
+import {
+  LineChart, Line, XAxis, YAxis, Tooltip, ReferenceLine,
+  ResponsiveContainer,
+} from 'recharts'
+import { PlayerPill } from './controls.jsx'
+import GameTooltip from './GameTooltip.jsx'
+import { INITIAL_RATING } from '../lib/ratings.js'
+import { seriesColor } from '../lib/palette.js'
+
+// ─── Rating over time ─────────────────────────────────────────────────────────
+// One line per player, stepping after every game they sat in. Picking a player
+// brings their line forward and fades the rest.
+
+export default function RatingChart({ games, players, history }) {
+  const [focus, setFocus] = useState('All')
+
+  // Carry each player's last rating forward so lines don't break on nights
+  // they sat out; before their first game the value stays undefined.
+  const data = useMemo(() => {
+    const at = Object.fromEntries(players.map(p => [
+      p, Object.fromEntries((history[p] ?? []).map(h => [h.gameId, h.rating])),
+    ]))
+    const current = {}
+    return games.map(game => {
+      players.forEach(p => {
+        if (at[p][game.id] != null) current[p] = at[p][game.id]
+      })
+      return { game: game.id, ...current }
+    })
+  }, [games, players, history])
+
+  const gameById = useMemo(
+    () => Object.fromEntries(games.map(g => [g.id, g])), [games])
+
+  return (
+    <div className="card fade-up" style={{ animationDelay: '320ms' }}>
+      <div className="card-header">
+        <h2 className="card-title">Rating Over Time</h2>
+        <div className="pill-group header-pills">
+          {['All', ...players].map(p => (
+            <PlayerPill
+              key={p}
+              player={p}
+              active={focus === p}
+              onClick={() => setFocus(p)}
+            />
+          ))}
+        </div>
+      </div>
+      <div className="card-body">
+        <ResponsiveContainer width="100%" height={240}>
+          <LineChart data={data} margin={{ top: 4, right: 8, left: -14, bottom: 0 }}>
+            <XAxis
+              dataKey="game"
+              tick={{ fill: '#a1a1aa', fontSize: 10, fontFamily: 'Roboto, sans-serif' }}
+              axisLine={false}
+              tickLine={false}
+              minTickGap={16}
+            />
+            <YAxis
+              domain={['dataMin - 20', 'dataMax + 20']}
+              tickFormatter={v => Math.round(v)}
+              tick={{ fill: '#d4d4d8', fontSize: 10, fontFamily: 'Roboto, sans-serif' }}
+              axisLine={false}
+              tickLine={false}
+            />
+            <ReferenceLine y={INITIAL_RATING} stroke="#e4e4e7" strokeDasharray="3 3" />
+            <Tooltip
+              content={<GameTooltip gameById={gameById} format={Math.round} />}
+              cursor={{ stroke: '#e4e4e7' }}
+            />
+            {players.map((p, i) => (
+              <Line
+                key={p}
+                dataKey={p}
+                name={p}
+                type="stepAfter"
+                stroke={seriesColor(i)}
+                strokeWidth={focus === p ? 2.5 : 1.5}
+                strokeOpacity={focus === 'All' || focus === p ? 1 : 0.12}
+                dot={false}
+                isAnimationActive={false}
+              />
+            ))}
+          </LineChart>
+        </ResponsiveContainer>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,58 @@
+import { useCountUp } from '../hooks/useCountUp.js'
+import { winRate, winRateInterval } from '../lib/stats.js'
+import { aboveExpected, formatAboveExpected } from '../lib/expectation.js'
+
+// ─── Stat primitives ──────────────────────────────────────────────────────────
+
+export function StatCard({ label, value, sub, suffix = '', delay = 0 }) {
+  // Animate numeric values; strings (player names) just display immediately.
+  const animated = useCountUp(value, delay + 80)
+
+  return (
+    <div className="stat-card fade-up" style={{ animationDelay: `${delay}ms` }}>
+      <div className="stat-label">{label}</div>
+      <div className="stat-value">{animated}{suffix}</div>
+      {sub && <div className="stat-sub">{sub}</div>}
+    </div>
+  )
+}
+
+// A number that shows its value straight away and, when the value changes
+// later (say the data refreshed), counts to the new one, highlighted as it moves.
+export function CountUp({ value }) {
+  const shown = useCountUp(value, 0, { from: value })
+  return <span className={shown === value ? undefined : 'counting'}>{shown}</span>
+}
+
+// Raw win rate as a bar, with whiskers marking the 95% interval so a 1-0
+// record visibly means less than a 7-3 one.
+export function WinBar({ wins, games }) {
+  const wr = winRate(wins, games)
+  if (games === 0) return <span className="win-dash">—</span>
+  const { low, high } = winRateInterval(wins, games)
+  const band = `likely between ${Math.round(low * 100)}% and ${Math.round(high * 100)}%`
+  return (
+    <div className="winbar" title={band}>
+      <div className="winbar-track">
+        <div className="winbar-fill" style={{ width: `${wr}%` }} />
+        <div
+          className="winbar-band"
+          style={{ left: `${low * 100}%`, width: `${(high - low) * 100}%` }}
+        />
+      </div>
+      <span className="winbar-pct">{wr}%</span>
+    </div>
+  )
+}
+
+// Wins above expectation, green when beating the 1-in-N odds and red when not.
+export function AboveExpected({ wins, expected, games }) {
+  if (games === 0) return <span className="num-zero">—</span>
+  const value = aboveExpected({ wins, expected })
+  const tone  = Math.round(value * 10) === 0 ? '' : value > 0 ? ' pos' : ' neg'
+  return (
+    <span className={`above-expected${tone}`} title={`${wins} wins, ${expected.toFixed(1)} expected`}>
+      {formatAboveExpected(value)}
+    </span>
+  )
+}
@@ -0,0 +1,21 @@
+// ─── Theme chips ──────────────────────────────────────────────────────────────
+// A deck's theme tags. Each tag is a button that adds that theme to the deck
+// table's filter (see `pickTheme` in App); `active` lists the ones already on.
+
+export default function ThemeChips({ themes, active = [], onPick }) {
+  if (!themes.length) return null
+  return (
+    <div className="deck-themes">
+      {themes.map(t => (
+        <button
+          key={t}
+          className={`deck-theme${active.includes(t) ? ' active' : ''}`}
+          onClick={() => onPick(t)}
+          title={`Show ${t} decks`}
+        >
+          {t}
+        </button>
+      ))}
+    </div>
+  )
+}
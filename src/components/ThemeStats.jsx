@@ -0,0 +1,65 @@
+import { useMemo } from 'react'
+import { WinBar } from './StatCard.jsx'
+import { themeStats } from '../lib/themes.js'
+import { playerHref } from '../hooks/useRoute.js'
+
+// ─── Theme breakdown ──────────────────────────────────────────────────────────
+// One row per theme tag: how many decks carry it, how often they hit the
+// table and how they do there. Clicking a theme toggles it in the deck
+// table's filter.
+
+export default function ThemeStats({ decks, activeThemes, onPick }) {
+  const rows = useMemo(() => themeStats(decks), [decks])
+
+  return (
+    <div className="card fade-up" style={{ animationDelay: '360ms' }}>
+      <div className="card-header">
+        <h2 className="card-title">Themes</h2>
+        <span className="card-hint">adjusted win rate pulls small samples toward 1 in N</span>
+      </div>
+      <div className="table-scroll theme-scroll">
+        <table className="deck-table compact">
+          <thead>
+            <tr>
+              <th className="col-left">Theme</th>
+              <th className="col-right">Decks</th>
+              <th className="col-right">Games</th>
+              <th className="col-right">Wins</th>
+              <th className="col-right">Win Rate</th>
+              <th className="col-right">Adjusted</th>
+              <th className="col-left">Built by</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map(t => (
+              <tr key={t.theme}>
+                <td className="td-commander">
+                  <button
+                    className={`theme-link${activeThemes.includes(t.theme) ? ' active' : ''}`}
+                    onClick={() => onPick(t.theme)}
+                  >
+                    {t.theme}
+                  </button>
+                </td>
+                <td className="td-num">{t.decks}</td>
+                <td className="td-num">{t.games || <span className="num-zero">—</span>}</td>
+                <td className="td-num">{t.wins  || <span className="num-zero">—</span>}</td>
+                <td className="td-num"><WinBar wins={t.wins} games={t.games} /></td>
+                <td className="td-num">
+                  {t.games ? `${Math.round(t.adjusted * 100)}%` : <span className="num-zero">—</span>}
+                </td>
+                <td>
+                  <div className="theme-players">
+                    {t.players.map(p => (
+                      <a key={p} href={playerHref(p)} className="player-badge">{p}</a>
+                    ))}
+                  </div>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  )
+}
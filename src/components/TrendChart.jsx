@@ -0,0 +1,152 @@
+import { useState, useMemo } from 'react'
+import {
+  LineChart, Line, XAxis, YAxis, Tooltip,
+  ResponsiveContainer,
+} from 'recharts'
+import { PlayerPill, SortButton } from './controls.jsx'
+import GameTooltip from './GameTooltip.jsx'
+import { formatDate } from '../lib/games.js'
+import { shortCommander } from '../lib/headToHead.js'
+import { cumulativeWins, rollingWinRate } from '../lib/trends.js'
+import { seriesColor } from '../lib/palette.js'
+
+// ─── Trends ───────────────────────────────────────────────────────────────────
+// Cumulative wins per player, or rolling win rate over the last N games per
+// player or per deck. Player pills switch each player's lines on and off.
+
+const WINDOWS = [5, 10]
+
+// Decks need a few games before a rolling rate means anything.
+const MIN_DECK_GAMES = 3
+
+// Dash patterns to tell a player's decks apart when they share a color.
+const DASHES = ['', '5 3', '2 2', '8 3 2 3']
+
+export default function TrendChart({ games, players, decks }) {
+  const [mode, setMode]     = useState('cumulative') // 'cumulative' | 'rolling'
+  const [pivot, setPivot]   = useState('players')    // rolling only: 'players' | 'decks'
+  const [span, setSpan]     = useState(WINDOWS[0])
+  const [hidden, setHidden] = useState(() => new Set())
+
+  const togglePlayer = (p) => setHidden(prev => {
+    const next = new Set(prev)
+    next.has(p) ? next.delete(p) : next.add(p)
+    return next
+  })
+
+  const byDeck = mode === 'rolling' && pivot === 'decks'
+
+  // Lines to draw: { key, name, color, dash }, plus the owner for deck lines
+  const series = useMemo(() => {
+    if (!byDeck) {
+      return players.map((p, i) => ({ key: p, name: p, color: seriesColor(i), dash: '' }))
+    }
+    const seen = {}
+    return decks
+      .filter(d => d.games >= MIN_DECK_GAMES && players.includes(d.player))
+      .map(d => {
+        const n = (seen[d.player] = (seen[d.player] ?? -1) + 1)
+        return {
+          key:    d.id,
+          name:   `${shortCommander(d.commander)} (${d.player})`,
+          player: d.player,
+          color:  seriesColor(players.indexOf(d.player)),
+          dash:   DASHES[n % DASHES.length],
+        }
+      })
+  }, [byDeck, players, decks])
+
+  const data = useMemo(() => {
+    const keys = series.map(s => s.key)
+    if (mode === 'cumulative') return cumulativeWins(games, seat => seat.player, keys)
+    return rollingWinRate(games, byDeck ? seat => seat.deckId : seat => seat.player, keys, span)
+  }, [games, series, mode, byDeck, span])
+
+  const gameById = useMemo(
+    () => Object.fromEntries(games.map(g => [g.id, g])), [games])
+
+  const visible = series.filter(s => !hidden.has(s.player ?? s.key))
+
+  return (
+    <div className="card fade-up" style={{ animationDelay: '300ms' }}>
+      <div className="card-header">
+        <h2 className="card-title">Trends</h2>
+        <div className="sort-group">
+          <SortButton label="Cumulative Wins" active={mode === 'cumulative'} onClick={() => setMode('cumulative')} />
+          <SortButton label="Rolling Win Rate" active={mode === 'rolling'} onClick={() => setMode('rolling')} />
+          {mode === 'rolling' && (
+            <>
+              <div className="sort-divider" aria-hidden="true" />
+              <SortButton label="Players" active={pivot === 'players'} onClick={() => setPivot('players')} />
+              <SortButton label="Decks"   active={pivot === 'decks'}   onClick={() => setPivot('decks')}   />
+              <div className="sort-divider" aria-hidden="true" />
+              <span className="sort-label">Last</span>
+              {WINDOWS.map(n => (
+                <SortButton key={n} label={String(n)} active={span === n} onClick={() => setSpan(n)} />
+              ))}
+            </>
+          )}
+        </div>
+      </div>
+
+      <div className="card-subheader">
+        <div className="pill-group">
+          {players.map(p => (
+            <PlayerPill
+              key={p}
+              player={p}
+              active={!hidden.has(p)}
+              onClick={() => togglePlayer(p)}
+            />
+          ))}
+        </div>
+      </div>
+
+      <div className="card-body">
+        <ResponsiveContainer width="100%" height={240}>
+          <LineChart data={data} margin={{ top: 4, right: 8, left: -22, bottom: 0 }}>
+            <XAxis
+              dataKey="game"
+              tickFormatter={id => formatDate(gameById[id]?.date, { year: undefined })}
+              tick={{ fill: '#a1a1aa', fontSize: 10, fontFamily: 'Roboto, sans-serif' }}
+              axisLine={false}
+              tickLine={false}
+              minTickGap={24}
+            />
+            <YAxis
+              domain={mode === 'rolling' ? [0, 100] : [0, 'auto']}
+              unit={mode === 'rolling' ? '%' : ''}
+              allowDecimals={false}
+              tick={{ fill: '#d4d4d8', fontSize: 10, fontFamily: 'Roboto, sans-serif' }}
+              axisLine={false}
+              tickLine={false}
+            />
+            <Tooltip
+              content={
+                <GameTooltip
+                  gameById={gameById}
+                  format={v => (mode === 'rolling' ? `${v}%` : v)}
+                />
+              }
+              cursor={{ stroke: '#e4e4e7' }}
+            />
+            {visible.map(s => (
+              <Line
+                key={s.key}
+                dataKey={s.key}
+                name={s.name}
+                type={mode === 'cumulative' ? 'stepAfter' : 'monotone'}
+                stroke={s.color}
+                strokeDasharray={s.dash}
+                strokeWidth={1.75}
+                dot={false}
+                connectNulls
+                isAnimationActive={false}
+              />
+            ))}
+          </LineChart>
+        </ResponsiveContainer>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,89 @@
+import { SortButton } from './controls.jsx'
+import { formatDate } from '../lib/games.js'
+import { hasChanges } from '../lib/lastVisit.js'
+import { deckHref, playerHref } from '../hooks/useRoute.js'
+
+// ─── New since your last visit ────────────────────────────────────────────────
+// What has happened since this browser last had the dashboard open: games
+// added, who moved up or down the rankings, and decks new to the workbook.
+// lib/lastVisit.js works out the changes; "Got it" makes now the last visit.
+
+const SHOWN = 6 // games listed before "and N more"
+
+const Move = ({ from, to }) => {
+  if (from == null) return <span className="whats-new-move up">new</span>
+  const up = to < from
+  return (
+    <span className={`whats-new-move ${up ? 'up' : 'down'}`}>
+      {up ? '↑' : '↓'} #{from} → #{to}
+    </span>
+  )
+}
+
+// changes: changesSince() output.
+export default function WhatsNew({ changes, onDismiss }) {
+  if (!hasChanges(changes)) return null
+  const { since, games, decks, ranks } = changes
+
+  return (
+    <div className="card whats-new fade-up" style={{ animationDelay: '60ms' }}>
+      <div className="card-header">
+        <h2 className="card-title">New Since Your Last Visit</h2>
+        <div className="whats-new-actions">
+          <span className="card-hint">since {formatDate(since)}</span>
+          <SortButton label="Got it" active={false} onClick={onDismiss} />
+        </div>
+      </div>
+
+      <div className="whats-new-body">
+        {games.length > 0 && (
+          <section className="whats-new-section">
+            <h3 className="whats-new-heading">{games.length} new {games.length === 1 ? 'game' : 'games'}</h3>
+            <ul className="whats-new-list">
+              {games.slice(0, SHOWN).map(g => {
+                const winner = g.winners[0]
+                return (
+                  <li key={g.id}>
+                    <span className="whats-new-meta">{formatDate(g.date)}</span>
+                    {winner
+                      ? <>{winner.player} won with <a href={deckHref(winner.deckId)} className="commander-link">{winner.commander}</a></>
+                      : <span className="num-zero">no winner logged</span>}
+                  </li>
+                )
+              })}
+              {games.length > SHOWN && <li className="whats-new-more">and {games.length - SHOWN} more</li>}
+            </ul>
+          </section>
+        )}
+
+        {ranks.length > 0 && (
+          <section className="whats-new-section">
+            <h3 className="whats-new-heading">Rankings</h3>
+            <ul className="whats-new-list">
+              {ranks.map(r => (
+                <li key={r.player}>
+                  <a href={playerHref(r.player)} className="player-badge">{r.player}</a>
+                  <Move {...r} />
+                </li>
+              ))}
+            </ul>
+          </section>
+        )}
+
+        {decks.length > 0 && (
+          <section className="whats-new-section">
+            <h3 className="whats-new-heading">{decks.length} new {decks.length === 1 ? 'deck' : 'decks'}</h3>
+            <ul className="whats-new-list">
+              {decks.map(d => (
+                <li key={d.id}>
+                  <a href={deckHref(d.id)} className="commander-link">{d.commander}</a>
+                  <span className="whats-new-meta">{d.player}</span>
+                </li>
+              ))}
+            </ul>
+          </section>
+        )}
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,55 @@
+// ─── Filter controls ──────────────────────────────────────────────────────────
+// Small stateless buttons shared by the deck table and the other views.
+
+export function PlayerPill({ player, active, onClick }) {
+  return (
+    <button
+      onClick={onClick}
+      className={`player-pill${active ? ' active' : ''}`}
+    >
+      {player}
+    </button>
+  )
+}
+
+export function SortButton({ label, active, onClick }) {
+  return (
+    <button onClick={onClick} className={`sort-btn${active ? ' active' : ''}`}>
+      {label}
+    </button>
+  )
+}
+
+// A deck-table column header that sorts by `sort`; clicking the active one
+// flips the direction. `view` is the table's { sort, dir }.
+export function SortableTh({ label, sort, view, onSort, align = 'right', title }) {
+  const active = view.sort === sort
+  return (
+    <th
+      className={`col-${align} sortable-th${active ? ' active' : ''}`}
+      aria-sort={active ? (view.dir === 'asc' ? 'ascending' : 'descending') : 'none'}
+      title={title}
+    >
+      <button onClick={() => onSort(sort)}>
+        {label}
+        <span className="sort-arrow" aria-hidden="true">{active ? (view.dir === 'asc' ? '▲' : '▼') : ''}</span>
+      </button>
+    </th>
+  )
+}
+
+export function Toggle({ label, checked, onChange }) {
+  return (
+    <label className="toggle-wrap">
+      <button
+        role="switch"
+        aria-checked={checked}
+        className={`toggle-track${checked ? ' on' : ''}`}
+        onClick={onChange}
+      >
+        <span className="toggle-thumb" />
+      </button>
+      <span className="toggle-label">{label}</span>
+    </label>
+  )
+}
@@ -0,0 +1,34 @@
+// ─── Dashboard config ─────────────────────────────────────────────────────────
+
+// Named seasons for the date filter. These are merged with any rows on the
+// workbook's optional 'Seasons' sheet (columns: Season, StartDate, EndDate).
+// Dates are 'YYYY-MM-DD'; leave `end` off for a season that is still running.
+export const SEASONS = [
+  // { name: 'Spring 2026', start: '2026-02-01', end: '2026-05-31' },
+]
+
+// Where game data is read from (see src/lib/sources.js). `type` is 'xlsx',
+// 'csv' or 'json'; `path` is relative to the site root. A visit can override
+// both with ?source=…&data=….
+export const DATA_SOURCE = {
+  type: 'xlsx',
+  path: 'Game Tracking.xlsx',
+}
+
+// How often, in seconds, an open dashboard checks whether its data file has
+// changed, picking up a pushed workbook without a reload. Checks are
+// conditional requests, so an unchanged file costs a 304. 0 turns it off.
+export const REFRESH_SECONDS = 60
+
+// The playgroups ("pods") this site tracks, each with its own data source in
+// the same shape as DATA_SOURCE. The first is the one the site opens on; the
+// rest live at #/pod/<id>/. With more than one, the header gets a pod
+// switcher and a combined view of everyone across pods.
+//
+// `aliases` maps a name on this pod's Players sheet to the name the same
+// person goes by elsewhere, so the combined view counts them once. Players
+// with the same name in two pods are taken to be the same person.
+export const PODS = [
+  { id: 'pay2win', name: 'Pay2Win Pod', source: DATA_SOURCE },
+  // { id: 'thursday', name: 'Thursday Night', source: { type: 'csv', path: 'pods/thursday/' }, aliases: { Nicky: 'Nick' } },
+]
@@ -0,0 +1,48 @@
+import { useState, useEffect, useRef } from 'react'
+
+// Animates a number towards `target` with eased motion, starting after `delay` ms.
+// On mount it counts up from `from` (0 unless given); after that, whenever the
+// target changes it counts on from the number on screen, so when fresh data
+// arrives only the values that changed move. Returns the target unchanged if
+// it is not a number.
+export function useCountUp(target, delay = 0, { from = 0 } = {}) {
+  const isNum = typeof target === 'number'
+  const [value, setValue] = useState(isNum ? from : target)
+  const shown = useRef(from) // where the next animation starts
+
+  useEffect(() => {
+    if (!isNum) {
+      setValue(target ?? '—')
+      return
+    }
+
+    const start = shown.current
+    if (start === target) {
+      setValue(target)
+      return
+    }
+
+    let frame
+    const timeout = setTimeout(() => {
+      const duration = 900
+      const begin = performance.now()
+
+      const tick = (now) => {
+        const progress = Math.min((now - begin) / duration, 1)
+        const eased    = 1 - Math.pow(1 - progress, 4) // ease-out quart
+        shown.current  = Math.round(start + eased * (target - start))
+        setValue(shown.current)
+        if (progress < 1) frame = requestAnimationFrame(tick)
+      }
+
+      frame = requestAnimationFrame(tick)
+    }, delay)
+
+    return () => {
+      clearTimeout(timeout)
+      cancelAnimationFrame(frame)
+    }
+  }, [target, delay, isNum])
+
+  return value
+}
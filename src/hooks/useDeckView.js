@@ -0,0 +1,23 @@
+import { useState, useEffect } from 'react'
+import { parseDeckView, deckViewSearch } from '../lib/deckView.js'
+
+// ─── Deck table view in the URL ───────────────────────────────────────────────
+// The deck table's filters and sort, read from the query string on load and
+// written back on every change. replaceState rather than pushState, so
+// tweaking filters doesn't fill the back button; the hash route is kept.
+
+export function useDeckView() {
+  const [view, setView] = useState(() => parseDeckView(window.location.search))
+
+  useEffect(() => {
+    const { pathname, search, hash } = window.location
+    const next = deckViewSearch(view, search)
+    if (next !== search) window.history.replaceState(window.history.state, '', `${pathname}${next}${hash}`)
+  }, [view])
+
+  // `patch` is a partial view, or a function of the current one returning it.
+  const update = (patch) =>
+    setView(v => ({ ...v, ...(typeof patch === 'function' ? patch(v) : patch) }))
+
+  return [view, update]
+}
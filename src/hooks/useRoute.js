@@ -0,0 +1,73 @@
+import { useState, useEffect } from 'react'
+
+// ─── Hash routing ─────────────────────────────────────────────────────────────
+// GitHub Pages only serves index.html, so pages live in the hash
+// (#/deck/D4, #/player/Nick) and deep links survive a reload without a 404
+// fallback.
+
+// A hash typed or pasted by hand can hold a bad escape (#/player/%E0); keep
+// such a segment as written rather than failing the whole page.
+const decodeSegment = (segment) => {
+  try {
+    return decodeURIComponent(segment)
+  } catch {
+    return segment
+  }
+}
+
+// Every pod but the first can be reached under its own prefix
+// (#/pod/thursday/deck/D4); unprefixed routes belong to the first pod, so
+// links from before there were several pods keep working. `pod` is the id
+// from the prefix, or null.
+export const parseRoute = (hash) => {
+  let parts = hash
+    .replace(/^#\/?/, '')
+    .split('/')
+    .filter(Boolean)
+    .map(decodeSegment)
+
+  let pod = null
+  if (parts[0] === 'pod' && parts[1]) {
+    pod   = parts[1]
+    parts = parts.slice(2)
+  }
+  const [page, id] = parts
+
+  if (page === 'deck' && id)   return { page: 'deck', id, pod }
+  if (page === 'player' && id) return { page: 'player', name: id, pod }
+  if (page === 'log')          return { page: 'log', pod }
+  if (page === 'pods')         return { page: 'pods', pod }
+  if (page === 'combined')     return { page: 'combined', pod }
+  return { page: 'home', pod }
+}
+
+// Links stay inside the pod being viewed.
+const podPrefix = () => {
+  const { pod } = parseRoute(window.location.hash)
+  return pod ? `/pod/${encodeURIComponent(pod)}` : ''
+}
+
+export const homeHref   = ()     => `#${podPrefix()}/`
+export const logHref    = ()     => `#${podPrefix()}/log`
+export const podsHref   = ()     => `#${podPrefix()}/pods`
+export const deckHref   = (id)   => `#${podPrefix()}/deck/${encodeURIComponent(id)}`
+export const playerHref = (name) => `#${podPrefix()}/player/${encodeURIComponent(name)}`
+
+// Into a given pod, from anywhere: its dashboard, or a page within it.
+export const podHref = (pod, page = '') => `#/pod/${encodeURIComponent(pod)}/${page}`
+export const combinedHref = '#/combined'
+
+export function useRoute() {
+  const [route, setRoute] = useState(() => parseRoute(window.location.hash))
+
+  useEffect(() => {
+    const onChange = () => {
+      setRoute(parseRoute(window.location.hash))
+      window.scrollTo(0, 0)
+    }
+    window.addEventListener('hashchange', onChange)
+    return () => window.removeEventListener('hashchange', onChange)
+  }, [])
+
+  return route
+}
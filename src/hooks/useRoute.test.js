@@ -0,0 +1,16 @@
+import { describe, it, expect } from 'vitest'
+import { parseRoute } from './useRoute.js'
+
+describe('parseRoute', () => {
+  it('reads pages, ids and the pod prefix', () => {
+    expect(parseRoute('')).toEqual({ page: 'home', pod: null })
+    expect(parseRoute('#/deck/D4')).toEqual({ page: 'deck', id: 'D4', pod: null })
+    expect(parseRoute('#/pod/thursday/player/Jon%20Paul')).toEqual({ page: 'player', name: 'Jon Paul', pod: 'thursday' })
+    expect(parseRoute('#/combined')).toEqual({ page: 'combined', pod: null })
+  })
+
+  it('keeps a malformed escape as written instead of throwing', () => {
+    expect(parseRoute('#/player/%E0')).toEqual({ page: 'player', name: '%E0', pod: null })
+    expect(parseRoute('#/pod/%/log')).toEqual({ page: 'log', pod: '%' })
+  })
+})
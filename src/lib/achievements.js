@@ -0,0 +1,234 @@
+import { replayRatings } from './ratings.js'
+import { isPlaceholder } from './games.js'
+
+// ─── Achievements ─────────────────────────────────────────────────────────────
+// Streaks, milestones and one-off feats, found by replaying the game history
+// in order. Each rule is a plain object:
+//
+//   id      — stable key, also what badges group by
+//   name    — shown on the badge and in the feed
+//   icon    — a single glyph
+//   subject — 'player' or 'deck': who earns it
+//   award   — (context) → a detail string when the seat earns it, else null
+//   once    — optional (context) → key; the rule is awarded at most once per
+//             subject for each key, e.g. once per run of wins
+//
+// `award` is asked once per seat per game, after the game is counted, with:
+//
+//   game, seat, won
+//   player  — the seat's player so far: { games, wins, streak, drought, run }
+//             (streak = wins in a row, drought = losses in a row, run counts
+//             the unbroken runs of wins or losses they've had)
+//   ended   — the drought this win just ended (0 on a loss)
+//   deck    — the seat's deck so far: { games, wins, idle } where idle is the
+//             game nights it sat out before this one (null on its debut)
+//   records — the pod's longest streak and drought before this game
+//   leader  — the top-rated player before this game, { player, rating }, or
+//             null while nobody has played enough to count
+//
+// Adding an achievement means adding a rule to ACHIEVEMENTS; nothing else
+// needs to know about it.
+
+// Losses in a row before a drought counts for anything.
+const DROUGHT = 5
+// A deck needs this many idle game nights before its return is news.
+const SHELF_NIGHTS = 5
+// Games a player needs before they can be the giant worth slaying.
+const LEADER_GAMES = 3
+
+const ordinal = (n) => {
+  const tens = n % 100
+  const suffix = tens >= 11 && tens <= 13 ? 'th' : ({ 1: 'st', 2: 'nd', 3: 'rd' })[n % 10] ?? 'th'
+  return `${n}${suffix}`
+}
+
+// A rule that fires when a running total reaches one of `at`.
+const milestone = ({ id, name, icon, subject, stat, at, noun }) => ({
+  id, name, icon, subject,
+  award: (c) => {
+    const n = c[subject][stat]
+    const counted = stat === 'wins' ? c.won : true
+    return counted && at.includes(n) ? `${ordinal(n)} ${noun}` : null
+  },
+})
+
+export const ACHIEVEMENTS = [
+  {
+    id:      'record-streak',
+    name:    'Unstoppable',
+    icon:    '▲',
+    subject: 'player',
+    award:   ({ won, player, records }) =>
+      won && player.streak >= 3 && player.streak > records.streak
+        ? `broke the record with ${player.streak} wins in a row`
+        : null,
+    once:    ({ player }) => player.run,
+  },
+  {
+    id:      'record-drought',
+    name:    'Lost in the Blind Eternities',
+    icon:    '▼',
+    subject: 'player',
+    award:   ({ won, player, records }) =>
+      !won && player.drought >= DROUGHT && player.drought > records.drought
+        ? `the longest drought yet, ${player.drought} losses in a row`
+        : null,
+    once:    ({ player }) => player.run,
+  },
+  {
+    id:      'drought-breaker',
+    name:    'Rain at Last',
+    icon:    '☂',
+    subject: 'player',
+    award:   ({ won, ended }) =>
+      won && ended >= DROUGHT ? `first win in ${ended + 1} games` : null,
+  },
+  {
+    id:      'giant-slayer',
+    name:    'Giant Slayer',
+    icon:    '⚔',
+    subject: 'player',
+    award:   ({ game, seat, won, leader }) =>
+      won && leader && leader.player !== seat.player && game.seats.some(s => s.player === leader.player)
+        ? `beat ${leader.player}, the top-rated player at ${Math.round(leader.rating)}`
+        : null,
+  },
+  {
+    id:      'fresh-ink',
+    name:    'Fresh Ink',
+    icon:    '✦',
+    subject: 'deck',
+    award:   ({ won, deck }) => {
+      if (!won || deck.wins !== 1) return null
+      return deck.games === 1 ? 'won on its debut' : `first win, in its ${ordinal(deck.games)} game`
+    },
+  },
+  {
+    id:      'dusted-off',
+    name:    'Dusted Off',
+    icon:    '↺',
+    subject: 'deck',
+    award:   ({ won, deck }) =>
+      deck.idle >= SHELF_NIGHTS
+        ? `back after ${deck.idle} game nights on the shelf${won ? ', and won' : ''}`
+        : null,
+  },
+  milestone({ id: 'player-games', name: 'Regular',     icon: '◆', subject: 'player', stat: 'games', at: [10, 25, 50, 100, 200], noun: 'game' }),
+  milestone({ id: 'player-wins',  name: 'Trophy Case', icon: '★', subject: 'player', stat: 'wins',  at: [5, 10, 25, 50, 100],   noun: 'win' }),
+  milestone({ id: 'deck-games',   name: 'Well-Worn',   icon: '◇', subject: 'deck',   stat: 'games', at: [10, 25, 50],           noun: 'game' }),
+  milestone({ id: 'deck-wins',    name: 'Proven',      icon: '☆', subject: 'deck',   stat: 'wins',  at: [5, 10, 25],            noun: 'win' }),
+]
+
+// Replays `games` (chronological, from buildGames) through `rules` and
+// returns every award, oldest first:
+//   { id, rule, name, icon, subject, key, player, deckId, commander,
+//     gameId, date, detail }
+// `key` is the player's name or the deck's ID, whichever the rule is about.
+export const evaluateAchievements = (games, rules = ACHIEVEMENTS) => {
+  const players = {}
+  const decks   = {}
+  const records = { streak: 0, drought: 0 }
+  const awarded = new Set() // rule:subject:once-key
+
+  // Each player's rating after every game, so the leader going into a game
+  // is known without replaying the ratings again.
+  const ratedAfter = {}
+  Object.entries(replayRatings(games).history).forEach(([player, rows]) =>
+    rows.forEach(r => { (ratedAfter[r.gameId] ??= {})[player] = r.rating }))
+  const rating = {}
+
+  const events = []
+  let night = -1
+  let nightDate = null
+
+  games.forEach(game => {
+    if (game.date?.getTime() !== nightDate) {
+      night++
+      nightDate = game.date?.getTime()
+    }
+
+    const contenders = Object.entries(rating)
+      .filter(([p]) => players[p].games >= LEADER_GAMES)
+      .sort((a, b) => b[1] - a[1])
+    const leader = contenders.length && contenders[0][1] !== contenders[1]?.[1]
+      ? { player: contenders[0][0], rating: contenders[0][1] }
+      : null
+    const before = { ...records }
+
+    game.seats.forEach(seat => {
+      const p = (players[seat.player] ??= { games: 0, wins: 0, streak: 0, drought: 0, run: 0 })
+      const ended = seat.win ? p.drought : 0
+      if (p.games === 0 || (seat.win ? p.drought : p.streak) > 0) p.run++
+      p.games++
+      if (seat.win) {
+        p.wins++
+        p.streak++
+        p.drought = 0
+      } else {
+        p.streak = 0
+        p.drought++
+      }
+
+      const d = seat.deckId && !isPlaceholder(seat.commander)
+        ? (decks[seat.deckId] ??= { games: 0, wins: 0, last: null })
+        : null
+      const deck = d && {
+        games: d.games + 1,
+        wins:  d.wins + (seat.win ? 1 : 0),
+        idle:  d.last == null ? null : night - d.last - 1,
+      }
+      if (d) Object.assign(d, { games: deck.games, wins: deck.wins, last: night })
+
+      const context = {
+        game, seat, won: seat.win, player: { ...p }, ended, deck, records: before, leader,
+      }
+      rules.forEach(rule => {
+        if (rule.subject === 'deck' && !deck) return
+        const detail = rule.award(context)
+        if (!detail) return
+        const key = rule.subject === 'deck' ? seat.deckId : seat.player
+        if (rule.once) {
+          const onceKey = `${rule.id}:${key}:${rule.once(context)}`
+          if (awarded.has(onceKey)) return
+          awarded.add(onceKey)
+        }
+        events.push({
+          id:        `${rule.id}:${game.id}:${key}`,
+          rule:      rule.id,
+          name:      rule.name,
+          icon:      rule.icon,
+          subject:   rule.subject,
+          key,
+          player:    seat.player,
+          deckId:    seat.deckId,
+          commander: seat.commander,
+          gameId:    game.id,
+          date:      game.date,
+          detail,
+        })
+      })
+    })
+
+    Object.values(players).forEach(p => {
+      records.streak  = Math.max(records.streak, p.streak)
+      records.drought = Math.max(records.drought, p.drought)
+    })
+    Object.assign(rating, ratedAfter[game.id])
+  })
+
+  return events
+}
+
+// Badges for one kind of subject: { key → [{ rule, name, icon, count,
+// detail, date }] }, one per rule earned, in the order first earned. `detail`
+// and `date` are from the latest time it was earned.
+export const achievementBadges = (events, subject) => {
+  const out = {}
+  events.filter(e => e.subject === subject).forEach(e => {
+    const list  = (out[e.key] ??= [])
+    const badge = list.find(b => b.rule === e.rule)
+    if (badge) Object.assign(badge, { count: badge.count + 1, detail: e.detail, date: e.date })
+    else list.push({ rule: e.rule, name: e.name, icon: e.icon, count: 1, detail: e.detail, date: e.date })
+  })
+  return out
+}
@@ -0,0 +1,119 @@
+import { describe, it, expect } from 'vitest'
+import { ACHIEVEMENTS, evaluateAchievements, achievementBadges } from './achievements.js'
+import { buildGames } from './games.js'
+import { parseDay } from './period.js'
+
+const COMMANDERS = {
+  A1: 'Atraxa, Praetors\' Voice',
+  B1: 'Krenko, Mob Boss',
+  C1: 'Edgar Markov',
+  C2: 'Omnath, Locus of Creation',
+  X:  '*Other Player\'s Deck*',
+}
+const OWNER = { A1: 'Ann', B1: 'Ben', C1: 'Cat', C2: 'Cat', X: 'Ben' }
+
+// Each game is [date, winning deck, decks at the table]; a game per day
+// unless dates repeat.
+const history = (rows) => buildGames(
+  rows.map(([date], i) => ({ id: `G${i + 1}`, date: parseDay(date), location: null, players: 0, notes: null })),
+  rows.flatMap(([, winner, table = ['A1', 'B1', 'C1']], i) => table.map(deckId => ({
+    gameId: `G${i + 1}`, player: OWNER[deckId], deckId, commander: COMMANDERS[deckId], win: deckId === winner,
+  }))),
+)
+
+// Game n on its own night, counting from Jan 1.
+const night = (n) => `2026-01-${String(n).padStart(2, '0')}`
+
+const awards = (games, rule) =>
+  evaluateAchievements(games).filter(e => e.rule === rule).map(e => `${e.gameId} ${e.key}: ${e.detail}`)
+
+describe('evaluateAchievements', () => {
+  it('awards a record streak once per run, and only when it beats the record', () => {
+    const games = history([
+      [night(1), 'A1'], [night(2), 'A1'], [night(3), 'A1'], [night(4), 'A1'], [night(5), 'B1'],
+      [night(6), 'B1'], [night(7), 'B1'], [night(8), 'B1'], [night(9), 'B1'],
+    ])
+    expect(awards(games, 'record-streak')).toEqual([
+      'G3 Ann: broke the record with 3 wins in a row',
+      'G9 Ben: broke the record with 5 wins in a row',
+    ])
+  })
+
+  it('marks the longest drought and the win that ends one', () => {
+    const games = history(Array.from({ length: 7 }, (_, i) => [night(i + 1), i < 6 ? 'A1' : 'C1']))
+    expect(awards(games, 'record-drought')).toEqual([
+      'G5 Ben: the longest drought yet, 5 losses in a row',
+      'G5 Cat: the longest drought yet, 5 losses in a row',
+    ])
+    expect(awards(games, 'drought-breaker')).toEqual(['G7 Cat: first win in 7 games'])
+  })
+
+  it('counts a giant slain only when the top-rated player was at the table', () => {
+    const games = history([
+      [night(1), 'A1'], [night(2), 'A1'], [night(3), 'A1'],
+      [night(4), 'B1', ['B1', 'C1']],
+      [night(5), 'B1'],
+      [night(6), 'C1'],
+    ])
+    expect(awards(games, 'giant-slayer')).toEqual([
+      'G5 Ben: beat Ann, the top-rated player at 1545',
+      'G6 Cat: beat Ann, the top-rated player at 1536',
+    ])
+  })
+
+  it('tracks decks: first wins, returns from the shelf and their milestones', () => {
+    const games = history([
+      [night(1), 'A1', ['A1', 'B1', 'C2']],
+      [night(2), 'C1'],
+      ...[3, 4, 5, 6, 7].map(n => [night(n), 'A1']),
+      [night(8), 'C2', ['A1', 'B1', 'C2']],
+    ])
+    expect(awards(games, 'fresh-ink')).toEqual([
+      'G1 A1: won on its debut',
+      'G2 C1: won on its debut',
+      'G8 C2: first win, in its 2nd game',
+    ])
+    expect(awards(games, 'dusted-off')).toEqual(['G8 C2: back after 6 game nights on the shelf, and won'])
+    expect(awards(games, 'player-wins')).toEqual(['G6 Ann: 5th win'])
+  })
+
+  it('gives placeholder decks nothing, though their players still count', () => {
+    const games = history([[night(1), 'X', ['A1', 'X', 'C1']]])
+    expect(evaluateAchievements(games).filter(e => e.subject === 'deck')).toEqual([])
+    expect(evaluateAchievements(games, [
+      { id: 'first', name: 'First', icon: '1', subject: 'player', award: ({ won }) => (won ? 'won' : null) },
+    ]).map(e => e.key)).toEqual(['Ben'])
+  })
+
+  it('runs custom rules, once per key when asked', () => {
+    const everyNight = {
+      id: 'showed-up', name: 'Showed Up', icon: '✓', subject: 'player',
+      award: ({ seat }) => (seat.player === 'Ann' ? 'played' : null),
+      once:  ({ game }) => game.date.getTime(),
+    }
+    const games = history([[night(1), 'A1'], [night(1), 'B1'], [night(2), 'C1']])
+    expect(evaluateAchievements(games, [everyNight]).map(e => e.gameId)).toEqual(['G1', 'G3'])
+  })
+
+  it('has unique rule ids', () => {
+    const ids = ACHIEVEMENTS.map(r => r.id)
+    expect(new Set(ids).size).toBe(ids.length)
+  })
+})
+
+describe('achievementBadges', () => {
+  it('groups by subject and rule, keeping the latest detail', () => {
+    const games = history([
+      [night(1), 'A1', ['A1', 'B1', 'C2']],
+      [night(2), 'C1'],
+      ...[3, 4, 5, 6, 7].map(n => [night(n), 'A1']),
+      [night(8), 'C2', ['A1', 'B1', 'C2']],
+    ])
+    const events = evaluateAchievements(games)
+    expect(achievementBadges(events, 'deck').C2.map(b => b.rule)).toEqual(['fresh-ink', 'dusted-off'])
+    expect(achievementBadges(events, 'player').Ann.map(b => b.rule)).toEqual(['record-streak', 'player-wins'])
+
+    const twice = achievementBadges([...events, { ...events.at(-1), id: 'again', detail: 'again' }], 'deck')
+    expect(twice.C2.find(b => b.rule === 'dusted-off')).toMatchObject({ count: 2, detail: 'again' })
+  })
+})
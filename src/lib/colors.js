@@ -0,0 +1,47 @@
+// ─── Colors ───────────────────────────────────────────────────────────────────
+
+export const COLOR_NAME = { W: 'White', U: 'Blue', B: 'Black', R: 'Red', G: 'Green' }
+
+export const COLOR_ORDER = ['W', 'U', 'B', 'R', 'G']
+
+// Splits a Decks-sheet commander into the individual cards to look up.
+// Partners, backgrounds and companions are written "A/B", "A / B" or "A + B";
+// a double-faced card ("A // B") is one card, searched by its front face.
+export const commanderParts = (commander) =>
+  commander
+    .split(/\s*(?<!\/)\/(?!\/)\s*|\s+\+\s+/)
+    .map(part => part.split(' // ')[0].trim())
+    .filter(Boolean)
+
+// Union of several color identities, in WUBRG order.
+export const unionColors = (identities) => {
+  const all = new Set(identities.flat())
+  return COLOR_ORDER.filter(c => all.has(c))
+}
+
+// Names for every color combination, keyed by WUBRG-ordered letters.
+const COMBINATION_NAME = {
+  '':      'Colorless',
+  W:       'Mono-White', U: 'Mono-Blue', B: 'Mono-Black', R: 'Mono-Red', G: 'Mono-Green',
+  // Guilds
+  WU:      'Azorius',  UB: 'Dimir',   BR: 'Rakdos',  RG: 'Gruul',   WG: 'Selesnya',
+  WB:      'Orzhov',   UR: 'Izzet',   BG: 'Golgari', WR: 'Boros',   UG: 'Simic',
+  // Shards
+  WUG:     'Bant',     WUB: 'Esper',  UBR: 'Grixis', BRG: 'Jund',   WRG: 'Naya',
+  // Wedges
+  WBG:     'Abzan',    WUR: 'Jeskai', UBG: 'Sultai', WBR: 'Mardu',  URG: 'Temur',
+  // Four-color
+  WUBR:    'Yore-Tiller', UBRG: 'Glint-Eye', WBRG: 'Dune-Brood',
+  WURG:    'Ink-Treader', WUBG: 'Witch-Maw',
+  WUBRG:   'Five-Color',
+}
+
+export const combinationName = (colors) =>
+  COMBINATION_NAME[unionColors([colors]).join('')] ?? colors.join('')
+
+// Which family a combination belongs to, for grouping the breakdown.
+export const combinationKind = (colors) => {
+  const key = unionColors([colors]).join('')
+  if (key.length !== 3) return ['Colorless', 'Mono', 'Guild', null, 'Four-color', 'Five-color'][key.length]
+  return ['WUG', 'WUB', 'UBR', 'BRG', 'WRG'].includes(key) ? 'Shard' : 'Wedge'
+}
@@ -0,0 +1,34 @@
+import { winRate } from './stats.js'
+
+// ─── CSV ──────────────────────────────────────────────────────────────────────
+// Written the way Excel saves "CSV UTF-8": a byte-order mark, CRLF line
+// endings, and quotes only where a field needs them.
+
+const field = (value) => {
+  const s = value == null ? '' : String(value)
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s
+}
+
+// columns: [{ header, value: row → cell }]
+export const toCSV = (rows, columns, { bom = true } = {}) => {
+  const lines = [
+    columns.map(c => field(c.header)),
+    ...rows.map(row => columns.map(c => field(c.value(row)))),
+  ]
+  return (bom ? '\ufeff' : '') + lines.map(l => l.join(',')).join('\r\n') + '\r\n'
+}
+
+// public/games.csv: the workbook's Deck Dashboard sheet, one row per deck in
+// Decks-sheet order. `decks` come from withDeckStats.
+export const DECK_DASHBOARD_COLUMNS = [
+  { header: 'DeckID',      value: d => d.id },
+  { header: 'Commander',   value: d => d.commander },
+  { header: 'PlayerName',  value: d => d.player },
+  { header: 'Total Games', value: d => d.games },
+  { header: 'Wins',        value: d => d.wins },
+  { header: 'Losses',      value: d => d.losses },
+  { header: 'Win %',       value: d => `${winRate(d.wins, d.games)}%` },
+  { header: 'ArchidektID', value: d => d.archidektId },
+]
+
+export const deckDashboardCSV = (decks) => toCSV(decks, DECK_DASHBOARD_COLUMNS)
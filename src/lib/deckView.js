@@ -0,0 +1,88 @@
+import { DECK_SORTS, defaultDirection } from './engine.js'
+import { COLOR_ORDER } from './colors.js'
+
+// ─── Deck table view ──────────────────────────────────────────────────────────
+// Everything that shapes the deck table — filters, sort and direction — as
+// one object, and its round trip through the URL query string, so a link like
+// ?player=Nick&color=B&sort=winrate opens "Nick's black decks by win rate".
+//
+//   q=ur        commander name contains "ur"
+//   player=…    repeatable; any of them
+//   theme=…     repeatable; any of them
+//   color=UB    identity has every one of these letters (WUBRG)
+//   power=5-8   EstPower range, either end optional (power=7-, power=-6)
+//   unplayed=1  include decks without games
+//   sort=…      one of DECK_SORTS; dir=asc|desc when not the sort's default
+//
+// Defaults stay out of the URL, and parameters the view doesn't own (such as
+// ?source= and ?data=, see sources.js) are left alone.
+
+export const DEFAULT_VIEW = {
+  search:   '',
+  players:  [],
+  themes:   [],
+  colors:   [],
+  power:    [null, null],
+  unplayed: false,
+  sort:     'games',
+  dir:      'desc',
+}
+
+const KEYS = ['q', 'player', 'theme', 'color', 'power', 'unplayed', 'sort', 'dir']
+
+const number = (s) => (s === '' || s == null || isNaN(Number(s)) ? null : Number(s))
+
+export const parseDeckView = (search = '') => {
+  const params = new URLSearchParams(search)
+  const sort   = DECK_SORTS.includes(params.get('sort')) ? params.get('sort') : DEFAULT_VIEW.sort
+  const dir    = params.get('dir')
+  const [min, max] = (params.get('power') ?? '').split('-')
+  return {
+    search:   params.get('q') ?? '',
+    players:  params.getAll('player'),
+    themes:   params.getAll('theme'),
+    colors:   COLOR_ORDER.filter(c => (params.get('color') ?? '').toUpperCase().includes(c)),
+    power:    [number(min), number(max)],
+    unplayed: params.get('unplayed') === '1',
+    sort,
+    dir:      dir === 'asc' || dir === 'desc' ? dir : defaultDirection(sort),
+  }
+}
+
+// The query string (with its "?", or '' when empty) for `view`, keeping any
+// other parameters already in `search`.
+export const deckViewSearch = (view, search = '') => {
+  const params = new URLSearchParams(search)
+  KEYS.forEach(k => params.delete(k))
+
+  if (view.search.trim()) params.set('q', view.search.trim())
+  view.players.forEach(p => params.append('player', p))
+  view.themes.forEach(t => params.append('theme', t))
+  if (view.colors.length) params.set('color', COLOR_ORDER.filter(c => view.colors.includes(c)).join(''))
+  const [min, max] = view.power
+  if (min != null || max != null) params.set('power', `${min ?? ''}-${max ?? ''}`)
+  if (view.unplayed) params.set('unplayed', '1')
+  if (view.sort !== DEFAULT_VIEW.sort) params.set('sort', view.sort)
+  if (view.dir !== defaultDirection(view.sort)) params.set('dir', view.dir)
+
+  const query = params.toString()
+  return query ? `?${query}` : ''
+}
+
+// True when any filter is off its default (sorting doesn't count).
+export const isFiltered = (view) =>
+  Boolean(view.search.trim() || view.players.length || view.themes.length || view.colors.length ||
+    view.power[0] != null || view.power[1] != null || view.unplayed)
+
+// Flips `list` membership of `item`, for the multi-select pills and chips.
+export const toggleIn = (list, item) =>
+  list.includes(item) ? list.filter(x => x !== item) : [...list, item]
+
+// The color half of filterDecks' options, given how far the card lookups have
+// got (`status`: 'loading', 'failed' or 'ready'). Until they settle the color
+// filter is left off rather than emptying the table; if some failed, a
+// commander with no known colors is kept, since nothing rules it out.
+export const colorFilter = (view, colorsOf, status) => ({
+  colors:   status === 'loading' ? [] : view.colors,
+  colorsOf: commander => colorsOf(commander) ?? (status === 'failed' ? view.colors : []),
+})
@@ -0,0 +1,70 @@
+import { describe, it, expect } from 'vitest'
+import { DEFAULT_VIEW, parseDeckView, deckViewSearch, isFiltered, toggleIn, colorFilter } from './deckView.js'
+import { filterDecks } from './engine.js'
+
+describe('deck view in the URL', () => {
+  it('reads the defaults from an empty query', () => {
+    expect(parseDeckView('')).toEqual(DEFAULT_VIEW)
+    expect(deckViewSearch(DEFAULT_VIEW)).toBe('')
+  })
+
+  it('opens "Nick\'s black decks by win rate" from a link', () => {
+    const view = parseDeckView('?player=Nick&color=b&sort=winrate')
+    expect(view).toMatchObject({ players: ['Nick'], colors: ['B'], sort: 'winrate', dir: 'desc' })
+  })
+
+  it('round-trips every filter', () => {
+    const view = {
+      search:   'krenko',
+      players:  ['Jon Paul', 'Mark'],
+      themes:   ['Tokens', 'Goblins'],
+      colors:   ['R', 'W'],
+      power:    [5, null],
+      unplayed: true,
+      sort:     'commander',
+      dir:      'desc',
+    }
+    const search = deckViewSearch(view)
+    expect(search).toContain('color=WR')
+    expect(search).toContain('power=5-')
+    expect(search).toContain('dir=desc')
+    expect(parseDeckView(search)).toEqual({ ...view, colors: ['W', 'R'] })
+  })
+
+  it('leaves other parameters alone and drops its own defaults', () => {
+    const search = deckViewSearch({ ...DEFAULT_VIEW, sort: 'power' }, '?source=csv&data=data%2F&sort=wins&q=old')
+    expect(search).toBe('?source=csv&data=data%2F&sort=power')
+  })
+
+  it('ignores unknown sorts and directions', () => {
+    expect(parseDeckView('?sort=vibes&dir=up')).toMatchObject({ sort: 'games', dir: 'desc' })
+    expect(parseDeckView('?sort=player')).toMatchObject({ dir: 'asc' })
+  })
+
+  it('knows when anything is filtered', () => {
+    expect(isFiltered(DEFAULT_VIEW)).toBe(false)
+    expect(isFiltered({ ...DEFAULT_VIEW, sort: 'wins' })).toBe(false)
+    expect(isFiltered({ ...DEFAULT_VIEW, power: [null, 6] })).toBe(true)
+    expect(toggleIn(['a', 'b'], 'a')).toEqual(['b'])
+    expect(toggleIn(['b'], 'a')).toEqual(['b', 'a'])
+  })
+})
+
+describe('colorFilter', () => {
+  const decks  = [{ commander: 'A', games: 1 }, { commander: 'B', games: 1 }, { commander: 'C', games: 1 }]
+  const view   = { ...DEFAULT_VIEW, colors: ['B'] }
+  const known  = { A: ['U', 'B'], B: ['G'] }
+  const shown  = (status) => filterDecks(decks, { ...view, ...colorFilter(view, c => known[c], status) }).map(d => d.commander)
+
+  it('leaves colors off while cards are loading', () => {
+    expect(shown('loading')).toEqual(['A', 'B', 'C'])
+  })
+
+  it('filters by known colors once they are in', () => {
+    expect(shown('ready')).toEqual(['A'])
+  })
+
+  it('keeps commanders whose colors could not be looked up', () => {
+    expect(shown('failed')).toEqual(['A', 'C'])
+  })
+})
@@ -0,0 +1,14 @@
+// ─── Downloads ────────────────────────────────────────────────────────────────
+// Saves data the page built itself (a workbook, an export, a PNG) through a
+// throwaway link, so nothing needs a server.
+
+export const downloadFile = (data, filename, type = 'application/octet-stream') => {
+  const blob = data instanceof Blob ? data : new Blob([data], { type })
+  const url  = URL.createObjectURL(blob)
+  const a    = document.createElement('a')
+  a.href     = url
+  a.download = filename
+  a.click()
+  // Some browsers start the download after click() returns.
+  setTimeout(() => URL.revokeObjectURL(url), 1000)
+}
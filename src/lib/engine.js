@@ -0,0 +1,180 @@
+import { buildGames } from './games.js'
+import { replayRatings } from './ratings.js'
+import { winRate, adjustedWinRate, withDeckStats } from './stats.js'
+import { ALL_TIME, periodRange, inRange, parseDay } from './period.js'
+import { COLOR_NAME } from './colors.js'
+import { aboveExpected } from './expectation.js'
+
+// ─── Stats engine ─────────────────────────────────────────────────────────────
+// The dashboard's aggregations with no React or browser in them, so the app
+// and the edh-stats command (bin/edh-stats.js) agree on every number.
+//
+// `summarize` is the one-call version: parsed model in, everything the stat
+// cards and tables show out. The app calls the pieces directly so each can be
+// memoised on its own inputs.
+
+// config.js seasons ('YYYY-MM-DD' strings) followed by the workbook's own.
+export const mergeSeasons = (configSeasons = [], sheetSeasons = []) => [
+  ...configSeasons.map(s => ({ name: s.name, start: parseDay(s.start), end: parseDay(s.end) })),
+  ...sheetSeasons,
+]
+
+export const gamesInPeriod = (games, period = ALL_TIME, seasons = [], now = new Date()) => {
+  const range = periodRange(period, seasons, now)
+  return games.filter(g => inRange(g.date, range))
+}
+
+// One row per player on the Players sheet, tallied from the decks they own.
+// `expected` is their fair 1/N share of those games' wins.
+export const playerStandings = (players, decks, ratings) =>
+  players.map(player => {
+    const pd       = decks.filter(d => d.player === player)
+    const games    = pd.reduce((s, d) => s + d.games, 0)
+    const wins     = pd.reduce((s, d) => s + d.wins, 0)
+    const expected = pd.reduce((s, d) => s + d.expected, 0)
+    return { player, decks: pd.length, games, wins, expected, rating: ratings.players[player] ?? null }
+  })
+
+// Standings order: wins, then win rate, then rating.
+export const rankStandings = (standings) =>
+  [...standings].sort((a, b) =>
+    b.wins - a.wins ||
+    winRate(b.wins, b.games) - winRate(a.wins, a.games) ||
+    (b.rating ?? 0) - (a.rating ?? 0))
+
+// ── Deck table ──────────────────────────────────────────────────────────────
+
+// The deck table's filters. Empty lists and open ends mean no filter.
+//   players, themes — a deck matches any one of them
+//   colors          — its color identity has every one (['B'] is "black decks");
+//                     `colorsOf(commander)` supplies identities, as in mostPlayedColor
+//   power           — [min, max] EstPower, either end null; unrated decks drop
+//                     out once either end is set
+//   search          — case-insensitive part of the commander's name
+// `player` ('All' for everyone) and `theme` are the single-choice forms.
+export const filterDecks = (decks, {
+  player   = 'All',
+  players  = player === 'All' ? [] : [player],
+  theme    = null,
+  themes   = theme ? [theme] : [],
+  colors   = [],
+  colorsOf = () => [],
+  power    = [null, null],
+  search   = '',
+  unplayed = false,
+} = {}) => {
+  const [min, max] = power
+  const needle     = search.trim().toLowerCase()
+  return decks.filter(d =>
+    (!players.length || players.includes(d.player)) &&
+    (!themes.length  || themes.some(t => d.themes.includes(t))) &&
+    (!colors.length  || colors.every(c => (colorsOf(d.commander) ?? []).includes(c))) &&
+    (min == null || (d.power != null && d.power >= min)) &&
+    (max == null || (d.power != null && d.power <= max)) &&
+    (!needle || d.commander.toLowerCase().includes(needle)) &&
+    (unplayed || d.games > 0))
+}
+
+// Sort keys → the value each deck is ranked by. Names sort A–Z by default,
+// numbers biggest first; blanks (no EstPower, no rating) go last either way.
+const SORT_VALUES = {
+  commander: d => d.commander,
+  player:    d => d.player,
+  power:     d => d.power,
+  games:     d => d.games,
+  wins:      d => d.wins,
+  losses:    d => d.losses,
+  winrate:   d => winRate(d.wins, d.games),
+  adjusted:  d => adjustedWinRate(d.wins, d.games, d.expected),
+  expected:  d => aboveExpected(d),
+  rating:    (d, ratings) => ratings.decks[d.id] ?? null,
+}
+
+export const DECK_SORTS = Object.keys(SORT_VALUES)
+
+export const defaultDirection = (sort) => (sort === 'commander' || sort === 'player' ? 'asc' : 'desc')
+
+export const sortDecks = (decks, sort, ratings, dir = defaultDirection(sort)) => {
+  const value = SORT_VALUES[sort]
+  if (!value) return [...decks]
+  const sign = dir === 'asc' ? 1 : -1
+  return [...decks].sort((a, b) => {
+    const x = value(a, ratings)
+    const y = value(b, ratings)
+    if (x == null || y == null) return (x == null) - (y == null)
+    return sign * (typeof x === 'string' ? x.localeCompare(y) : x - y)
+  })
+}
+
+// ── Superlatives ────────────────────────────────────────────────────────────
+// Each returns null when there's nothing to crown.
+
+// Threat Assessment ranks by multiplayer rating rather than raw wins, so
+// turning up more often isn't enough to top it.
+export const topRated = (standings) =>
+  [...standings].filter(p => p.rating != null).sort((a, b) => b.rating - a.rating)[0] ?? null
+
+export const mostActive = (standings) =>
+  [...standings].sort((a, b) => b.games - a.games)[0] ?? null
+
+// Tally each color across all commanders, weighted by games played.
+// `colorsOf(commander)` → color identity letters; unknown commanders add nothing.
+export const mostPlayedColor = (decks, colorsOf) => {
+  const tally = {}
+  decks.forEach(d => {
+    const colors = colorsOf(d.commander) ?? []
+    colors.forEach(c => { tally[c] = (tally[c] ?? 0) + Math.max(d.games, 1) })
+  })
+  const top = Object.entries(tally).sort((a, b) => b[1] - a[1])[0]
+  return top ? { color: COLOR_NAME[top[0]] ?? top[0], count: top[1] } : null
+}
+
+// Each individual theme tag across all decks.
+export const mostPopularTheme = (decks) => {
+  const tally = {}
+  decks.forEach(d => d.themes.forEach(t => { tally[t] = (tally[t] ?? 0) + 1 }))
+  const top = Object.entries(tally).sort((a, b) => b[1] - a[1])[0]
+  return top ? { theme: top[0], count: top[1] } : null
+}
+
+// Best adjusted win rate, so a lucky 1-0 can't outrank a deck that has
+// proven itself over many games.
+export const mostDominant = (decks) =>
+  decks
+    .filter(d => d.games > 0)
+    .map(d => ({ ...d, adjusted: adjustedWinRate(d.wins, d.games, d.expected) }))
+    .sort((a, b) => b.adjusted - a.adjusted)[0] ?? null
+
+// Decks never played in the slice of history being shown.
+export const graveyard = (decks) => decks.filter(d => d.games === 0)
+
+// The two rows of stat cards. `colorsOf` is optional; without card data the
+// color superlative is null.
+export const superlatives = (standings, decks, colorsOf = () => []) => ({
+  topRated:         topRated(standings),
+  mostActive:       mostActive(standings),
+  mostPlayedColor:  mostPlayedColor(decks, colorsOf),
+  mostPopularTheme: mostPopularTheme(decks),
+  mostDominant:     mostDominant(decks),
+  graveyard:        graveyard(decks),
+})
+
+// ── All of it at once ───────────────────────────────────────────────────────
+
+// model: the output of parseSheets; seasons are added to the workbook's own.
+export const summarize = (model, { period = ALL_TIME, seasons = [], now = new Date(), colorsOf } = {}) => {
+  const allGames  = buildGames(model.sessions, model.gamePlayers)
+  const games     = gamesInPeriod(allGames, period, [...seasons, ...(model.seasons ?? [])], now)
+  const decks     = withDeckStats(model.decks, games)
+  const ratings   = replayRatings(games)
+  const standings = playerStandings(model.players, decks, ratings)
+
+  return {
+    period,
+    games,
+    decks,
+    ratings,
+    standings,
+    superlatives: superlatives(standings, decks, colorsOf),
+  }
+}
@@ -0,0 +1,162 @@
+import { describe, it, expect } from 'vitest'
+import {
+  mergeSeasons, gamesInPeriod, playerStandings, filterDecks, sortDecks,
+  topRated, mostActive, mostPlayedColor, mostPopularTheme, mostDominant, summarize,
+} from './engine.js'
+import { buildGames } from './games.js'
+import { parseDay } from './period.js'
+
+// Three players, four decks, three games: Ann wins twice with Atraxa, Ben
+// once with Krenko; Cat's Edgar and Ann's Omnath never get a win.
+const model = {
+  players: ['Ann', 'Ben', 'Cat'],
+  decks: [
+    { id: 'D1', commander: 'Atraxa, Praetors\' Voice', player: 'Ann', themes: ['Counters'],        power: 8, archidektId: null },
+    { id: 'D2', commander: 'Krenko, Mob Boss',         player: 'Ben', themes: ['Tribal', 'Tokens'], power: 6, archidektId: null },
+    { id: 'D3', commander: 'Edgar Markov',             player: 'Cat', themes: ['Tribal'],          power: 7, archidektId: null },
+    { id: 'D4', commander: 'Omnath, Locus of Creation', player: 'Ann', themes: ['Landfall'],       power: 7, archidektId: null },
+  ],
+  sessions: [
+    { id: 'G001', date: parseDay('2025-11-02'), location: 'Ann\'s', players: 3, notes: null },
+    { id: 'G002', date: parseDay('2026-01-10'), location: 'Ben\'s', players: 3, notes: null },
+    { id: 'G003', date: parseDay('2026-02-14'), location: 'Ann\'s', players: 2, notes: null },
+  ],
+  gamePlayers: [
+    { gameId: 'G001', player: 'Ann', deckId: 'D1', commander: 'Atraxa, Praetors\' Voice', win: true  },
+    { gameId: 'G001', player: 'Ben', deckId: 'D2', commander: 'Krenko, Mob Boss',         win: false },
+    { gameId: 'G001', player: 'Cat', deckId: 'D3', commander: 'Edgar Markov',             win: false },
+    { gameId: 'G002', player: 'Ann', deckId: 'D1', commander: 'Atraxa, Praetors\' Voice', win: false },
+    { gameId: 'G002', player: 'Ben', deckId: 'D2', commander: 'Krenko, Mob Boss',         win: true  },
+    { gameId: 'G002', player: 'Cat', deckId: 'D3', commander: 'Edgar Markov',             win: false },
+    { gameId: 'G003', player: 'Ann', deckId: 'D1', commander: 'Atraxa, Praetors\' Voice', win: true  },
+    { gameId: 'G003', player: 'Cat', deckId: 'D3', commander: 'Edgar Markov',             win: false },
+  ],
+  seasons: [],
+}
+
+const now = parseDay('2026-03-01')
+
+describe('gamesInPeriod', () => {
+  const games = buildGames(model.sessions, model.gamePlayers)
+
+  it('keeps everything for all time', () => {
+    expect(gamesInPeriod(games)).toHaveLength(3)
+  })
+
+  it('filters by year', () => {
+    expect(gamesInPeriod(games, { kind: 'year', year: 2026 }).map(g => g.id)).toEqual(['G002', 'G003'])
+  })
+
+  it('filters by a season from config', () => {
+    const seasons = mergeSeasons([{ name: 'Winter', start: '2025-12-01', end: '2026-01-31' }])
+    expect(gamesInPeriod(games, { kind: 'season', season: 'Winter' }, seasons, now).map(g => g.id)).toEqual(['G002'])
+  })
+})
+
+describe('summarize', () => {
+  const summary = summarize(model, { now })
+
+  it('tallies decks from the seats', () => {
+    const atraxa = summary.decks.find(d => d.id === 'D1')
+    expect(atraxa).toMatchObject({ games: 3, wins: 2, losses: 1 })
+    expect(atraxa.expected).toBeCloseTo(1 / 3 + 1 / 3 + 1 / 2)
+    expect(summary.decks.find(d => d.id === 'D4')).toMatchObject({ games: 0, wins: 0, losses: 0 })
+  })
+
+  it('builds standings for every player on the sheet', () => {
+    expect(summary.standings.map(p => [p.player, p.decks, p.games, p.wins])).toEqual([
+      ['Ann', 2, 3, 2],
+      ['Ben', 1, 2, 1],
+      ['Cat', 1, 3, 0],
+    ])
+  })
+
+  it('crowns the superlatives', () => {
+    const s = summary.superlatives
+    expect(s.topRated.player).toBe('Ann')
+    expect(s.mostActive.player).toBe('Ann')
+    expect(s.mostPopularTheme).toEqual({ theme: 'Tribal', count: 2 })
+    expect(s.mostDominant.id).toBe('D1')
+    expect(s.graveyard.map(d => d.id)).toEqual(['D4'])
+    expect(s.mostPlayedColor).toBeNull()
+  })
+
+  it('respects the period', () => {
+    const only2025 = summarize(model, { period: { kind: 'year', year: 2025 }, now })
+    expect(only2025.games).toHaveLength(1)
+    expect(only2025.standings.find(p => p.player === 'Ben').wins).toBe(0)
+    expect(only2025.superlatives.graveyard.map(d => d.id)).toEqual(['D4'])
+  })
+})
+
+describe('deck table', () => {
+  const { decks, ratings } = summarize(model, { now })
+
+  it('hides unplayed decks unless asked', () => {
+    expect(filterDecks(decks).map(d => d.id)).toEqual(['D1', 'D2', 'D3'])
+    expect(filterDecks(decks, { unplayed: true })).toHaveLength(4)
+  })
+
+  it('filters by player and theme', () => {
+    expect(filterDecks(decks, { player: 'Ann', unplayed: true }).map(d => d.id)).toEqual(['D1', 'D4'])
+    expect(filterDecks(decks, { theme: 'Tribal' }).map(d => d.id)).toEqual(['D2', 'D3'])
+  })
+
+  it('combines multi-select players and themes, colors, power and search', () => {
+    const colors = { 'Atraxa, Praetors\' Voice': ['W', 'U', 'B', 'G'], 'Edgar Markov': ['W', 'B', 'R'] }
+    const colorsOf = c => colors[c]
+    expect(filterDecks(decks, { players: ['Ben', 'Cat'] }).map(d => d.id)).toEqual(['D2', 'D3'])
+    expect(filterDecks(decks, { themes: ['Counters', 'Tokens'] }).map(d => d.id)).toEqual(['D1', 'D2'])
+    expect(filterDecks(decks, { colors: ['B'], colorsOf }).map(d => d.id)).toEqual(['D1', 'D3'])
+    expect(filterDecks(decks, { colors: ['B', 'R'], colorsOf }).map(d => d.id)).toEqual(['D3'])
+    expect(filterDecks(decks, { power: [7, null], unplayed: true }).map(d => d.id)).toEqual(['D1', 'D3', 'D4'])
+    expect(filterDecks(decks, { power: [null, 6] }).map(d => d.id)).toEqual(['D2'])
+    expect(filterDecks(decks, { search: ' MARKOV ' }).map(d => d.id)).toEqual(['D3'])
+  })
+
+  it('sorts by each key without mutating its input', () => {
+    const played = filterDecks(decks)
+    expect(sortDecks(played, 'wins', ratings).map(d => d.id)).toEqual(['D1', 'D2', 'D3'])
+    expect(sortDecks(played, 'winrate', ratings)[0].id).toBe('D1')
+    expect(sortDecks(played, 'rating', ratings).at(-1).id).toBe('D3')
+    expect(sortDecks(played, 'losses', ratings)[0].id).toBe('D3')
+    expect(sortDecks(played, 'power', ratings).map(d => d.id)).toEqual(['D1', 'D3', 'D2'])
+    expect(played.map(d => d.id)).toEqual(['D1', 'D2', 'D3'])
+  })
+
+  it('sorts names A–Z and numbers high to low unless told otherwise', () => {
+    const played = filterDecks(decks)
+    expect(sortDecks(played, 'commander', ratings).map(d => d.id)).toEqual(['D1', 'D3', 'D2'])
+    expect(sortDecks(played, 'commander', ratings, 'desc')[0].id).toBe('D2')
+    expect(sortDecks(played, 'power', ratings, 'asc').map(d => d.id)).toEqual(['D2', 'D3', 'D1'])
+  })
+
+  it('keeps decks without a value last in either direction', () => {
+    const unrated = [...decks, { ...decks[3], id: 'D5', power: null }]
+    expect(sortDecks(unrated, 'power', ratings).at(-1).id).toBe('D5')
+    expect(sortDecks(unrated, 'power', ratings, 'asc').at(-1).id).toBe('D5')
+  })
+})
+
+describe('superlatives', () => {
+  it('return null with nothing to rank', () => {
+    expect(topRated([])).toBeNull()
+    expect(mostActive([])).toBeNull()
+    expect(mostPopularTheme([])).toBeNull()
+    expect(mostDominant([])).toBeNull()
+  })
+
+  it('weights colors by games played, counting unplayed decks once', () => {
+    const decks = [
+      { commander: 'A', games: 3 },
+      { commander: 'B', games: 0 },
+    ]
+    const colors = { A: ['G'], B: ['U', 'G'] }
+    expect(mostPlayedColor(decks, c => colors[c])).toEqual({ color: 'Green', count: 4 })
+  })
+
+  it('ranks players by rating, skipping unrated ones', () => {
+    const standings = playerStandings(['Ann', 'Ben'], [], { players: { Ben: 1510 } })
+    expect(topRated(standings).player).toBe('Ben')
+  })
+})
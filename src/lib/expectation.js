@@ -0,0 +1,72 @@
+// ─── Expected wins ────────────────────────────────────────────────────────────
+// In an N-player pod every seat starts with a 1-in-N shot, so a win at a table
+// of five is worth more than one at a table of three. `expected` sums those
+// shares over the games played; wins above expectation is wins − expected, and
+// stays near zero for someone winning exactly their fair share.
+
+export const expectedShare = (game) => 1 / (game.podSize || game.seats.length)
+
+export const aboveExpected = ({ wins, expected }) => wins - expected
+
+// +1.3 / −0.7 / ±0.0, for tables and stat cards.
+export const formatAboveExpected = (value) => {
+  const rounded = Math.round(value * 10) / 10
+  if (rounded === 0) return '±0.0'
+  return `${rounded > 0 ? '+' : '−'}${Math.abs(rounded).toFixed(1)}`
+}
+
+const empty = () => ({ games: 0, wins: 0, expected: 0 })
+
+const add = (tally, game, seat) => {
+  tally.games++
+  tally.expected += expectedShare(game)
+  if (seat.win) tally.wins++
+}
+
+// { key → { games, wins, expected } } over every seat, keyed by keyOf(seat).
+export const expectationBy = (games, keyOf) => {
+  const tally = {}
+  games.forEach(game => game.seats.forEach(seat => {
+    const key = keyOf(seat)
+    if (key == null) return
+    add((tally[key] ??= empty()), game, seat)
+  }))
+  return tally
+}
+
+// Splits each key's record by a property of the game — pod size, location.
+// → { groups: [group…], cells: { key → { group → { games, wins, expected } } } }
+// Groups are sorted numerically when they're numbers, by seats played otherwise.
+export const expectationBreakdown = (games, keyOf, groupOf) => {
+  const cells  = {}
+  const weight = {}
+  games.forEach(game => {
+    const group = groupOf(game)
+    game.seats.forEach(seat => {
+      const key = keyOf(seat)
+      if (key == null) return
+      add(((cells[key] ??= {})[group] ??= empty()), game, seat)
+      weight[group] = (weight[group] ?? 0) + 1
+    })
+  })
+  const groups = Object.keys(weight)
+  const numeric = groups.every(g => !isNaN(Number(g)))
+  groups.sort(numeric ? (a, b) => Number(a) - Number(b) : (a, b) => weight[b] - weight[a] || a.localeCompare(b))
+  return { groups, cells }
+}
+
+export const podSizeOf = (game) => game.podSize || game.seats.length
+
+// → (game) → location. The sheet is typed by hand, so "Spelltable" and
+// "SpellTable" are one place; each is reported under its most common spelling.
+export const locationGrouper = (games) => {
+  const spellings = {}
+  games.forEach(g => {
+    const name = g.location?.trim() || 'Unknown'
+    const seen = (spellings[name.toLowerCase()] ??= {})
+    seen[name] = (seen[name] ?? 0) + 1
+  })
+  const canonical = Object.fromEntries(Object.entries(spellings).map(([key, seen]) =>
+    [key, Object.keys(seen).sort((a, b) => seen[b] - seen[a])[0]]))
+  return (game) => canonical[(game.location?.trim() || 'Unknown').toLowerCase()] ?? 'Unknown'
+}
@@ -0,0 +1,56 @@
+import { describe, it, expect } from 'vitest'
+import {
+  expectedShare, aboveExpected, formatAboveExpected, expectationBy, expectationBreakdown,
+  podSizeOf, locationGrouper,
+} from './expectation.js'
+
+// Two four-player games on Spelltable, one three-player game at Ann's.
+// Ann wins both online games; Ben takes the kitchen-table one.
+const seat = (player, win = false) => ({ player, win })
+
+const games = [
+  { id: 'G001', location: 'Spelltable', podSize: 4, seats: [seat('Ann', true), seat('Ben'), seat('Cat'), seat('Dee')] },
+  { id: 'G002', location: 'SpellTable', podSize: 4, seats: [seat('Ann', true), seat('Ben'), seat('Cat'), seat('Dee')] },
+  { id: 'G003', location: 'Ann\'s',     podSize: 3, seats: [seat('Ann'), seat('Ben', true), seat('Cat')] },
+]
+
+describe('expected wins', () => {
+  it('gives every seat 1 in N, falling back to the seats at the table', () => {
+    expect(expectedShare(games[0])).toBe(1 / 4)
+    expect(expectedShare({ seats: [{}, {}, {}] })).toBe(1 / 3)
+  })
+
+  it('tallies games, wins and expected wins per key', () => {
+    const byPlayer = expectationBy(games, s => s.player)
+    expect(byPlayer.Ann).toMatchObject({ games: 3, wins: 2 })
+    expect(byPlayer.Ann.expected).toBeCloseTo(1 / 4 + 1 / 4 + 1 / 3)
+    expect(byPlayer.Dee.games).toBe(2)
+    expect(aboveExpected(byPlayer.Ben)).toBeCloseTo(1 - (1 / 4 + 1 / 4 + 1 / 3))
+  })
+
+  it('formats with a sign, rounding near-zero to ±0.0', () => {
+    expect(formatAboveExpected(1.26)).toBe('+1.3')
+    expect(formatAboveExpected(-0.66)).toBe('−0.7')
+    expect(formatAboveExpected(0.02)).toBe('±0.0')
+  })
+})
+
+describe('expectationBreakdown', () => {
+  it('splits by pod size, smallest first', () => {
+    const { groups, cells } = expectationBreakdown(games, s => s.player, podSizeOf)
+    expect(groups).toEqual(['3', '4'])
+    expect(cells.Ben['3']).toEqual({ games: 1, wins: 1, expected: 1 / 3 })
+    expect(cells.Dee['3']).toBeUndefined()
+  })
+
+  it('splits by location, folding differently-cased spellings together', () => {
+    const { groups, cells } = expectationBreakdown(games, s => s.player, locationGrouper(games))
+    expect(groups).toEqual(['Spelltable', 'Ann\'s'])
+    expect(cells.Ann.Spelltable).toMatchObject({ games: 2, wins: 2 })
+  })
+
+  it('skips seats whose key is null', () => {
+    const { cells } = expectationBreakdown(games, s => (s.player === 'Ann' ? 'Ann' : null), podSizeOf)
+    expect(Object.keys(cells)).toEqual(['Ann'])
+  })
+})
@@ -0,0 +1,92 @@
+import { toCSV } from './csv.js'
+import { winRate, adjustedWinRate } from './stats.js'
+import { aboveExpected } from './expectation.js'
+import { formatDay } from './period.js'
+
+// ─── Exports ──────────────────────────────────────────────────────────────────
+// The deck table, player standings and game log as downloadable CSV or JSON.
+// Each column has a CSV header and a JSON key; values stay numbers so a
+// spreadsheet can sort them, and JSON keeps them typed.
+
+const round1 = (n) => Math.round(n * 10) / 10
+
+export const deckExportColumns = (ratings) => [
+  { header: 'DeckID',      key: 'id',            value: d => d.id },
+  { header: 'Commander',   key: 'commander',     value: d => d.commander },
+  { header: 'PlayerName',  key: 'player',        value: d => d.player },
+  { header: 'Theme',       key: 'themes',        value: d => d.themes, csv: t => t.join(', ') },
+  { header: 'EstPower',    key: 'power',         value: d => d.power },
+  { header: 'Games',       key: 'games',         value: d => d.games },
+  { header: 'Wins',        key: 'wins',          value: d => d.wins },
+  { header: 'Losses',      key: 'losses',        value: d => d.losses },
+  { header: 'Win %',       key: 'winRate',       value: d => winRate(d.wins, d.games) },
+  { header: 'Adjusted %',  key: 'adjusted',      value: d => Math.round(adjustedWinRate(d.wins, d.games, d.expected) * 100) },
+  { header: 'vs Expected', key: 'aboveExpected', value: d => round1(aboveExpected(d)) },
+  { header: 'Rating',      key: 'rating',        value: d => (ratings.decks[d.id] == null ? null : Math.round(ratings.decks[d.id])) },
+  { header: 'ArchidektID', key: 'archidektId',   value: d => d.archidektId },
+]
+
+// Rows in rankStandings order; `rank` is the row's place.
+export const STANDINGS_EXPORT_COLUMNS = [
+  { header: 'Rank',          key: 'rank',          value: (p, i) => i + 1 },
+  { header: 'PlayerName',    key: 'player',        value: p => p.player },
+  { header: 'Decks',         key: 'decks',         value: p => p.decks },
+  { header: 'Games',         key: 'games',         value: p => p.games },
+  { header: 'Wins',          key: 'wins',          value: p => p.wins },
+  { header: 'Win %',         key: 'winRate',       value: p => winRate(p.wins, p.games) },
+  { header: 'Expected Wins', key: 'expected',      value: p => round1(p.expected) },
+  { header: 'vs Expected',   key: 'aboveExpected', value: p => round1(aboveExpected(p)) },
+  { header: 'Rating',        key: 'rating',        value: p => (p.rating == null ? null : Math.round(p.rating)) },
+]
+
+// One row per game. JSON gets every seat; CSV flattens them to
+// "Player (Commander)" in seat order.
+export const GAME_EXPORT_COLUMNS = [
+  { header: 'GameID',    key: 'id',               value: g => g.id },
+  { header: 'Date',      key: 'date',             value: g => formatDay(g.date) },
+  { header: 'Location',  key: 'location',         value: g => g.location },
+  { header: 'Players',   key: 'podSize',          value: g => g.podSize },
+  { header: 'Winner',    key: 'winner',           value: g => g.winners.map(w => w.player).join(', ') || null },
+  { header: 'Commander', key: 'winningCommander', value: g => g.winners.map(w => w.commander).join(', ') || null },
+  {
+    header: 'Seats',
+    key:    'seats',
+    value:  g => g.seats.map(s => ({ player: s.player, deckId: s.deckId, commander: s.commander, win: s.win })),
+    csv:    seats => seats.map(s => `${s.player} (${s.commander})`).join('; '),
+  },
+  { header: 'Notes',     key: 'notes',            value: g => g.notes },
+]
+
+export const toJSONRows = (rows, columns) =>
+  rows.map((row, i) => Object.fromEntries(columns.map(c => [c.key, c.value(row, i) ?? null])))
+
+// toCSV hands a column its row alone; rows go in as { row, i } so the
+// standings' rank column still sees its index.
+const csvColumn = (c) => ({
+  header: c.header,
+  value:  ({ row, i }) => {
+    const v = c.value(row, i)
+    return c.csv && v != null ? c.csv(v) : v
+  },
+})
+
+// → { data, filename, type } ready for downloadFile. `name` is the file's
+// stem, e.g. 'decks-all-time'.
+export const exportFile = (rows, columns, format, name) => {
+  if (format === 'json') {
+    return {
+      data:     JSON.stringify(toJSONRows(rows, columns), null, 2) + '\n',
+      filename: `${name}.json`,
+      type:     'application/json',
+    }
+  }
+  return {
+    data:     toCSV(rows.map((row, i) => ({ row, i })), columns.map(csvColumn)),
+    filename: `${name}.csv`,
+    type:     'text/csv;charset=utf-8',
+  }
+}
+
+// "All time" → "all-time", "Jan 5 – today" → "jan-5-today".
+export const fileSlug = (text) =>
+  text.toLowerCase().normalize('NFKD').replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'export'
@@ -0,0 +1,79 @@
+import { describe, it, expect } from 'vitest'
+import {
+  deckExportColumns, STANDINGS_EXPORT_COLUMNS, GAME_EXPORT_COLUMNS, exportFile, toJSONRows, fileSlug,
+} from './exports.js'
+import { buildGames } from './games.js'
+import { withDeckStats } from './stats.js'
+import { replayRatings } from './ratings.js'
+import { playerStandings, rankStandings } from './engine.js'
+import { parseDay } from './period.js'
+
+const players = ['Ann', 'Ben']
+const decks = [
+  { id: 'D1', commander: 'Atraxa, Praetors\' Voice', player: 'Ann', themes: ['Counters', 'Superfriends'], power: 8, archidektId: null },
+  { id: 'D2', commander: 'Krenko, Mob Boss',         player: 'Ben', themes: [],                           power: null, archidektId: 42 },
+]
+const games = buildGames(
+  [
+    { id: 'G001', date: parseDay('2026-01-10'), location: 'Ann\'s', players: 2, notes: 'Krenko "went off"' },
+    { id: 'G002', date: parseDay('2026-01-17'), location: 'Ann\'s', players: 2, notes: null },
+  ],
+  [
+    { gameId: 'G001', player: 'Ann', deckId: 'D1', commander: 'Atraxa, Praetors\' Voice', win: false },
+    { gameId: 'G001', player: 'Ben', deckId: 'D2', commander: 'Krenko, Mob Boss',         win: true  },
+    { gameId: 'G002', player: 'Ann', deckId: 'D1', commander: 'Atraxa, Praetors\' Voice', win: false },
+    { gameId: 'G002', player: 'Ben', deckId: 'D2', commander: 'Krenko, Mob Boss',         win: true  },
+  ],
+)
+const ratings = replayRatings(games)
+const stats   = withDeckStats(decks, games)
+
+const csvLines = (data) => data.replace(/^﻿/, '').trimEnd().split('\r\n')
+
+describe('exportFile', () => {
+  it('writes the deck table as CSV with quoted commas and joined themes', () => {
+    const { data, filename, type } = exportFile(stats, deckExportColumns(ratings), 'csv', 'decks-all-time')
+    expect(filename).toBe('decks-all-time.csv')
+    expect(type).toMatch(/^text\/csv/)
+    const [header, atraxa, krenko] = csvLines(data)
+    expect(header).toBe('DeckID,Commander,PlayerName,Theme,EstPower,Games,Wins,Losses,Win %,Adjusted %,vs Expected,Rating,ArchidektID')
+    expect(atraxa).toMatch(/^D1,"Atraxa, Praetors' Voice",Ann,"Counters, Superfriends",8,2,0,2,0,/)
+    expect(krenko).toMatch(/^D2,"Krenko, Mob Boss",Ben,,,2,2,0,100,67,1,\d+,42$/)
+  })
+
+  it('keeps JSON typed, with nulls for blanks', () => {
+    const { data, filename, type } = exportFile(stats, deckExportColumns(ratings), 'json', 'decks')
+    expect(filename).toBe('decks.json')
+    expect(type).toBe('application/json')
+    const [, krenko] = JSON.parse(data)
+    expect(krenko).toMatchObject({ id: 'D2', themes: [], power: null, wins: 2, winRate: 100, aboveExpected: 1, archidektId: 42 })
+    expect(typeof krenko.rating).toBe('number')
+  })
+
+  it('numbers standings in the order given', () => {
+    const standings = rankStandings(playerStandings(players, stats, ratings))
+    const rows = toJSONRows(standings, STANDINGS_EXPORT_COLUMNS)
+    expect(rows.map(r => [r.rank, r.player, r.wins])).toEqual([[1, 'Ben', 2], [2, 'Ann', 0]])
+    expect(csvLines(exportFile(standings, STANDINGS_EXPORT_COLUMNS, 'csv', 's').data)[2]).toMatch(/^2,Ann,1,2,0,0,1,-1,\d+$/)
+  })
+
+  it('flattens seats in CSV and keeps them as objects in JSON', () => {
+    const [first] = csvLines(exportFile(games, GAME_EXPORT_COLUMNS, 'csv', 'g').data).slice(1)
+    expect(first).toBe('G001,2026-01-10,Ann\'s,2,Ben,"Krenko, Mob Boss","Ann (Atraxa, Praetors\' Voice); Ben (Krenko, Mob Boss)","Krenko ""went off"""')
+
+    const [, second] = toJSONRows(games, GAME_EXPORT_COLUMNS)
+    expect(second.seats).toEqual([
+      { player: 'Ann', deckId: 'D1', commander: 'Atraxa, Praetors\' Voice', win: false },
+      { player: 'Ben', deckId: 'D2', commander: 'Krenko, Mob Boss',         win: true  },
+    ])
+    expect(second.notes).toBeNull()
+  })
+})
+
+describe('fileSlug', () => {
+  it('makes period labels safe for file names', () => {
+    expect(fileSlug('All time')).toBe('all-time')
+    expect(fileSlug('Jan 5 – today')).toBe('jan-5-today')
+    expect(fileSlug('––')).toBe('export')
+  })
+})
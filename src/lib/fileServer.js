@@ -0,0 +1,49 @@
+// ─── Local file host ──────────────────────────────────────────────────────────
+// A stand-in for the static host (GitHub Pages, or Vite in development) that
+// lives in memory: it serves files with an ETag and Last-Modified, answers
+// If-None-Match / If-Modified-Since with 304, and lets a test replace a file
+// the way a push would. Its `fetch` drops in wherever a fetcher is taken.
+//
+//   const host = createFileServer({ 'games.json': body })
+//   await loadSource({ type: 'json', path: 'games.json' }, { fetcher: host.fetch })
+//   host.put('games.json', newer)
+
+const HTTP_DATE = (ms) => new Date(Math.floor(ms / 1000) * 1000).toUTCString()
+
+// files: { path → string | ArrayBuffer | Uint8Array }, paths relative to
+// `baseUrl`. `validators: false` serves files without ETag or Last-Modified,
+// like a host that can't answer conditional requests.
+export const createFileServer = (files = {}, { baseUrl = '/', now = () => Date.now(), validators = true } = {}) => {
+  const store = {}
+  let version = 0
+  const requests = [] // { path, status }, oldest first
+
+  const put = (path, body) => {
+    version++
+    store[path] = { body, etag: `"v${version}"`, modified: HTTP_DATE(now()) }
+  }
+  const remove = (path) => { delete store[path] }
+  Object.entries(files).forEach(([path, body]) => put(path, body))
+
+  const respond = (path, status, init = {}) => {
+    requests.push({ path, status })
+    return new Response(init.body ?? null, { status, headers: init.headers })
+  }
+
+  const fetch = async (url, { headers = {} } = {}) => {
+    const path = decodeURI(String(url).startsWith(baseUrl) ? String(url).slice(baseUrl.length) : String(url))
+    const file = store[path]
+    if (!file) return respond(path, 404)
+
+    const meta = validators ? { ETag: file.etag, 'Last-Modified': file.modified } : {}
+    const ifNoneMatch = headers['If-None-Match']
+    const ifModified  = headers['If-Modified-Since']
+    const fresh = validators && (ifNoneMatch
+      ? ifNoneMatch === file.etag
+      : ifModified != null && Date.parse(ifModified) >= Date.parse(file.modified))
+    if (fresh) return respond(path, 304, { headers: meta })
+    return respond(path, 200, { body: file.body, headers: meta })
+  }
+
+  return { fetch, put, remove, requests }
+}
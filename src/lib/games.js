@@ -0,0 +1,45 @@
+// ─── Game history ─────────────────────────────────────────────────────────────
+// Joins the Games sheet (one row per pod) with the Game Players sheet (one row
+// per seat) so each game carries its own table.
+
+// Oldest first; GameIDs break ties between games played on the same night.
+export const compareGames = (a, b) =>
+  (a.date?.getTime() ?? 0) - (b.date?.getTime() ?? 0) ||
+  a.id.localeCompare(b.id, undefined, { numeric: true })
+
+export const buildGames = (sessions, gamePlayers) => {
+  const seatsByGame = {}
+  gamePlayers.forEach(seat => {
+    (seatsByGame[seat.gameId] ??= []).push(seat)
+  })
+
+  return sessions
+    .map(s => {
+      const id    = String(s.id ?? '').trim()
+      const seats = seatsByGame[id] ?? []
+      return {
+        id,
+        date:     s.date,
+        location: s.location,
+        notes:    s.notes,
+        // TotalPlayers is typed by hand; fall back to the seats actually logged.
+        podSize:  s.players || seats.length,
+        seats,
+        winners:  seats.filter(seat => seat.win),
+      }
+    })
+    .sort(compareGames)
+}
+
+// Excel serials convert to UTC midnight, so format in UTC to keep the
+// calendar day from shifting in western time zones.
+export const formatDate = (date, options = {}) =>
+  date
+    ? date.toLocaleDateString(undefined, {
+        timeZone: 'UTC', month: 'short', day: 'numeric', year: 'numeric', ...options,
+      })
+    : '—'
+
+// "*Other Player's Deck*" rows stand in for borrowed decks: not a card to
+// look up, nothing a player brings, and no achievements.
+export const isPlaceholder = (commander) => /^\*.*\*$/.test(commander ?? '')
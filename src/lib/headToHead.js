@@ -0,0 +1,28 @@
+// ─── Head-to-head ─────────────────────────────────────────────────────────────
+// For every ordered pair (row, col) that shared a table: how many games they
+// sat in together and how many of those the row side won.
+
+// `keyOf` picks what a seat is counted as — the player, or the deck.
+export const headToHead = (games, keyOf) => {
+  const cells = {}
+
+  games.forEach(game => {
+    const keys = [...new Set(game.seats.map(keyOf).filter(Boolean))]
+    const winners = new Set(game.winners.map(keyOf))
+
+    keys.forEach(row => {
+      keys.forEach(col => {
+        if (row === col) return
+        const cell = ((cells[row] ??= {})[col] ??= { shared: 0, wins: 0 })
+        cell.shared++
+        if (winners.has(row)) cell.wins++
+      })
+    })
+  })
+
+  return cells
+}
+
+// The commander's first name is enough to label a crowded grid header.
+export const shortCommander = (name) =>
+  name.split(/,| \/\/ |\//)[0].trim()
@@ -0,0 +1,60 @@
+import { describe, it, expect } from 'vitest'
+import { headToHead, shortCommander } from './headToHead.js'
+import { buildGames } from './games.js'
+
+// A four-player pod Ann wins (Dee's deck not logged) and a three-player one
+// Cat wins. Ann plays Atraxa both times; in the second, Ben borrows Cat's
+// Edgar and Cat brings an Atraxa of their own.
+const games = buildGames(
+  [
+    { id: 'G1', date: null, location: null, players: 4, notes: null },
+    { id: 'G2', date: null, location: null, players: 3, notes: null },
+  ],
+  [
+    { gameId: 'G1', player: 'Ann', deckId: 'D1', commander: 'Atraxa, Praetors\' Voice', win: true },
+    { gameId: 'G1', player: 'Ben', deckId: 'D2', commander: 'Krenko, Mob Boss',         win: false },
+    { gameId: 'G1', player: 'Cat', deckId: 'D3', commander: 'Edgar Markov',             win: false },
+    { gameId: 'G1', player: 'Dee', deckId: null, commander: '—',                        win: false },
+    { gameId: 'G2', player: 'Ann', deckId: 'D1', commander: 'Atraxa, Praetors\' Voice', win: false },
+    { gameId: 'G2', player: 'Ben', deckId: 'D3', commander: 'Edgar Markov',             win: false },
+    { gameId: 'G2', player: 'Cat', deckId: 'D4', commander: 'Atraxa, Praetors\' Voice', win: true },
+  ],
+)
+
+describe('headToHead', () => {
+  const players = headToHead(games, s => s.player)
+
+  it('counts every pair at a shared table, whoever else sat there', () => {
+    expect(players.Ann.Ben).toEqual({ shared: 2, wins: 1 })
+    expect(players.Ann.Cat).toEqual({ shared: 2, wins: 1 })
+    expect(players.Ann.Dee).toEqual({ shared: 1, wins: 1 })
+    expect(players.Ben.Ann).toEqual({ shared: 2, wins: 0 })
+    expect(players.Dee.Cat).toEqual({ shared: 1, wins: 0 })
+  })
+
+  it('only fills cells for pairs that met, never a seat against itself', () => {
+    expect(players.Ann.Ann).toBeUndefined()
+    expect(Object.keys(players.Dee).sort()).toEqual(['Ann', 'Ben', 'Cat'])
+  })
+
+  it('counts decks by what keyOf returns, skipping seats without one', () => {
+    const decks = headToHead(games, s => s.deckId)
+    expect(decks.D1.D3).toEqual({ shared: 2, wins: 1 })
+    expect(decks.D3.D1).toEqual({ shared: 2, wins: 0 })
+    expect(decks.D4.D1).toEqual({ shared: 1, wins: 1 })
+    expect(Object.keys(decks)).not.toContain('null')
+  })
+
+  it('folds a key seen twice at one table into one', () => {
+    const commanders = headToHead(games, s => s.commander)
+    expect(commanders['Atraxa, Praetors\' Voice']['Edgar Markov']).toEqual({ shared: 2, wins: 2 })
+  })
+})
+
+describe('shortCommander', () => {
+  it('keeps the name before the comma or partner slash', () => {
+    expect(shortCommander('Atraxa, Praetors\' Voice')).toBe('Atraxa')
+    expect(shortCommander('Esika, Queen of the Wild // The Prismatic Bridge')).toBe('Esika')
+    expect(shortCommander('Thrasios / Tymna')).toBe('Thrasios')
+  })
+})
@@ -0,0 +1,53 @@
+import { rankStandings } from './engine.js'
+import { safeStorage } from './storage.js'
+
+// ─── Since your last visit ────────────────────────────────────────────────────
+// A snapshot of what the dashboard showed — which games and decks existed and
+// where everyone ranked — kept in the browser, so the next visit can say
+// what's new: games added, rank changes and new decks. One snapshot per pod.
+
+const SNAPSHOT_KEY = 'edh-dashboard:last-visit'
+
+// standings: playerStandings rows, ranked here as the report ranks them.
+export const visitSnapshot = ({ games, standings, decks }, now = new Date()) => ({
+  at:    now.toISOString(),
+  games: games.map(g => g.id),
+  decks: decks.map(d => d.id),
+  ranks: Object.fromEntries(
+    rankStandings(standings.filter(s => s.games > 0)).map((s, i) => [s.player, i + 1])),
+})
+
+// What differs between a snapshot and the data now →
+//   { since, games, decks, ranks: [{ player, from, to }] }
+// `games` and `decks` are the new ones, newest game first; a player is only
+// listed under ranks if their place moved (`from` null: newly ranked).
+// null without a snapshot to compare against.
+export const changesSince = (snapshot, { games, standings, decks }) => {
+  if (!snapshot) return null
+  const seenGames = new Set(snapshot.games)
+  const seenDecks = new Set(snapshot.decks)
+  const now = visitSnapshot({ games, standings, decks })
+  return {
+    since: new Date(snapshot.at),
+    games: games.filter(g => !seenGames.has(g.id)).reverse(),
+    decks: decks.filter(d => !seenDecks.has(d.id)),
+    ranks: Object.entries(now.ranks)
+      .map(([player, to]) => ({ player, from: snapshot.ranks[player] ?? null, to }))
+      .filter(r => r.from !== r.to)
+      .sort((a, b) => a.to - b.to),
+  }
+}
+
+export const hasChanges = (changes) =>
+  Boolean(changes && (changes.games.length || changes.decks.length || changes.ranks.length))
+
+// ── Storage ─────────────────────────────────────────────────────────────────
+// One JSON blob under SNAPSHOT_KEY, { [podId]: snapshot }, via safeStorage.
+
+export const loadSnapshot = (pod, storage = globalThis.localStorage) =>
+  safeStorage(storage, SNAPSHOT_KEY).read()[pod] ?? null
+
+export const saveSnapshot = (pod, snapshot, storage = globalThis.localStorage) => {
+  const store = safeStorage(storage, SNAPSHOT_KEY)
+  store.write({ ...store.read(), [pod]: snapshot })
+}
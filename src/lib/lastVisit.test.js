@@ -0,0 +1,71 @@
+import { describe, it, expect } from 'vitest'
+import { visitSnapshot, changesSince, hasChanges, loadSnapshot, saveSnapshot } from './lastVisit.js'
+import { memoryStorage } from './storage.js'
+
+const game  = (id) => ({ id })
+const deck  = (id) => ({ id })
+const stand = (player, wins, games = 4) => ({ player, wins, games, expected: games / 4, rating: 1500 + wins })
+
+// Last time: two games, Ann ahead of Nick, Zed yet to play.
+const before = {
+  games:     [game('G001'), game('G002')],
+  decks:     [deck('D1'), deck('D2')],
+  standings: [stand('Nick', 1), stand('Ann', 2), stand('Zed', 0, 0)],
+}
+const snapshot = visitSnapshot(before, new Date('2026-03-01T20:00:00Z'))
+
+describe('visitSnapshot', () => {
+  it('records game and deck IDs and the ranks of everyone who has played', () => {
+    expect(snapshot).toEqual({
+      at:    '2026-03-01T20:00:00.000Z',
+      games: ['G001', 'G002'],
+      decks: ['D1', 'D2'],
+      ranks: { Ann: 1, Nick: 2 },
+    })
+  })
+})
+
+describe('changesSince', () => {
+  it('lists new games newest first, new decks and the players who moved', () => {
+    const changes = changesSince(snapshot, {
+      games:     [game('G001'), game('G002'), game('G003'), game('G004')],
+      decks:     [deck('D1'), deck('D2'), deck('D3')],
+      standings: [stand('Nick', 4, 6), stand('Ann', 2, 6), stand('Zed', 0, 2)],
+    })
+    expect(changes.since).toEqual(new Date('2026-03-01T20:00:00Z'))
+    expect(changes.games.map(g => g.id)).toEqual(['G004', 'G003'])
+    expect(changes.decks.map(d => d.id)).toEqual(['D3'])
+    expect(changes.ranks).toEqual([
+      { player: 'Nick', from: 2, to: 1 },
+      { player: 'Ann',  from: 1, to: 2 },
+      { player: 'Zed',  from: null, to: 3 },
+    ])
+    expect(hasChanges(changes)).toBe(true)
+  })
+
+  it('finds nothing when the data is as it was, or no snapshot to compare with', () => {
+    const same = changesSince(snapshot, before)
+    expect(same).toMatchObject({ games: [], decks: [], ranks: [] })
+    expect(hasChanges(same)).toBe(false)
+    expect(changesSince(null, before)).toBeNull()
+    expect(hasChanges(null)).toBe(false)
+  })
+})
+
+describe('loadSnapshot / saveSnapshot', () => {
+  it('keeps one snapshot per pod', () => {
+    const storage = memoryStorage()
+    saveSnapshot('home', snapshot, storage)
+    saveSnapshot('thursday', { ...snapshot, games: [] }, storage)
+    expect(loadSnapshot('home', storage)).toEqual(snapshot)
+    expect(loadSnapshot('thursday', storage).games).toEqual([])
+    expect(loadSnapshot('friday', storage)).toBeNull()
+  })
+
+  it('treats broken, missing or full storage as no snapshot', () => {
+    expect(loadSnapshot('home', memoryStorage({ 'edh-dashboard:last-visit': '{oops' }))).toBeNull()
+    expect(loadSnapshot('home', undefined)).toBeNull()
+    const full = { getItem: () => null, setItem: () => { throw new Error('QuotaExceededError') } }
+    expect(() => saveSnapshot('home', snapshot, full)).not.toThrow()
+  })
+})
@@ -0,0 +1,191 @@
+import { adjustedWinRate } from './stats.js'
+import { expectationBy } from './expectation.js'
+import { isPlaceholder } from './games.js'
+
+// ─── Matchmaking ──────────────────────────────────────────────────────────────
+// Proposes tonight's tables: who sits together and which deck each of them
+// brings. Candidate layouts are drawn at random from a seeded generator, so a
+// reroll is just the next seed, and scored on three penalties (lower wins):
+//
+//   imbalance — how far each pod's win chances are from an even 1 in N.
+//               A seat's strength is the deck's EstPower nudged by the adjusted
+//               win rates of deck and pilot, so a deck that keeps winning, or
+//               a player who does, plays above the sticker.
+//   staleness — how often the chosen decks have been played already; the
+//               Graveyard of Dreams gets first call.
+//   repeats   — pairs of players who shared a pod on the last few game
+//               nights, the most recent night counting most.
+
+const POD_MAX       = 5
+const POD_TARGET    = 4
+const DEFAULT_POWER = 6     // when no deck has an EstPower yet
+const WIN_WEIGHT    = 10    // power points per 100% of adjusted win rate above 1 in 4
+const CHANCE_SCALE  = 0.4   // how sharply a power gap turns into a win chance
+const RECENT_NIGHTS = 3
+const REPEAT_WEIGHT = 0.5
+const TRIES         = 600
+
+// Mulberry32: small, fast and good enough to shuffle seats.
+export const seededRandom = (seed) => {
+  let a = seed >>> 0
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0
+    let t = a
+    t = Math.imul(t ^ (t >>> 15), t | 1)
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+}
+
+const shuffle = (items, random) => {
+  const out = [...items]
+  for (let i = out.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1))
+    ;[out[i], out[j]] = [out[j], out[i]]
+  }
+  return out
+}
+
+// Pod sizes for n attendees: as close to four as possible, never under three
+// or over five. Five or fewer play at one table, whatever its size.
+export const podSizes = (n) => {
+  if (n <= POD_MAX) return n > 0 ? [n] : []
+  const count = Math.max(Math.ceil(n / POD_MAX), Math.round(n / POD_TARGET))
+  const base  = Math.floor(n / count)
+  return Array.from({ length: count }, (_, i) => base + (i < n % count ? 1 : 0))
+}
+
+// → (player, deck) → strength on the EstPower scale. Decks without an
+// EstPower take the median of the rated ones; a player without a deck of
+// their own is judged on their record alone.
+export const seatStrength = (decks, games) => {
+  const powers = decks.map(d => d.power).filter(p => p != null).sort((a, b) => a - b)
+  const median = powers.length ? powers[Math.floor(powers.length / 2)] : DEFAULT_POWER
+  const record = expectationBy(games, seat => seat.player)
+  const playerRate = (player) => {
+    const t = record[player]
+    return t ? adjustedWinRate(t.wins, t.games, t.expected) : 1 / POD_TARGET
+  }
+  return (player, deck) => {
+    const deckRate = deck ? adjustedWinRate(deck.wins ?? 0, deck.games ?? 0, deck.expected) : playerRate(player)
+    return (deck?.power ?? median) + WIN_WEIGHT * ((deckRate + playerRate(player)) / 2 - 1 / POD_TARGET)
+  }
+}
+
+// Strengths in one pod → each seat's chance of taking the game.
+export const winChances = (strengths) => {
+  const weights = strengths.map(s => Math.exp(CHANCE_SCALE * s))
+  const total   = weights.reduce((a, b) => a + b, 0)
+  return weights.map(w => w / total)
+}
+
+// 100 when every seat has an even 1-in-N shot, 0 when one seat is a lock.
+export const podBalance = (chances) => {
+  const n = chances.length
+  if (n < 2) return 100
+  const drift = chances.reduce((sum, p) => sum + Math.abs(p - 1 / n), 0)
+  return Math.round(100 * (1 - drift / (2 * (1 - 1 / n))))
+}
+
+const pairKey = (a, b) => (a < b ? `${a}\u0000${b}` : `${b}\u0000${a}`)
+
+// { pairKey → { weight, date } } for players who shared a pod on one of the
+// last RECENT_NIGHTS game nights; weight 1 for the latest night, ½ before it…
+// Games without a Date can't be placed on a night and are left out.
+export const recentPairs = (games, nights = RECENT_NIGHTS) => {
+  const dated  = games.filter(g => g.date)
+  const dates  = [...new Set(dated.map(g => g.date.getTime()))].sort((a, b) => b - a).slice(0, nights)
+  const pairs  = {}
+  dated.forEach(game => {
+    const age = dates.indexOf(game.date.getTime())
+    if (age < 0) return
+    const players = [...new Set(game.seats.map(s => s.player))]
+    players.forEach((a, i) => players.slice(i + 1).forEach(b => {
+      const key = pairKey(a, b)
+      if (!pairs[key] || pairs[key].weight < 1 / (age + 1)) pairs[key] = { weight: 1 / (age + 1), date: game.date }
+    }))
+  })
+  return pairs
+}
+
+// ── Proposals ───────────────────────────────────────────────────────────────
+
+// attendees → up to `count` distinct layouts, best first:
+//   [{ pods: [{ seats: [{ player, deck, strength, chance }], balance }],
+//      balance, fresh, repeats: [{ players: [a, b], date }], penalty }]
+// `decks` must carry stats (withDeckStats) so play counts and win rates count;
+// a player with no deck of their own gets `deck: null`.
+export const proposePods = (attendees, { decks, games, seed = 1, count = 3, tries = TRIES } = {}) => {
+  const sizes = podSizes(attendees.length)
+  if (!sizes.length) return []
+
+  const random    = seededRandom(seed)
+  const strength  = seatStrength(decks, games)
+  const recent    = recentPairs(games)
+  const owned     = Object.fromEntries(attendees.map(p => [
+    p, decks.filter(d => d.player === p && !isPlaceholder(d.commander)),
+  ]))
+
+  // Rarely played decks are likelier picks: weight 1 / (1 + games).
+  const pickDeck = (player) => {
+    const choices = owned[player]
+    if (!choices.length) return null
+    const weights = choices.map(d => 1 / (1 + (d.games ?? 0)))
+    let roll = random() * weights.reduce((a, b) => a + b, 0)
+    return choices.find((_, i) => (roll -= weights[i]) < 0) ?? choices.at(-1)
+  }
+
+  const layout = () => {
+    const order = shuffle(attendees, random)
+    let start = 0
+    const pods = sizes.map(size => {
+      const players = order.slice(start, (start += size))
+      const seats   = players.map(player => {
+        const deck = pickDeck(player)
+        return { player, deck, strength: strength(player, deck) }
+      })
+      const chances = winChances(seats.map(s => s.strength))
+      seats.forEach((s, i) => { s.chance = chances[i] })
+      return { seats, balance: podBalance(chances) }
+    })
+
+    const seats   = pods.flatMap(p => p.seats)
+    const balance = Math.round(pods.reduce((sum, p) => sum + p.balance * p.seats.length, 0) / seats.length)
+    const stale   = seats.reduce((sum, s) => sum + Math.log1p(s.deck?.games ?? 0), 0) / seats.length
+    const repeats = pods.flatMap(p => p.seats.flatMap((a, i) => p.seats.slice(i + 1)
+      .filter(b => recent[pairKey(a.player, b.player)])
+      .map(b => ({ players: [a.player, b.player], ...recent[pairKey(a.player, b.player)] }))))
+
+    return {
+      pods,
+      balance,
+      fresh:   seats.filter(s => s.deck && !s.deck.games).length,
+      repeats: repeats.map(({ players, date }) => ({ players, date })),
+      penalty: (100 - balance) / 10 + stale + REPEAT_WEIGHT * repeats.reduce((sum, r) => sum + r.weight, 0),
+    }
+  }
+
+  // Options should differ in who sits where; only with a single table do
+  // they differ by decks alone.
+  const keyOf = (option) => option.pods
+    .map(p => p.seats.map(s => (sizes.length > 1 ? s.player : `${s.player}:${s.deck?.id ?? ''}`)).sort().join(','))
+    .sort()
+    .join('|')
+
+  const best = new Map()
+  for (let i = 0; i < tries; i++) {
+    const option = layout()
+    const key    = keyOf(option)
+    if (!best.has(key) || best.get(key).penalty > option.penalty) best.set(key, option)
+  }
+
+  return [...best.values()]
+    .sort((a, b) => a.penalty - b.penalty)
+    .slice(0, count)
+    .map(option => ({
+      ...option,
+      pods: option.pods
+        .map(p => ({ ...p, seats: [...p.seats].sort((a, b) => b.strength - a.strength) }))
+        .sort((a, b) => b.seats.length - a.seats.length),
+    }))
+}
@@ -0,0 +1,108 @@
+import { describe, it, expect } from 'vitest'
+import {
+  podSizes, seatStrength, winChances, podBalance, recentPairs, proposePods, seededRandom,
+} from './matchmaking.js'
+import { parseDay } from './period.js'
+
+const deck = (id, player, extra = {}) =>
+  ({ id, player, commander: `Commander ${id}`, power: 6, games: 0, wins: 0, losses: 0, expected: 0, ...extra })
+
+const game = (date, players, winner) => ({
+  date:  parseDay(date),
+  seats: players.map(player => ({ player, win: player === winner })),
+})
+
+describe('podSizes', () => {
+  it('keeps tables between three and five, close to four', () => {
+    expect(podSizes(0)).toEqual([])
+    expect(podSizes(4)).toEqual([4])
+    expect(podSizes(7)).toEqual([4, 3])
+    expect(podSizes(9)).toEqual([5, 4])
+    expect(podSizes(10)).toEqual([4, 3, 3])
+  })
+})
+
+describe('strength and balance', () => {
+  it('rates a winning deck and a winning player above the sticker', () => {
+    const winner = deck('D1', 'Ann', { games: 6, wins: 5, expected: 1.5 })
+    const fresh  = deck('D2', 'Ben')
+    const games  = [game('2026-01-01', ['Ann', 'Ben', 'Cat', 'Dee'], 'Ann')]
+    const strength = seatStrength([winner, fresh], games)
+    expect(strength('Ann', winner)).toBeGreaterThan(strength('Ben', fresh))
+    expect(strength('Ann', fresh)).toBeGreaterThan(strength('Ben', fresh))
+    expect(strength('Ben', fresh)).toBeCloseTo(6, 0)
+  })
+
+  it('scores an even pod 100 and a lopsided one lower', () => {
+    expect(podBalance(winChances([6, 6, 6, 6]))).toBe(100)
+    expect(podBalance(winChances([10, 4, 4, 4]))).toBeLessThan(60)
+  })
+})
+
+describe('recentPairs', () => {
+  it('weights the latest night most and forgets old ones', () => {
+    const pairs = recentPairs([
+      game('2026-01-01', ['Ann', 'Ben']),
+      game('2026-02-01', ['Ann', 'Cat']),
+      game('2026-03-01', ['Ben', 'Cat']),
+      game('2026-04-01', ['Ann', 'Ben']),
+    ])
+    expect(Object.values(pairs).map(p => p.weight).sort()).toEqual([0.5, 1, 1 / 3].sort())
+    expect(Object.keys(pairs)).toHaveLength(3)
+  })
+
+  it('leaves out games with no date', () => {
+    const undated = { date: null, seats: [{ player: 'Ann' }, { player: 'Dee' }] }
+    const pairs = recentPairs([undated, game('2026-04-01', ['Ann', 'Ben'])])
+    expect(Object.values(pairs)).toEqual([{ weight: 1, date: parseDay('2026-04-01') }])
+  })
+})
+
+describe('proposePods', () => {
+  const players = ['Ann', 'Ben', 'Cat', 'Dee', 'Eve', 'Fay', 'Gus']
+  const decks = players.flatMap(p => [
+    deck(`${p}-old`, p, { games: 8, wins: 2, losses: 6, expected: 2 }),
+    deck(`${p}-new`, p),
+  ])
+
+  it('seats every attendee once with one of their own decks', () => {
+    const [best] = proposePods(players, { decks, games: [], seed: 3 })
+    const seats = best.pods.flatMap(p => p.seats)
+    expect(best.pods.map(p => p.seats.length)).toEqual([4, 3])
+    expect(seats.map(s => s.player).sort()).toEqual([...players].sort())
+    seats.forEach(s => expect(s.deck.player).toBe(s.player))
+  })
+
+  it('prefers unplayed decks', () => {
+    const [best] = proposePods(players, { decks, games: [], seed: 3 })
+    expect(best.fresh).toBeGreaterThanOrEqual(5)
+  })
+
+  it('avoids last night’s pods when it can', () => {
+    const lastNight = [game('2026-04-01', ['Ann', 'Ben', 'Cat', 'Dee']), game('2026-04-01', ['Eve', 'Fay', 'Gus'])]
+    const [best] = proposePods(players, { decks, games: lastNight, seed: 3 })
+    // However the seven are split 4 + 3, at least three pairs sat together.
+    expect(best.repeats).toHaveLength(3)
+  })
+
+  it('copes with an undated game in the history', () => {
+    const history = [{ date: null, seats: [{ player: 'Ann' }, { player: 'Ben' }] }, game('2026-04-01', ['Ann', 'Ben', 'Cat'])]
+    expect(proposePods(players, { decks, games: history, seed: 3 })).toHaveLength(3)
+  })
+
+  it('is repeatable for a seed and changes on reroll', () => {
+    const layout = (seed) => proposePods(players, { decks, games: [], seed })
+      .map(o => o.pods.map(p => p.seats.map(s => s.player).join()).join('|'))
+    expect(layout(5)).toEqual(layout(5))
+    expect(seededRandom(1)()).not.toBe(seededRandom(2)())
+  })
+
+  it('offers a distinct layout per option and hands out no placeholder decks', () => {
+    const withPlaceholder = [...decks, deck('P1', 'Ann', { commander: '*Other Player\'s Deck*' })]
+    const options = proposePods(players, { decks: withPlaceholder, games: [], seed: 9 })
+    expect(options).toHaveLength(3)
+    const keys = options.map(o => o.pods.map(p => p.seats.map(s => s.player).sort().join()).sort().join('|'))
+    expect(new Set(keys).size).toBe(3)
+    options.flatMap(o => o.pods.flatMap(p => p.seats)).forEach(s => expect(s.deck.id).not.toBe('P1'))
+  })
+})
@@ -0,0 +1,10 @@
+// ─── Chart palette ────────────────────────────────────────────────────────────
+// One color per series (usually a player), picked by index so a player keeps
+// the same color in every chart.
+
+const SERIES_COLORS = [
+  '#09090b', '#2563eb', '#dc2626', '#16a34a',
+  '#d97706', '#7c3aed', '#0891b2', '#db2777',
+]
+
+export const seriesColor = (index) => SERIES_COLORS[index % SERIES_COLORS.length]
@@ -0,0 +1,134 @@
+import * as XLSX from 'xlsx'
+
+// ─── Parsing ──────────────────────────────────────────────────────────────────
+// Every data source boils down to "rows for a named sheet". The readers below
+// turn a workbook, a set of per-sheet CSVs, or a JSON export into that shape,
+// and parseSheets maps the rows onto the dashboard's model:
+//   { decks, players, sessions, gamePlayers, seasons }
+
+export const REQUIRED_SHEETS = ['Players', 'Decks', 'Games', 'Game Players']
+export const OPTIONAL_SHEETS = ['Seasons']
+
+// Thrown for anything wrong with the data itself (as opposed to fetching it).
+export class ParseError extends Error {
+  constructor(message) {
+    super(message)
+    this.name = 'ParseError'
+  }
+}
+
+// Convert an Excel date serial number to a JS Date.
+// Excel's epoch is Jan 1 1900; Unix epoch is Jan 1 1970 (25569 days later).
+export const excelDateToJS = (serial) =>
+  serial ? new Date(Math.round((serial - 25569) * 86400 * 1000)) : null
+
+// CSV and JSON exports may carry dates as ISO text rather than serials.
+// Date-only strings land on UTC midnight, matching excelDateToJS.
+const toDate = (value) => {
+  if (value == null || value === '') return null
+  if (value instanceof Date) return value
+  if (typeof value === 'number' || /^\d+(\.\d+)?$/.test(value)) return excelDateToJS(Number(value))
+  const date = new Date(/^\d{4}-\d{2}-\d{2}$/.test(value) ? `${value}T00:00:00Z` : value)
+  return isNaN(date) ? null : date
+}
+
+// Cells can arrive as numbers or strings depending on the source.
+export const text = (value) => (value == null ? '' : String(value).trim())
+
+// ── Readers → sheet(name) lookups ───────────────────────────────────────────
+
+const fromWorkbook = (wb) => (name) =>
+  wb.Sheets[name] ? XLSX.utils.sheet_to_json(wb.Sheets[name]) : null
+
+export const xlsxSheets = (buffer) => {
+  let wb
+  try {
+    wb = XLSX.read(new Uint8Array(buffer), { type: 'array' })
+  } catch (err) {
+    throw new ParseError(`not a readable workbook (${err.message})`)
+  }
+  return fromWorkbook(wb)
+}
+
+// `files` is { sheetName → CSV text }; a missing entry is a missing sheet.
+export const csvSheets = (files) => (name) => {
+  if (files[name] == null) return null
+  // Date columns are left as text so toDate sees what the file says.
+  const wb = XLSX.read(files[name], { type: 'string', raw: true })
+  return XLSX.utils.sheet_to_json(wb.Sheets[wb.SheetNames[0]])
+}
+
+// A JSON export is one object keyed by sheet name, each an array of rows
+// with the same column names as the workbook.
+export const jsonSheets = (data) => {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new ParseError('expected an object keyed by sheet name')
+  }
+  return (name) => {
+    if (data[name] == null) return null
+    if (!Array.isArray(data[name])) throw new ParseError(`sheet “${name}” is not an array of rows`)
+    return data[name]
+  }
+}
+
+// ── Rows → model ────────────────────────────────────────────────────────────
+
+export const parseSheets = (lookup) => {
+  const missing = REQUIRED_SHEETS.filter(name => !lookup(name))
+  if (missing.length) {
+    throw new ParseError(`missing sheet${missing.length > 1 ? 's' : ''} ${missing.map(m => `“${m}”`).join(', ')}`)
+  }
+  const sheet = (name) => lookup(name) ?? []
+
+  // ── Players sheet → ordered player list ──────────────────────────────────
+  const players = sheet('Players')
+    .map(r => text(r.PlayerName))
+    .filter(Boolean)
+
+  // ── Decks sheet → metadata ───────────────────────────────────────────────
+  // Games / wins / losses are tallied later from the Game Players seats (see
+  // withDeckStats) so they can follow the selected period.
+  const decks = sheet('Decks').map(row => ({
+    id:          text(row.DeckID),
+    commander:   text(row.Commander)  || '—',
+    player:      text(row.PlayerName) || '—',
+    themes:      text(row.Theme).split(',').map(t => t.trim()).filter(Boolean),
+    power:       row.EstPower != null && row.EstPower !== '' ? Number(row.EstPower) : null,
+    // Add an ArchidektID column to the Decks sheet to enable deck links.
+    archidektId: text(row.ArchidektID) || null,
+  }))
+
+  // ── Games sheet → session metadata ───────────────────────────────────────
+  // Each row is one pod session (multiple players/decks per session).
+  const sessions = sheet('Games').map(row => ({
+    id:       row.GameID,
+    date:     toDate(row.Date),
+    location: text(row.Location) || null,
+    players:  Number(row.TotalPlayers) || 0,
+    notes:    text(row.Notes) || null,
+  }))
+
+  // ── Game Players sheet → one row per player per game (source of truth) ──
+  const gamePlayers = sheet('Game Players')
+    .filter(row => text(row.GameID))
+    .map(row => ({
+      gameId:    text(row.GameID),
+      player:    text(row.PlayerName) || '—',
+      deckId:    text(row.DeckID) || null,
+      commander: text(row.Commander)  || '—',
+      win:       Number(row.WinFlag) === 1,
+    }))
+
+  // ── Seasons sheet (optional) → named date ranges for the period filter ───
+  const seasons = sheet('Seasons')
+    .map(row => ({
+      name:  text(row.Season),
+      start: toDate(row.StartDate),
+      end:   toDate(row.EndDate),
+    }))
+    .filter(s => s.name)
+
+  return { decks, players, sessions, gamePlayers, seasons }
+}
+
+export const parseXLSX = (buffer) => parseSheets(xlsxSheets(buffer))
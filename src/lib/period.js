@@ -0,0 +1,111 @@
+// ─── Time periods ─────────────────────────────────────────────────────────────
+// The global date filter. A period is a small plain object kept in App state;
+// `periodRange` turns it into inclusive UTC day bounds that every game is
+// tested against. Dates from the workbook are UTC midnight (see
+// excelDateToJS), so all comparisons here stay in UTC.
+
+const DAY = 86400 * 1000
+
+export const ALL_TIME = { kind: 'all' }
+
+export const PRESETS = [
+  { kind: 'all',    label: 'All time'     },
+  { kind: 'month',  label: 'This month'   },
+  { kind: '90d',    label: 'Last 90 days' },
+  { kind: 'year',   label: 'Year'         },
+  { kind: 'season', label: 'Season'       },
+  { kind: 'custom', label: 'Custom'       },
+]
+
+const utcDay = (date) =>
+  Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate())
+
+// 'YYYY-MM-DD' (what <input type="date"> gives) ↔ UTC midnight.
+export const parseDay  = (value) => (value ? new Date(`${value}T00:00:00Z`) : null)
+export const formatDay = (date)  => (date ? date.toISOString().slice(0, 10) : '')
+
+// → { start, end } as UTC-midnight timestamps, either side null when open.
+export const periodRange = (period, seasons = [], now = new Date()) => {
+  const today = utcDay(now)
+
+  switch (period.kind) {
+    case 'month': {
+      return { start: Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1), end: null }
+    }
+    case '90d':
+      return { start: today - 89 * DAY, end: null }
+    case 'year':
+      return { start: Date.UTC(period.year, 0, 1), end: Date.UTC(period.year, 11, 31) }
+    case 'season': {
+      const season = seasons.find(s => s.name === period.season)
+      return season
+        ? { start: season.start && utcDay(season.start), end: season.end && utcDay(season.end) }
+        : { start: null, end: null }
+    }
+    case 'custom':
+      return {
+        start: period.start ? utcDay(period.start) : null,
+        end:   period.end   ? utcDay(period.end)   : null,
+      }
+    default:
+      return { start: null, end: null }
+  }
+}
+
+// Undated games only survive an unbounded range.
+export const inRange = (date, { start, end }) => {
+  if (start == null && end == null) return true
+  if (!date) return false
+  const day = utcDay(date)
+  return (start == null || day >= start) && (end == null || day <= end)
+}
+
+// Years that have at least one game, newest first — feeds the Year picker.
+export const gameYears = (games) =>
+  [...new Set(games.filter(g => g.date).map(g => g.date.getUTCFullYear()))]
+    .sort((a, b) => b - a)
+
+const shortDay = (date) =>
+  date.toLocaleDateString(undefined, { timeZone: 'UTC', month: 'short', day: 'numeric' })
+
+// Long form, used in stat-card subs and the footer.
+export const periodLabel = (period, now = new Date()) => {
+  switch (period.kind) {
+    case 'month':  return now.toLocaleDateString(undefined, { timeZone: 'UTC', month: 'long', year: 'numeric' })
+    case '90d':    return 'Last 90 days'
+    case 'year':   return String(period.year)
+    case 'season': return period.season ?? 'Season'
+    case 'custom': {
+      const from = period.start ? shortDay(period.start) : 'Start'
+      const to   = period.end   ? shortDay(period.end)   : 'today'
+      return `${from} – ${to}`
+    }
+    default:       return 'All time'
+  }
+}
+
+const yearSpan = (first, last) =>
+  (first === last ? String(first) : `’${String(first).slice(2)}–’${String(last).slice(2)}`)
+
+// Short form for the header watermark, which only has room for a few glyphs.
+export const periodWatermark = (period, games, now = new Date()) => {
+  switch (period.kind) {
+    case 'month':  return now.toLocaleDateString(undefined, { timeZone: 'UTC', month: 'short' })
+    case '90d':    return '90d'
+    case 'year':   return String(period.year)
+    case 'season': return period.season ?? '—'
+    case 'custom': {
+      // The years the range spans; an open start begins at the first game.
+      const years = gameYears(games)
+      const first = period.start?.getUTCFullYear() ?? years[years.length - 1] ?? now.getUTCFullYear()
+      const last  = period.end?.getUTCFullYear() ?? now.getUTCFullYear()
+      return yearSpan(first, last)
+    }
+    default: {
+      // All time: the span of years the games actually cover.
+      const years = gameYears(games)
+      if (!years.length) return String(now.getUTCFullYear())
+      return yearSpan(years[years.length - 1], years[0])
+    }
+  }
+}
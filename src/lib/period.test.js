@@ -0,0 +1,19 @@
+import { describe, it, expect } from 'vitest'
+import { parseDay, periodWatermark } from './period.js'
+
+const now   = parseDay('2026-03-01')
+const games = ['2024-05-04', '2025-06-07', '2026-01-10'].map(d => ({ date: parseDay(d) }))
+
+describe('periodWatermark', () => {
+  it('spans the years every game covers for all time', () => {
+    expect(periodWatermark({ kind: 'all' }, games, now)).toBe('’24–’26')
+    expect(periodWatermark({ kind: 'all' }, [], now)).toBe('2026')
+  })
+
+  it('spans the selected years for a custom range, not all the games', () => {
+    const custom = (start, end) => ({ kind: 'custom', start: parseDay(start), end: parseDay(end) })
+    expect(periodWatermark(custom('2025-02-01', '2025-08-31'), games, now)).toBe('2025')
+    expect(periodWatermark(custom('2025-11-01', null), games, now)).toBe('’25–’26')
+    expect(periodWatermark(custom(null, '2025-03-01'), games, now)).toBe('’24–’25')
+  })
+})
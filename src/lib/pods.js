@@ -0,0 +1,91 @@
+import { loadSource } from './sources.js'
+import { buildGames } from './games.js'
+import { withDeckStats } from './stats.js'
+import { replayRatings } from './ratings.js'
+import { playerStandings, rankStandings } from './engine.js'
+
+// ─── Pods ─────────────────────────────────────────────────────────────────────
+// A site can track several playgroups, each with its own data source (see
+// PODS in config.js). Each pod's dashboard works on its own data exactly as
+// a single-pod site does; this module handles what spans pods — loading
+// them all and comparing players who turn up in more than one.
+
+// The pod with `id`, or the first pod when there's no id at all.
+export const findPod = (pods, id) => (id == null ? pods[0] : pods.find(p => p.id === id)) ?? null
+
+// The name a pod's player goes by across pods.
+export const canonicalName = (pod, name) => pod.aliases?.[name] ?? name
+
+// Every pod's data, loaded side by side. One pod failing doesn't stop the
+// rest: → [{ pod, model } | { pod, error }] in `pods` order.
+export const loadPods = async (pods, options) => {
+  const results = await Promise.allSettled(pods.map(pod => loadSource(pod.source, options)))
+  return results.map((r, i) => (r.status === 'fulfilled'
+    ? { pod: pods[i], model: r.value }
+    : { pod: pods[i], error: r.reason }))
+}
+
+// A pod's model with player names swapped for their cross-pod names, and deck
+// and game IDs prefixed with the pod's id so pods can share one history.
+const namespaced = (pod, model) => {
+  const name = (player) => canonicalName(pod, player)
+  const id   = (value) => `${pod.id}:${value}`
+  return {
+    players:     [...new Set(model.players.map(name))],
+    decks:       model.decks.map(d => ({ ...d, id: id(d.id), player: name(d.player), pod: pod.id })),
+    sessions:    model.sessions.map(s => ({ ...s, id: id(s.id), pod: pod.id })),
+    gamePlayers: model.gamePlayers.map(s => ({
+      ...s, gameId: id(s.gameId), deckId: s.deckId && id(s.deckId), player: name(s.player),
+    })),
+  }
+}
+
+// Standings for a model, as the dashboard computes them.
+const standingsOf = ({ players, decks, sessions, gamePlayers }) => {
+  const games = buildGames(sessions, gamePlayers)
+  return {
+    games,
+    standings: playerStandings(players, withDeckStats(decks, games), replayRatings(games)),
+  }
+}
+
+// entries: loadPods results that loaded. →
+//   pods: [{ id, name, games, players, decks, last }]
+//   rows: [{ player, pods: { podId → standing + name }, combined: standing }]
+// A standing is a playerStandings row; `name` is what the pod calls them.
+// Rows follow the combined standings. The combined rating replays every pod's
+// games as one history, so a player's pods all feed the same number.
+export const podComparison = (entries) => {
+  const models = entries.map(({ pod, model }) => ({ pod, model: namespaced(pod, model) }))
+
+  const perPod = {} // { player → { podId → standing } }
+  const pods = models.map(({ pod, model }, i) => {
+    const { games, standings } = standingsOf(model)
+    const local = Object.fromEntries(entries[i].model.players.map(p => [canonicalName(pod, p), p]))
+    standings.forEach(s => {
+      (perPod[s.player] ??= {})[pod.id] = { ...s, name: local[s.player] ?? s.player }
+    })
+    return {
+      id:      pod.id,
+      name:    pod.name,
+      games:   games.length,
+      players: model.players.length,
+      decks:   model.decks.length,
+      last:    games.at(-1)?.date ?? null,
+    }
+  })
+
+  const merged = {
+    players:     [...new Set(models.flatMap(m => m.model.players))],
+    decks:       models.flatMap(m => m.model.decks),
+    sessions:    models.flatMap(m => m.model.sessions),
+    gamePlayers: models.flatMap(m => m.model.gamePlayers),
+  }
+  const rows = rankStandings(standingsOf(merged).standings).map(combined => ({
+    player: combined.player,
+    pods:   perPod[combined.player] ?? {},
+    combined,
+  }))
+
+  return { pods, rows }
+}
@@ -0,0 +1,103 @@
+import { describe, it, expect } from 'vitest'
+import { findPod, canonicalName, loadPods, podComparison } from './pods.js'
+import { parseDay } from './period.js'
+
+const PODS = [
+  { id: 'home',     name: 'Home Pod',       source: { type: 'json', path: 'home.json' } },
+  { id: 'thursday', name: 'Thursday Night', source: { type: 'json', path: 'thursday.json' }, aliases: { Nicky: 'Nick' } },
+]
+
+// Nick plays in both pods — as "Nicky" on Thursdays — and wins once in each.
+// Ann only plays at home, Zed only on Thursdays.
+const home = {
+  players: ['Nick', 'Ann'],
+  decks: [
+    { id: 'D1', player: 'Nick', commander: 'Krenko, Mob Boss', themes: [], power: null, archidektId: null },
+    { id: 'D2', player: 'Ann',  commander: 'Edgar Markov',     themes: [], power: null, archidektId: null },
+  ],
+  sessions: [
+    { id: 'G001', date: parseDay('2026-01-05'), location: null, players: 2, notes: null },
+    { id: 'G002', date: parseDay('2026-01-12'), location: null, players: 2, notes: null },
+  ],
+  gamePlayers: [
+    { gameId: 'G001', player: 'Nick', deckId: 'D1', commander: 'Krenko, Mob Boss', win: true  },
+    { gameId: 'G001', player: 'Ann',  deckId: 'D2', commander: 'Edgar Markov',     win: false },
+    { gameId: 'G002', player: 'Nick', deckId: 'D1', commander: 'Krenko, Mob Boss', win: false },
+    { gameId: 'G002', player: 'Ann',  deckId: 'D2', commander: 'Edgar Markov',     win: true  },
+  ],
+}
+const thursday = {
+  players: ['Nicky', 'Zed'],
+  decks: [
+    { id: 'D1', player: 'Nicky', commander: 'Atraxa, Praetors\' Voice', themes: [], power: null, archidektId: null },
+    { id: 'D2', player: 'Zed',   commander: 'Omnath, Locus of Creation', themes: [], power: null, archidektId: null },
+  ],
+  sessions: [
+    { id: 'G001', date: parseDay('2026-01-08'), location: null, players: 2, notes: null },
+  ],
+  gamePlayers: [
+    { gameId: 'G001', player: 'Nicky', deckId: 'D1', commander: 'Atraxa, Praetors\' Voice', win: true  },
+    { gameId: 'G001', player: 'Zed',   deckId: 'D2', commander: 'Omnath, Locus of Creation', win: false },
+  ],
+}
+
+describe('findPod / canonicalName', () => {
+  it('defaults to the first pod and knows nothing of unknown ids', () => {
+    expect(findPod(PODS, null).id).toBe('home')
+    expect(findPod(PODS, 'thursday').id).toBe('thursday')
+    expect(findPod(PODS, 'friday')).toBeNull()
+  })
+
+  it('maps aliases and passes other names through', () => {
+    expect(canonicalName(PODS[1], 'Nicky')).toBe('Nick')
+    expect(canonicalName(PODS[1], 'Zed')).toBe('Zed')
+    expect(canonicalName(PODS[0], 'Nicky')).toBe('Nicky')
+  })
+})
+
+describe('loadPods', () => {
+  it('loads each pod from its own source and reports failures per pod', async () => {
+    const fetcher = async (url) => (url === '/home.json'
+      ? new Response(JSON.stringify({
+          Players:        [{ PlayerID: 'P1', PlayerName: 'Nick' }],
+          Decks:          [{ DeckID: 'D1', PlayerName: 'Nick', Commander: 'Krenko, Mob Boss' }],
+          Games:          [],
+          'Game Players': [],
+        }))
+      : new Response('', { status: 404, statusText: 'Not Found' }))
+    const [ok, missing] = await loadPods(PODS, { baseUrl: '/', fetcher })
+    expect(ok.pod.id).toBe('home')
+    expect(ok.model.players).toEqual(['Nick'])
+    expect(missing.pod.id).toBe('thursday')
+    expect(missing.error.message).toBe('thursday.json: HTTP 404 Not Found')
+  })
+})
+
+describe('podComparison', () => {
+  const { pods, rows } = podComparison([{ pod: PODS[0], model: home }, { pod: PODS[1], model: thursday }])
+
+  it('summarises each pod', () => {
+    expect(pods).toEqual([
+      { id: 'home',     name: 'Home Pod',       games: 2, players: 2, decks: 2, last: parseDay('2026-01-12') },
+      { id: 'thursday', name: 'Thursday Night', games: 1, players: 2, decks: 2, last: parseDay('2026-01-08') },
+    ])
+  })
+
+  it('merges a player across pods through the alias table', () => {
+    expect(rows.map(r => r.player)).toEqual(['Nick', 'Ann', 'Zed'])
+    const nick = rows[0]
+    expect(Object.keys(nick.pods)).toEqual(['home', 'thursday'])
+    expect(nick.pods.thursday).toMatchObject({ name: 'Nicky', games: 1, wins: 1 })
+    expect(nick.pods.home).toMatchObject({ name: 'Nick', games: 2, wins: 1 })
+    expect(nick.combined).toMatchObject({ games: 3, wins: 2, decks: 2, expected: 1.5 })
+  })
+
+  it('rates everyone on one history, keeping same-numbered games apart', () => {
+    const rated = Object.fromEntries(rows.map(r => [r.player, r.combined.rating]))
+    expect(rated.Nick).toBeGreaterThan(1500)
+    expect(rated.Zed).toBeLessThan(1500)
+    expect(rows.find(r => r.player === 'Ann').pods).toEqual({
+      home: expect.objectContaining({ games: 2, wins: 1 }),
+    })
+  })
+})
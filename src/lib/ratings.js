@@ -0,0 +1,64 @@
+// ─── Multiplayer Elo ──────────────────────────────────────────────────────────
+// A free-for-all pod is scored as a set of head-to-head results: the winner
+// beat every other seat, and the losers split nothing between themselves.
+// Each pairing uses the classic Elo expectation, so taking down a table of
+// high-rated opponents pays more than beating fresh decks at 1500.
+
+export const INITIAL_RATING = 1500
+
+// Spread over the N-1 pairings in a pod so a single game moves a rating by
+// roughly K regardless of table size.
+const K = 32
+
+const expected = (rating, opponent) =>
+  1 / (1 + Math.pow(10, (opponent - rating) / 400))
+
+// Rating deltas for one game. `ratingOf` reads the pre-game rating of a key.
+const scoreGame = (keys, winners, ratingOf) => {
+  const delta = Object.fromEntries(keys.map(k => [k, 0]))
+  if (keys.length < 2 || winners.size === 0) return delta
+
+  const k = K / (keys.length - 1)
+  keys.forEach(w => {
+    if (!winners.has(w)) return
+    keys.forEach(l => {
+      if (winners.has(l)) return
+      const change = k * (1 - expected(ratingOf(w), ratingOf(l)))
+      delta[w] += change
+      delta[l] -= change
+    })
+  })
+  return delta
+}
+
+// Replays `games` (already in chronological order) and returns the final
+// rating for every player and deck, plus each player's rating after every
+// game they sat in.
+export const replayRatings = (games) => {
+  const players = {}
+  const decks   = {}
+  const history = {} // { player → [{ gameId, date, rating }] }
+
+  const apply = (table, keys, winners) => {
+    const delta = scoreGame(keys, winners, key => table[key] ?? INITIAL_RATING)
+    keys.forEach(key => {
+      table[key] = (table[key] ?? INITIAL_RATING) + delta[key]
+    })
+  }
+
+  games.forEach(game => {
+    const seats = game.seats
+
+    const playerKeys = [...new Set(seats.map(s => s.player))]
+    apply(players, playerKeys, new Set(game.winners.map(s => s.player)))
+
+    const deckKeys = [...new Set(seats.map(s => s.deckId).filter(Boolean))]
+    apply(decks, deckKeys, new Set(game.winners.map(s => s.deckId)))
+
+    playerKeys.forEach(p => {
+      (history[p] ??= []).push({ gameId: game.id, date: game.date, rating: players[p] })
+    })
+  })
+
+  return { players, decks, history }
+}
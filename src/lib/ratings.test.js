@@ -0,0 +1,67 @@
+import { describe, it, expect } from 'vitest'
+import { INITIAL_RATING, replayRatings } from './ratings.js'
+import { buildGames } from './games.js'
+import { parseDay } from './period.js'
+
+// Each game is [date, winner, players at the table]; everyone plays a deck
+// named after them.
+const history = (rows) => buildGames(
+  rows.map(([date], i) => ({ id: `G${i + 1}`, date: parseDay(date), location: null, players: 0, notes: null })),
+  rows.flatMap(([, winner, table], i) => table.map(player => ({
+    gameId: `G${i + 1}`, player, deckId: `D-${player}`, commander: player, win: player === winner,
+  }))),
+)
+
+const sum = (table) => Object.values(table).reduce((s, r) => s + r, 0)
+
+describe('replayRatings', () => {
+  it('moves the winner of an even pod by K, taken evenly from the losers', () => {
+    const { players, decks } = replayRatings(history([['2026-01-05', 'Ann', ['Ann', 'Ben', 'Cat', 'Dee']]]))
+    expect(players.Ann).toBeCloseTo(INITIAL_RATING + 16)
+    expect(players.Ben).toBeCloseTo(INITIAL_RATING - 16 / 3)
+    expect(players.Dee).toBeCloseTo(players.Ben)
+    expect(decks['D-Ann']).toBeCloseTo(players.Ann)
+  })
+
+  it('adds up to zero across every seat, game after game', () => {
+    const { players, decks } = replayRatings(history([
+      ['2026-01-05', 'Ann', ['Ann', 'Ben', 'Cat', 'Dee']],
+      ['2026-01-05', 'Cat', ['Ann', 'Cat', 'Eve']],
+      ['2026-01-12', 'Eve', ['Ben', 'Dee', 'Eve']],
+      ['2026-01-12', 'Ben', ['Ann', 'Ben', 'Cat', 'Dee', 'Eve']],
+    ]))
+    expect(sum(players)).toBeCloseTo(5 * INITIAL_RATING)
+    expect(sum(decks)).toBeCloseTo(5 * INITIAL_RATING)
+  })
+
+  it('pays more for an upset, so the order of games matters', () => {
+    const annFirst = replayRatings(history([
+      ['2026-01-05', 'Ann', ['Ann', 'Ben']],
+      ['2026-01-12', 'Ben', ['Ann', 'Ben']],
+    ])).players
+    const benFirst = replayRatings(history([
+      ['2026-01-05', 'Ben', ['Ann', 'Ben']],
+      ['2026-01-12', 'Ann', ['Ann', 'Ben']],
+    ])).players
+    expect(annFirst.Ben).toBeGreaterThan(annFirst.Ann)
+    expect(benFirst.Ann).toBeGreaterThan(benFirst.Ben)
+    expect(annFirst.Ben).toBeCloseTo(benFirst.Ann)
+  })
+
+  it('leaves a game with no winner logged unscored, but in the history', () => {
+    const games = history([['2026-01-05', null, ['Ann', 'Ben', 'Cat']]])
+    const { players, history: byPlayer } = replayRatings(games)
+    expect(players).toEqual({ Ann: INITIAL_RATING, Ben: INITIAL_RATING, Cat: INITIAL_RATING })
+    expect(byPlayer.Ann).toEqual([{ gameId: 'G1', date: parseDay('2026-01-05'), rating: INITIAL_RATING }])
+  })
+
+  it('keeps each player’s rating after every game they sat in', () => {
+    const { players, history: byPlayer } = replayRatings(history([
+      ['2026-01-05', 'Ann', ['Ann', 'Ben']],
+      ['2026-01-12', 'Cat', ['Ann', 'Cat']],
+    ]))
+    expect(byPlayer.Ann.map(h => h.gameId)).toEqual(['G1', 'G2'])
+    expect(byPlayer.Ann.at(-1).rating).toBe(players.Ann)
+    expect(byPlayer.Ben).toHaveLength(1)
+  })
+})
@@ -0,0 +1,162 @@
+import { winRate, adjustedWinRate } from './stats.js'
+import { periodLabel } from './period.js'
+import { rankStandings, sortDecks } from './engine.js'
+import { aboveExpected, formatAboveExpected } from './expectation.js'
+
+// ─── Reports ──────────────────────────────────────────────────────────────────
+// A summary (see engine.summarize) rendered for humans or machines: aligned
+// plain text for a terminal, Markdown for the group chat, or JSON.
+
+export const FORMATS  = ['text', 'md', 'json']
+export const SECTIONS = ['superlatives', 'standings', 'decks']
+
+const SORT_NAMES = { winrate: 'win rate', adjusted: 'adjusted win rate', expected: 'wins above expectation' }
+
+const pct   = (fraction) => `${Math.round(fraction * 100)}%`
+const round = (n) => (n == null ? '—' : String(Math.round(n)))
+
+// ── Rows ────────────────────────────────────────────────────────────────────
+
+// The stat cards as { label, value, sub, count? }, the one definition behind
+// the dashboard, the share card and this report. `count` is the number behind
+// a numeric value, for a display that animates it. `scope` names a period the
+// counts are limited to, for the subs to say so.
+export const superlativeRows = ({ superlatives: s, games, decks }, { scope } = {}) => [
+  {
+    label: 'Nights Lost to Magic',
+    value: String(games.length),
+    count: games.length,
+    sub:   scope ? `pods convened · ${scope}` : 'pods convened',
+  },
+  { label: 'Cardboard Therapy', value: String(decks.length), count: decks.length, sub: 'decks in the arsenal' },
+  {
+    label: 'Threat Assessment #1',
+    value: s.topRated?.player ?? '—',
+    sub:   s.topRated ? `rated ${round(s.topRated.rating)} · ${s.topRated.wins} wins` : 'no games yet',
+  },
+  {
+    label: 'Heeds the Call',
+    value: s.mostActive?.player ?? '—',
+    sub:   s.mostActive ? `${s.mostActive.games} games played` : 'no games yet',
+  },
+  {
+    label: 'Most Played Color',
+    value: s.mostPlayedColor?.color ?? '—',
+    sub:   s.mostPlayedColor ? `across ${s.mostPlayedColor.count} deck-games` : 'no card data',
+  },
+  {
+    label: 'Most Popular Theme',
+    value: s.mostPopularTheme?.theme ?? '—',
+    sub:   s.mostPopularTheme ? `${s.mostPopularTheme.count} decks` : 'no data',
+  },
+  {
+    label: 'Most Dominant',
+    value: s.mostDominant?.commander ?? '—',
+    sub:   s.mostDominant
+      ? `${pct(s.mostDominant.adjusted)} adjusted · ${s.mostDominant.wins}–${s.mostDominant.losses}`
+      : 'no games yet',
+  },
+  {
+    label: 'Graveyard of Dreams',
+    value: String(s.graveyard.length),
+    count: s.graveyard.length,
+    sub:   scope ? `decks unplayed · ${scope}` : 'decks never played',
+  },
+]
+
+const STANDINGS_COLUMNS = [
+  { header: '#',        align: 'right', value: (p, i) => String(i + 1) },
+  { header: 'Player',   align: 'left',  value: p => p.player },
+  { header: 'Games',    align: 'right', value: p => String(p.games) },
+  { header: 'Wins',     align: 'right', value: p => String(p.wins) },
+  { header: 'Win Rate', align: 'right', value: p => `${winRate(p.wins, p.games)}%` },
+  { header: 'vs Exp.',  align: 'right', value: p => formatAboveExpected(aboveExpected(p)) },
+  { header: 'Rating',   align: 'right', value: p => round(p.rating) },
+]
+
+const deckColumns = (ratings) => [
+  { header: 'Commander', align: 'left',  value: d => d.commander },
+  { header: 'Player',    align: 'left',  value: d => d.player },
+  { header: 'Games',     align: 'right', value: d => String(d.games) },
+  { header: 'Wins',      align: 'right', value: d => String(d.wins) },
+  { header: 'Losses',    align: 'right', value: d => String(d.losses) },
+  { header: 'Win Rate',  align: 'right', value: d => `${winRate(d.wins, d.games)}%` },
+  { header: 'Adjusted',  align: 'right', value: d => pct(adjustedWinRate(d.wins, d.games, d.expected)) },
+  { header: 'vs Exp.',   align: 'right', value: d => formatAboveExpected(aboveExpected(d)) },
+  { header: 'Rating',    align: 'right', value: d => round(ratings.decks[d.id]) },
+]
+
+// ── Tables ──────────────────────────────────────────────────────────────────
+
+const textTable = (columns, rows) => {
+  const cells  = rows.map((row, i) => columns.map(c => c.value(row, i)))
+  const widths = columns.map((c, j) => Math.max(c.header.length, ...cells.map(r => r[j].length)))
+  const line   = (values) => values
+    .map((v, j) => (columns[j].align === 'right' ? v.padStart(widths[j]) : v.padEnd(widths[j])))
+    .join('  ')
+    .trimEnd()
+  return [line(columns.map(c => c.header)), line(widths.map(w => '─'.repeat(w))), ...cells.map(line)].join('\n')
+}
+
+const mdEscape = (s) => s.replace(/\|/g, '\\|')
+
+const mdTable = (columns, rows) => [
+  `| ${columns.map(c => c.header).join(' | ')} |`,
+  `| ${columns.map(c => (c.align === 'right' ? '---:' : ':---')).join(' | ')} |`,
+  ...rows.map((row, i) => `| ${columns.map(c => mdEscape(c.value(row, i))).join(' | ')} |`),
+].join('\n')
+
+// ── Render ──────────────────────────────────────────────────────────────────
+
+// options: { format, sections, sort, top } — `top` 0 lists every played deck.
+export const renderReport = (summary, { format = 'text', sections = SECTIONS, sort = 'games', top = 10, now } = {}) => {
+  const label     = periodLabel(summary.period, now)
+  const standings = rankStandings(summary.standings)
+  const decks     = sortDecks(summary.decks.filter(d => d.games > 0), sort, summary.ratings)
+  const shown     = top > 0 ? decks.slice(0, top) : decks
+
+  if (format === 'json') {
+    const out = { period: label, games: summary.games.length }
+    if (sections.includes('superlatives')) {
+      out.superlatives = Object.fromEntries(superlativeRows(summary).map(r => [r.label, { value: r.value, detail: r.sub }]))
+    }
+    if (sections.includes('standings')) {
+      out.standings = standings.map(p => ({ ...p, aboveExpected: aboveExpected(p) }))
+    }
+    if (sections.includes('decks')) {
+      out.decks = shown.map(d => ({
+        ...d,
+        winRate:       winRate(d.wins, d.games),
+        adjusted:      adjustedWinRate(d.wins, d.games, d.expected),
+        aboveExpected: aboveExpected(d),
+        rating:        summary.ratings.decks[d.id] ?? null,
+      }))
+    }
+    return JSON.stringify(out, null, 2) + '\n'
+  }
+
+  const md      = format === 'md'
+  const table   = md ? mdTable : textTable
+  const heading = (title) => (md ? `### ${title}` : `${title}\n${'═'.repeat(title.length)}`)
+  const deckTitle = `Decks by ${SORT_NAMES[sort] ?? sort}${shown.length < decks.length ? ` (top ${shown.length})` : ''}`
+
+  const parts = [md
+    ? `## EDH stats · ${label}`
+    : `EDH stats · ${label} · ${summary.games.length} games`]
+
+  if (sections.includes('superlatives')) {
+    const rows = superlativeRows(summary)
+    parts.push(heading('Superlatives'), md
+      ? rows.map(r => `- **${r.label}:** ${mdEscape(r.value)} — ${r.sub}`).join('\n')
+      : (() => {
+          const width = Math.max(...rows.map(r => r.label.length))
+          return rows.map(r => `${r.label.padEnd(width)}  ${r.value}  (${r.sub})`).join('\n')
+        })())
+  }
+  if (sections.includes('standings')) parts.push(heading('Standings'), table(STANDINGS_COLUMNS, standings))
+  if (sections.includes('decks')) {
+    parts.push(heading(deckTitle), shown.length ? table(deckColumns(summary.ratings), shown) : 'No games in this period.')
+  }
+
+  return parts.join('\n\n') + '\n'
+}
@@ -0,0 +1,82 @@
+import { describe, it, expect } from 'vitest'
+import { renderReport, superlativeRows } from './report.js'
+import { deckDashboardCSV, toCSV } from './csv.js'
+import { summarize } from './engine.js'
+import { parseDay } from './period.js'
+
+const model = {
+  players: ['Ann', 'Ben'],
+  decks: [
+    { id: 'D1', commander: 'Atraxa, Praetors\' Voice', player: 'Ann', themes: ['Counters'], power: null, archidektId: '123' },
+    { id: 'D2', commander: 'Krenko | Mob Boss',        player: 'Ben', themes: ['Tribal'],   power: null, archidektId: null },
+    { id: 'D3', commander: 'Edgar Markov',             player: 'Ben', themes: [],           power: null, archidektId: null },
+  ],
+  sessions: [
+    { id: 'G001', date: parseDay('2026-01-10'), location: null, players: 2, notes: null },
+    { id: 'G002', date: parseDay('2026-01-17'), location: null, players: 2, notes: null },
+  ],
+  gamePlayers: [
+    { gameId: 'G001', player: 'Ann', deckId: 'D1', commander: 'Atraxa', win: true  },
+    { gameId: 'G001', player: 'Ben', deckId: 'D2', commander: 'Krenko', win: false },
+    { gameId: 'G002', player: 'Ann', deckId: 'D1', commander: 'Atraxa', win: false },
+    { gameId: 'G002', player: 'Ben', deckId: 'D2', commander: 'Krenko', win: true  },
+  ],
+  seasons: [],
+}
+
+const summary = summarize(model, { now: parseDay('2026-02-01') })
+
+describe('renderReport', () => {
+  it('prints aligned text tables', () => {
+    const out = renderReport(summary, { sections: ['standings'] })
+    expect(out).toContain('EDH stats · All time · 2 games')
+    expect(out).toMatch(/#  Player  Games  Wins  Win Rate  vs Exp\.  Rating/)
+    // Level on wins and win rate; Ben won the later game, so Ben is rated higher.
+    expect(out).toMatch(/1  Ben         2     1       50%     ±0\.0    150\d\n2  Ann/)
+  })
+
+  it('writes Markdown with escaped pipes and right-aligned numbers', () => {
+    const out = renderReport(summary, { format: 'md', sections: ['decks'] })
+    expect(out).toContain('## EDH stats · All time')
+    expect(out).toContain('| :--- | :--- | ---: |')
+    expect(out).toContain('Krenko \\| Mob Boss')
+    expect(out).not.toContain('Edgar Markov') // unplayed decks stay out of the table
+  })
+
+  it('emits JSON with only the requested sections', () => {
+    const out = JSON.parse(renderReport(summary, { format: 'json', sections: ['superlatives', 'decks'], top: 1 }))
+    expect(out.games).toBe(2)
+    expect(out.standings).toBeUndefined()
+    expect(out.decks).toHaveLength(1)
+    expect(out.superlatives['Graveyard of Dreams'].value).toBe('1')
+  })
+})
+
+describe('superlativeRows', () => {
+  it('carries counts for numeric cards and names a limited period', () => {
+    const rows = superlativeRows(summary)
+    expect(rows.map(r => r.label)).toHaveLength(8)
+    expect(rows[0]).toEqual({ label: 'Nights Lost to Magic', value: '2', count: 2, sub: 'pods convened' })
+    expect(rows[2].count).toBeUndefined()
+    const scoped = superlativeRows(summary, { scope: 'Winter' })
+    expect(scoped[0].sub).toBe('pods convened · Winter')
+    expect(scoped.at(-1).sub).toBe('decks unplayed · Winter')
+  })
+})
+
+describe('CSV', () => {
+  it('quotes only fields that need it', () => {
+    const csv = toCSV([{ a: 'plain', b: 'x, "y"' }], [
+      { header: 'A', value: r => r.a },
+      { header: 'B', value: r => r.b },
+    ], { bom: false })
+    expect(csv).toBe('A,B\r\nplain,"x, ""y"""\r\n')
+  })
+
+  it('matches the Deck Dashboard export', () => {
+    const lines = deckDashboardCSV(summary.decks).split('\r\n')
+    expect(lines[0]).toBe('\ufeffDeckID,Commander,PlayerName,Total Games,Wins,Losses,Win %,ArchidektID')
+    expect(lines[1]).toBe('D1,"Atraxa, Praetors\' Voice",Ann,2,1,1,50%,123')
+    expect(lines[3]).toBe('D3,Edgar Markov,Ben,0,0,0,0%,')
+  })
+})
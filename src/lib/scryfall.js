@@ -0,0 +1,189 @@
+import { commanderParts, unionColors } from './colors.js'
+import { isPlaceholder } from './games.js'
+import { safeStorage } from './storage.js'
+
+// ─── Card data ────────────────────────────────────────────────────────────────
+// Art and color identity for every commander, from three places in order:
+//
+//   1. the static bundle (public/cards.json, written by bin/resolve-cards.js)
+//   2. a cache in localStorage, kept for CACHE_DAYS
+//   3. Scryfall itself, in polite batches
+//
+// The network side is a plain `fetchCard(name)` function so tests and the
+// build script can swap in their own. Names Scryfall can't match come back in
+// `missing` with a reason instead of quietly turning into blank art; lookups
+// that merely failed (offline, Scryfall down) land in `failed` and are retried
+// on the next visit.
+
+const BATCH      = 5
+const PAUSE_MS   = 250   // between batches, per Scryfall's rate-limit guidance
+const CACHE_DAYS = 30
+const MISS_DAYS  = 1     // retry unknown names sooner; the workbook may get fixed
+const DAY_MS     = 86400 * 1000
+
+export const CACHE_KEY = 'edh-dashboard:cards'
+
+// Thrown by a fetcher when Scryfall answers but has no such card. Anything
+// else (network down, 5xx) is treated as temporary and not cached.
+export class CardNotFoundError extends Error {
+  constructor(name, reason) {
+    super(`${name}: ${reason}`)
+    this.name   = 'CardNotFoundError'
+    this.card   = name
+    this.reason = reason
+  }
+}
+
+// Scryfall card JSON → the little we keep. Double-faced cards carry their
+// images per face; the front face stands in for the card.
+export const cardFromScryfall = (card) => ({
+  name:   card.name,
+  img:    card.image_uris?.art_crop ?? card.card_faces?.[0]?.image_uris?.art_crop ?? null,
+  face:   card.image_uris?.normal   ?? card.card_faces?.[0]?.image_uris?.normal   ?? null,
+  colors: card.color_identity ?? [],
+})
+
+// → async (name) → card. `headers` matter outside the browser: Scryfall asks
+// scripts to send a User-Agent and Accept header.
+export const scryfallFetcher = (fetcher = fetch, { headers } = {}) => async (name) => {
+  const res = await fetcher(
+    `https://api.scryfall.com/cards/named?fuzzy=${encodeURIComponent(name)}`,
+    headers ? { headers } : undefined,
+  )
+  const body = await res.json().catch(() => null)
+  if (res.status === 404 || body?.object === 'error') {
+    throw new CardNotFoundError(name, body?.details ?? 'no card by that name')
+  }
+  if (!res.ok) throw new Error(`Scryfall returned HTTP ${res.status}`)
+  return cardFromScryfall(body)
+}
+
+// ── Cache ───────────────────────────────────────────────────────────────────
+// One JSON blob under CACHE_KEY: { [name]: { card, at } | { missing, at } },
+// kept through safeStorage.
+
+export const createCardCache = (storage = globalThis.localStorage, { now = () => Date.now() } = {}) => {
+  const store   = safeStorage(storage, CACHE_KEY)
+  const entries = store.read()
+
+  const fresh = (entry) =>
+    entry && now() - entry.at < (entry.missing ? MISS_DAYS : CACHE_DAYS) * DAY_MS
+
+  return {
+    get:        (name) => (fresh(entries[name]) ? entries[name] : null),
+    put:        (name, card) => { entries[name] = { card, at: now() } },
+    putMissing: (name, reason) => { entries[name] = { missing: reason, at: now() } },
+    save:       () => store.write(entries),
+  }
+}
+
+// ── Resolving ───────────────────────────────────────────────────────────────
+
+// Every individual card name behind a list of commanders (partners split).
+// Placeholder decks like "*Other Player's Deck*" aren't cards; skip them.
+export const cardNames = (commanders) =>
+  [...new Set(commanders.filter(Boolean).flatMap(commanderParts))].filter(n => !isPlaceholder(n))
+
+// names → { cards: { name → card }, missing: { name → reason }, failed: { name → reason } }
+// `onProgress` gets the running result after the bundle/cache pass and after
+// every batch, so art can appear as it lands.
+export const resolveCards = async (names, {
+  fetchCard,
+  cache,
+  bundle   = {},
+  batch    = BATCH,
+  pause    = PAUSE_MS,
+  onProgress = () => {},
+} = {}) => {
+  const cards   = {}
+  const missing = {}
+  const failed  = {}
+  const pending = []
+  const snapshot = () => ({ cards: { ...cards }, missing: { ...missing }, failed: { ...failed } })
+
+  names.forEach(name => {
+    const hit = bundle.cards?.[name] ? { card: bundle.cards[name] } : cache?.get(name)
+    if (hit?.card)         cards[name]   = hit.card
+    else if (hit?.missing) missing[name] = hit.missing
+    else if (bundle.missing?.[name]) missing[name] = bundle.missing[name]
+    else pending.push(name)
+  })
+  onProgress(snapshot())
+
+  for (let i = 0; i < pending.length && fetchCard; i += batch) {
+    const slice   = pending.slice(i, i + batch)
+    const results = await Promise.allSettled(slice.map(name => fetchCard(name)))
+    results.forEach((r, j) => {
+      const name = slice[j]
+      if (r.status === 'fulfilled') {
+        cards[name] = r.value
+        cache?.put(name, r.value)
+      } else if (r.reason instanceof CardNotFoundError) {
+        missing[name] = r.reason.reason
+        cache?.putMissing(name, r.reason.reason)
+      } else {
+        failed[name] = r.reason?.message ?? String(r.reason)
+      }
+    })
+    cache?.save()
+    onProgress(snapshot())
+    if (pause && i + batch < pending.length) await new Promise(r => setTimeout(r, pause))
+  }
+
+  return snapshot()
+}
+
+// One commander slot from a resolveCards result: the first art, every card
+// face, and the union of color identities, so "Akiri/Silas Renn" keeps
+// Silas's black. Null while any of its cards is still being looked up, or
+// when none of them could be found.
+export const commanderCard = (commander, { cards, missing, failed }) => {
+  const parts = commanderParts(commander)
+  if (!parts.every(p => p in cards || p in missing || p in failed)) return null
+  const found = parts.map(p => cards[p]).filter(Boolean)
+  if (!found.length) return null
+  return {
+    img:    found.find(f => f.img)?.img ?? null,
+    faces:  found.map(f => f.face).filter(Boolean),
+    colors: unionColors(found.map(f => f.colors)),
+  }
+}
+
+// Unknown card names as data-health issues, pointing at the decks that use
+// them so the Decks sheet can be corrected.
+export const missingCardIssues = (missing, decks) =>
+  Object.entries(missing).map(([name, reason]) => {
+    const ids = decks.filter(d => commanderParts(d.commander).includes(name)).map(d => d.id)
+    return {
+      sheet:    'Decks',
+      row:      null,
+      severity: 'warning',
+      message:  `Scryfall can't find “${name}”${ids.length ? ` (${ids.join(', ')})` : ''} — ${reason}`,
+    }
+  })
+
+// Lookups that failed outright (offline, Scryfall down) as one data-health
+// warning, since they usually fail together and fix themselves on a later
+// visit; the names show which commanders are missing art meanwhile.
+export const failedCardIssues = (failed) => {
+  const names = Object.keys(failed)
+  if (!names.length) return []
+  const shown = names.slice(0, 3).map(n => `“${n}”`).join(', ')
+  const more  = names.length > 3 ? ` and ${names.length - 3} more` : ''
+  return [{
+    sheet:    'Decks',
+    row:      null,
+    severity: 'warning',
+    message:  `Couldn't look up ${shown}${more} on Scryfall — ${failed[names[0]]}; they'll be tried again on the next visit`,
+  }]
+}
+
+// The optional static bundle; absent or unreadable means an empty one.
+export const fetchCardBundle = async (url, fetcher = fetch) => {
+  try {
+    const res = await fetcher(url)
+    return res.ok ? await res.json() : {}
+  } catch {
+    return {}
+  }
+}
@@ -0,0 +1,164 @@
+import { describe, it, expect } from 'vitest'
+import {
+  CACHE_KEY, CardNotFoundError, cardFromScryfall, cardNames, commanderCard, createCardCache,
+  failedCardIssues, missingCardIssues, resolveCards, scryfallFetcher,
+} from './scryfall.js'
+import { memoryStorage } from './storage.js'
+
+const card = (name, colors) => ({ name, img: `art:${name}`, face: `face:${name}`, colors })
+
+// Local stand-in for Scryfall: known cards resolve, anything else is a 404.
+const standIn = (known) => {
+  const calls = []
+  const fetchCard = async (name) => {
+    calls.push(name)
+    if (known[name]) return known[name]
+    throw new CardNotFoundError(name, 'No cards found matching that name')
+  }
+  return { fetchCard, calls }
+}
+
+describe('cardNames', () => {
+  it('splits partners and skips placeholders', () => {
+    expect(cardNames(['Akiri, Line-Slinger/Silas Renn, Seeker Adept', '*Other Player\'s Deck*', 'Krenko, Mob Boss']))
+      .toEqual(['Akiri, Line-Slinger', 'Silas Renn, Seeker Adept', 'Krenko, Mob Boss'])
+  })
+})
+
+describe('resolveCards', () => {
+  const known = {
+    'Akiri, Line-Slinger':      card('Akiri, Line-Slinger', ['R', 'W']),
+    'Silas Renn, Seeker Adept': card('Silas Renn, Seeker Adept', ['U', 'B']),
+  }
+
+  it('fetches, caches and reports unknown names', async () => {
+    const storage = memoryStorage()
+    const { fetchCard, calls } = standIn(known)
+    const result  = await resolveCards(['Akiri, Line-Slinger', 'Silas Renn, Seeker Adept', 'Krenko, Mob Bos'], {
+      fetchCard, cache: createCardCache(storage), pause: 0,
+    })
+    expect(Object.keys(result.cards)).toEqual(['Akiri, Line-Slinger', 'Silas Renn, Seeker Adept'])
+    expect(result.missing).toEqual({ 'Krenko, Mob Bos': 'No cards found matching that name' })
+    expect(calls).toHaveLength(3)
+    expect(Object.keys(JSON.parse(storage.data[CACHE_KEY]))).toHaveLength(3)
+  })
+
+  it('serves a second run from the cache without the network', async () => {
+    const storage = memoryStorage()
+    await resolveCards(['Akiri, Line-Slinger'], { fetchCard: standIn(known).fetchCard, cache: createCardCache(storage), pause: 0 })
+    const { fetchCard, calls } = standIn(known)
+    const result = await resolveCards(['Akiri, Line-Slinger'], { fetchCard, cache: createCardCache(storage), pause: 0 })
+    expect(calls).toEqual([])
+    expect(result.cards['Akiri, Line-Slinger'].colors).toEqual(['R', 'W'])
+  })
+
+  it('expires old entries, unknown names sooner than cards', async () => {
+    let now = 0
+    const storage = memoryStorage()
+    const cache   = createCardCache(storage, { now: () => now })
+    cache.put('A', card('A', []))
+    cache.putMissing('B', 'nope')
+    now = 2 * 86400 * 1000
+    expect(cache.get('A')).not.toBeNull()
+    expect(cache.get('B')).toBeNull()
+    now = 31 * 86400 * 1000
+    expect(cache.get('A')).toBeNull()
+  })
+
+  it('prefers the static bundle', async () => {
+    const { fetchCard, calls } = standIn({})
+    const result = await resolveCards(['Akiri, Line-Slinger'], {
+      fetchCard, bundle: { cards: { 'Akiri, Line-Slinger': known['Akiri, Line-Slinger'] } }, pause: 0,
+    })
+    expect(calls).toEqual([])
+    expect(result.cards['Akiri, Line-Slinger']).toBeDefined()
+  })
+
+  it('keeps network failures out of the cache', async () => {
+    const storage = memoryStorage()
+    const result  = await resolveCards(['A'], {
+      fetchCard: async () => { throw new Error('offline') },
+      cache:     createCardCache(storage),
+      pause:     0,
+    })
+    expect(result.failed).toEqual({ A: 'offline' })
+    expect(result.missing).toEqual({})
+    expect(JSON.parse(storage.data[CACHE_KEY])).toEqual({})
+  })
+
+  it('reports progress after every batch', async () => {
+    const seen = []
+    await resolveCards(['Akiri, Line-Slinger', 'Silas Renn, Seeker Adept'], {
+      fetchCard: standIn(known).fetchCard, batch: 1, pause: 0,
+      onProgress: r => seen.push(Object.keys(r.cards).length),
+    })
+    expect(seen).toEqual([0, 1, 2])
+  })
+
+  it('survives unreadable storage', async () => {
+    const cache = createCardCache({ getItem: () => '{not json', setItem: () => { throw new Error('quota') } })
+    cache.put('A', card('A', []))
+    expect(() => cache.save()).not.toThrow()
+  })
+})
+
+describe('scryfallFetcher', () => {
+  const response = (status, body) => ({ ok: status < 400, status, json: async () => body })
+
+  it('maps a card and sends the given headers', async () => {
+    let init
+    const fetchCard = scryfallFetcher(async (url, i) => {
+      init = i
+      return response(200, {
+        name: 'Esika, Queen of the Wild // The Prismatic Bridge',
+        card_faces: [{ image_uris: { art_crop: 'art', normal: 'face' } }],
+        color_identity: ['G', 'W', 'U', 'B', 'R'],
+      })
+    }, { headers: { 'User-Agent': 'test' } })
+    expect(await fetchCard('Esika')).toMatchObject({ img: 'art', face: 'face' })
+    expect(init.headers['User-Agent']).toBe('test')
+  })
+
+  it('turns a 404 into CardNotFoundError and a 500 into a plain error', async () => {
+    const notFound = scryfallFetcher(async () => response(404, { object: 'error', details: 'No cards found' }))
+    await expect(notFound('Nope')).rejects.toBeInstanceOf(CardNotFoundError)
+    const down = scryfallFetcher(async () => response(503, null))
+    await expect(down('Nope')).rejects.not.toBeInstanceOf(CardNotFoundError)
+  })
+})
+
+describe('commanderCard', () => {
+  const cards = {
+    'Akiri, Line-Slinger':      card('Akiri, Line-Slinger', ['R', 'W']),
+    'Silas Renn, Seeker Adept': card('Silas Renn, Seeker Adept', ['U', 'B']),
+  }
+
+  it('unions partner colors once every part has settled', () => {
+    const pair = 'Akiri, Line-Slinger/Silas Renn, Seeker Adept'
+    expect(commanderCard(pair, { cards: { 'Akiri, Line-Slinger': cards['Akiri, Line-Slinger'] }, missing: {}, failed: {} }))
+      .toBeNull()
+    expect(commanderCard(pair, { cards, missing: {}, failed: {} }))
+      .toEqual({ img: 'art:Akiri, Line-Slinger', faces: ['face:Akiri, Line-Slinger', 'face:Silas Renn, Seeker Adept'], colors: ['W', 'U', 'B', 'R'] })
+  })
+
+  it('turns unknown names into data-health warnings naming the decks', () => {
+    const [issue] = missingCardIssues({ 'Krenko, Mob Bos': 'No cards found' }, [{ id: 'D7', commander: 'Krenko, Mob Bos' }])
+    expect(issue).toMatchObject({ sheet: 'Decks', severity: 'warning' })
+    expect(issue.message).toContain('D7')
+  })
+
+  it('gathers failed lookups into one warning', () => {
+    expect(failedCardIssues({})).toEqual([])
+    const failed = Object.fromEntries(['A', 'B', 'C', 'D', 'E'].map(n => [n, 'Failed to fetch']))
+    const [issue, ...rest] = failedCardIssues(failed)
+    expect(rest).toEqual([])
+    expect(issue).toMatchObject({ sheet: 'Decks', severity: 'warning' })
+    expect(issue.message).toBe('Couldn\'t look up “A”, “B”, “C” and 2 more on Scryfall — Failed to fetch; they\'ll be tried again on the next visit')
+  })
+})
+
+describe('cardFromScryfall', () => {
+  it('defaults missing fields', () => {
+    expect(cardFromScryfall({ name: 'X' })).toEqual({ name: 'X', img: null, face: null, colors: [] })
+  })
+})
@@ -0,0 +1,190 @@
+import { sortDecks } from './engine.js'
+import { adjustedWinRate } from './stats.js'
+import { formatDate } from './games.js'
+
+// ─── Share card ───────────────────────────────────────────────────────────────
+// A one-image summary for the group chat: the stat cards, the top decks and
+// the last game night's winner over their commander's art. shareCardModel
+// picks the content; drawShareCard paints it onto a 2D canvas context, so
+// the PNG is made in the browser with no server involved.
+
+export const SHARE_WIDTH  = 1200
+export const SHARE_HEIGHT = 760
+
+const TOP_DECKS = 5
+
+// The most recent date with games, and who won most of them. Ties go to the
+// player who won latest that night; their commander is the one they won with
+// most. → { date, games, player, wins, commander } or null with no games;
+// `player` is null when none of the night's games has a winner logged.
+// Games without a Date belong to no night and are skipped.
+export const lastGameNight = (games) => {
+  const dated = games.filter(g => g.date)
+  if (!dated.length) return null
+  const date  = dated.at(-1).date
+  const night = dated.filter(g => g.date.getTime() === date.getTime())
+
+  const tally = {}
+  night.forEach((g, i) => g.winners.forEach(w => {
+    const t = (tally[w.player] ??= { player: w.player, wins: 0, last: 0, commanders: {} })
+    t.wins++
+    t.last = i
+    t.commanders[w.commander] = (t.commanders[w.commander] ?? 0) + 1
+  }))
+  const best = Object.values(tally).sort((a, b) => b.wins - a.wins || b.last - a.last)[0]
+
+  return {
+    date,
+    games:     night.length,
+    player:    best?.player ?? null,
+    wins:      best?.wins ?? 0,
+    commander: best ? Object.entries(best.commanders).sort((a, b) => b[1] - a[1])[0][0] : null,
+  }
+}
+
+// stats: superlativeRows output. `decks` carry stats (withDeckStats).
+export const shareCardModel = ({ title, period, stats, decks, ratings, games }) => ({
+  title,
+  period,
+  stats,
+  topDecks: sortDecks(decks.filter(d => d.games > 0), 'adjusted', ratings)
+    .slice(0, TOP_DECKS)
+    .map(d => ({
+      commander: d.commander,
+      player:    d.player,
+      record:    `${d.wins}–${d.losses}`,
+      adjusted:  `${Math.round(adjustedWinRate(d.wins, d.games, d.expected) * 100)}%`,
+    })),
+  night: lastGameNight(games),
+})
+
+// ── Drawing ─────────────────────────────────────────────────────────────────
+// Colors and type follow the dashboard's stylesheet.
+
+const INK    = '#09090b'
+const MUTED  = '#a1a1aa'
+const SUBTLE = '#52525b'
+const LINE   = '#e4e4e7'
+const PANEL  = '#fafafa'
+const FONT   = 'Roboto, -apple-system, BlinkMacSystemFont, sans-serif'
+
+const font = (size, weight = 400) => `${weight} ${size}px ${FONT}`
+
+// Shortens `text` with an ellipsis until it fits `width`.
+const fit = (ctx, text, width) => {
+  if (ctx.measureText(text).width <= width) return text
+  let s = text
+  while (s.length > 1 && ctx.measureText(`${s}…`).width > width) s = s.slice(0, -1)
+  return `${s.trimEnd()}…`
+}
+
+const label = (ctx, text, x, y, width) => {
+  ctx.font      = font(13, 600)
+  ctx.fillStyle = MUTED
+  ctx.fillText(fit(ctx, text.toUpperCase(), width), x, y)
+}
+
+// Paints the card. `art` is a loaded image for the night's commander, or null.
+export const drawShareCard = (ctx, model, art = null) => {
+  const pad = 48
+  ctx.fillStyle = '#ffffff'
+  ctx.fillRect(0, 0, SHARE_WIDTH, SHARE_HEIGHT)
+  ctx.textBaseline = 'alphabetic'
+
+  // Heading
+  label(ctx, `Casual EDH Dashboard · ${model.period}`, pad, pad + 12, 700)
+  ctx.font      = font(40, 700)
+  ctx.fillStyle = INK
+  ctx.fillText(model.title, pad, pad + 58)
+
+  // Stat cards: two columns down the left half.
+  const gridTop = 150
+  const colW    = 260
+  const rowH    = 132
+  model.stats.slice(0, 8).forEach((s, i) => {
+    const x = pad + (i % 2) * (colW + 16)
+    const y = gridTop + Math.floor(i / 2) * (rowH + 12)
+    ctx.strokeStyle = LINE
+    ctx.lineWidth   = 1
+    ctx.strokeRect(x + 0.5, y + 0.5, colW, rowH)
+    label(ctx, s.label, x + 18, y + 32, colW - 36)
+    ctx.font      = font(28, 700)
+    ctx.fillStyle = INK
+    ctx.fillText(fit(ctx, s.value, colW - 36), x + 18, y + 74)
+    ctx.font      = font(14)
+    ctx.fillStyle = SUBTLE
+    ctx.fillText(fit(ctx, s.sub, colW - 36), x + 18, y + 104)
+  })
+
+  // Last game night, over the commander's art.
+  const rightX = pad + 2 * colW + 16 + 40
+  const rightW = SHARE_WIDTH - rightX - pad
+  const nightH = 250
+  ctx.fillStyle = PANEL
+  ctx.fillRect(rightX, pad, rightW, nightH)
+  if (art) {
+    const scale = Math.max(rightW / art.width, nightH / art.height)
+    const w = art.width * scale
+    const h = art.height * scale
+    ctx.save()
+    ctx.beginPath()
+    ctx.rect(rightX, pad, rightW, nightH)
+    ctx.clip()
+    ctx.drawImage(art, rightX + (rightW - w) / 2, pad + (nightH - h) / 2, w, h)
+    const shade = ctx.createLinearGradient(0, pad, 0, pad + nightH)
+    shade.addColorStop(0.3, 'rgba(9, 9, 11, 0)')
+    shade.addColorStop(1, 'rgba(9, 9, 11, 0.85)')
+    ctx.fillStyle = shade
+    ctx.fillRect(rightX, pad, rightW, nightH)
+    ctx.restore()
+  }
+  const onArt = Boolean(art)
+  const night = model.night
+  ctx.font      = font(13, 600)
+  ctx.fillStyle = onArt ? 'rgba(255, 255, 255, 0.8)' : MUTED
+  ctx.fillText(
+    fit(ctx, night ? `LAST GAME NIGHT · ${formatDate(night.date).toUpperCase()}` : 'NO GAMES YET', rightW - 48),
+    rightX + 24, pad + nightH - 96)
+  ctx.font      = font(34, 700)
+  ctx.fillStyle = onArt ? '#ffffff' : INK
+  ctx.fillText(fit(ctx, night?.player ?? '—', rightW - 48), rightX + 24, pad + nightH - 54)
+  ctx.font      = font(15)
+  ctx.fillStyle = onArt ? 'rgba(255, 255, 255, 0.85)' : SUBTLE
+  ctx.fillText(
+    fit(ctx, night?.player ? `${night.wins} of ${night.games} games · ${night.commander}` : '', rightW - 48),
+    rightX + 24, pad + nightH - 26)
+
+  // Top decks
+  const listTop = pad + nightH + 48
+  label(ctx, 'Top decks · adjusted win rate', rightX, listTop, rightW)
+  model.topDecks.forEach((d, i) => {
+    const y = listTop + 44 + i * 64
+    ctx.strokeStyle = LINE
+    ctx.beginPath()
+    ctx.moveTo(rightX, y - 30)
+    ctx.lineTo(rightX + rightW, y - 30)
+    ctx.stroke()
+    ctx.font      = font(15, 600)
+    ctx.fillStyle = MUTED
+    ctx.fillText(String(i + 1), rightX, y)
+    ctx.font      = font(18, 600)
+    ctx.fillStyle = INK
+    ctx.fillText(fit(ctx, d.commander, rightW - 150), rightX + 28, y)
+    ctx.font      = font(14)
+    ctx.fillStyle = SUBTLE
+    ctx.fillText(fit(ctx, d.player, rightW - 150), rightX + 28, y + 20)
+    ctx.textAlign = 'right'
+    ctx.font      = font(18, 700)
+    ctx.fillStyle = INK
+    ctx.fillText(d.adjusted, rightX + rightW, y)
+    ctx.font      = font(14)
+    ctx.fillStyle = SUBTLE
+    ctx.fillText(d.record, rightX + rightW, y + 20)
+    ctx.textAlign = 'left'
+  })
+  if (!model.topDecks.length) {
+    ctx.font      = font(15)
+    ctx.fillStyle = MUTED
+    ctx.fillText('No games in this period.', rightX, listTop + 44)
+  }
+}
@@ -0,0 +1,88 @@
+import { describe, it, expect } from 'vitest'
+import { lastGameNight, shareCardModel, drawShareCard } from './shareCard.js'
+import { buildGames } from './games.js'
+import { withDeckStats } from './stats.js'
+import { replayRatings } from './ratings.js'
+import { parseDay } from './period.js'
+
+const decks = [
+  { id: 'D1', commander: 'Atraxa, Praetors\' Voice', player: 'Ann', themes: [], power: null, archidektId: null },
+  { id: 'D2', commander: 'Krenko, Mob Boss',         player: 'Ben', themes: [], power: null, archidektId: null },
+  { id: 'D3', commander: 'Edgar Markov',             player: 'Ben', themes: [], power: null, archidektId: null },
+  { id: 'D4', commander: 'Omnath, Locus of Creation', player: 'Cat', themes: [], power: null, archidektId: null },
+]
+
+// One game on the 3rd; three on the 10th — Ben wins two of them with
+// different decks, Cat the one in between.
+const seats = (gameId, winner) => [
+  { gameId, player: 'Ann', deckId: 'D1', commander: 'Atraxa, Praetors\' Voice', win: winner === 'D1' },
+  { gameId, player: 'Ben', deckId: winner === 'D3' ? 'D3' : 'D2', commander: winner === 'D3' ? 'Edgar Markov' : 'Krenko, Mob Boss', win: winner === 'D2' || winner === 'D3' },
+  { gameId, player: 'Cat', deckId: 'D4', commander: 'Omnath, Locus of Creation', win: winner === 'D4' },
+]
+const games = buildGames(
+  [
+    { id: 'G1', date: parseDay('2026-01-03'), location: null, players: 3, notes: null },
+    { id: 'G2', date: parseDay('2026-01-10'), location: null, players: 3, notes: null },
+    { id: 'G3', date: parseDay('2026-01-10'), location: null, players: 3, notes: null },
+    { id: 'G4', date: parseDay('2026-01-10'), location: null, players: 3, notes: null },
+  ],
+  [...seats('G1', 'D1'), ...seats('G2', 'D3'), ...seats('G3', 'D4'), ...seats('G4', 'D2')],
+)
+
+describe('lastGameNight', () => {
+  it('picks the most wins on the latest date', () => {
+    expect(lastGameNight(games)).toMatchObject({ games: 3, player: 'Ben', wins: 2 })
+    expect(lastGameNight(games).date).toEqual(parseDay('2026-01-10'))
+  })
+
+  it('breaks ties by whoever won later that night', () => {
+    const night = lastGameNight(games.slice(0, 3))
+    expect(night).toMatchObject({ games: 2, player: 'Cat', wins: 1, commander: 'Omnath, Locus of Creation' })
+  })
+
+  it('handles no games and nights with no winner logged', () => {
+    expect(lastGameNight([])).toBeNull()
+    const unfinished = { ...games[0], winners: [] }
+    expect(lastGameNight([unfinished])).toMatchObject({ games: 1, player: null, commander: null })
+  })
+
+  it('skips games with no date', () => {
+    const undated = { ...games[1], id: 'G5', date: null }
+    expect(lastGameNight([...games, undated])).toMatchObject({ games: 3, player: 'Ben', wins: 2 })
+    expect(lastGameNight([undated])).toBeNull()
+  })
+})
+
+describe('shareCardModel', () => {
+  const stats = [{ label: 'Nights Lost to Magic', value: '4', sub: 'pods convened' }]
+  const model = shareCardModel({
+    title: 'Enough', period: 'All time', stats, decks: withDeckStats(decks, games), ratings: replayRatings(games), games,
+  })
+
+  it('ranks played decks by adjusted win rate', () => {
+    expect(model.topDecks.map(d => `${d.commander} ${d.record} ${d.adjusted}`)).toEqual([
+      'Edgar Markov 1–0 47%',
+      'Krenko, Mob Boss 1–2 33%',
+      'Atraxa, Praetors\' Voice 1–3 29%',
+      'Omnath, Locus of Creation 1–3 29%',
+    ])
+    expect(model.night.player).toBe('Ben')
+  })
+
+  it('draws onto a 2D context', () => {
+    const calls = []
+    const ctx = new Proxy({
+      measureText: (t) => ({ width: t.length * 9 }),
+      createLinearGradient: () => ({ addColorStop: () => {} }),
+    }, {
+      get: (target, key) => target[key] ?? ((...args) => calls.push([key, ...args])),
+      set: (target, key, value) => { target[key] = value; return true },
+    })
+    drawShareCard(ctx, model, null)
+    const text = calls.filter(c => c[0] === 'fillText').map(c => c[1])
+    expect(text).toContain('Enough')
+    expect(text).toContain('Ben')
+    expect(text).toContain('1–0')
+    expect(calls.some(c => c[0] === 'drawImage')).toBe(false)
+  })
+})
@@ -0,0 +1,192 @@
+import { ParseError, REQUIRED_SHEETS, OPTIONAL_SHEETS, parseSheets, xlsxSheets, csvSheets, jsonSheets } from './parse.js'
+import { validateSheets } from './validate.js'
+
+// ─── Data sources ─────────────────────────────────────────────────────────────
+// Where the dashboard reads its data from. Three kinds, all relative to the
+// site's base URL:
+//
+//   xlsx — one workbook                 (default: 'Game Tracking.xlsx')
+//   csv  — a directory of per-sheet CSVs ('Players.csv', 'Game Players.csv', …)
+//   json — one JSON export keyed by sheet name
+//
+// The kind and path come from DATA_SOURCE in config.js, overridden per visit
+// with ?source=csv or ?source=json&data=export.json.
+
+export const DEFAULT_PATHS = {
+  xlsx: 'Game Tracking.xlsx',
+  csv:  'data/',
+  json: 'games.json',
+}
+
+// Any failure loading data, tagged with the file it came from so the error
+// screen can say exactly what to fix.
+export class DataSourceError extends Error {
+  constructor(file, reason) {
+    super(`${file}: ${reason}`)
+    this.name   = 'DataSourceError'
+    this.file   = file
+    this.reason = reason
+  }
+}
+
+export const resolveSource = (config, search = '') => {
+  const params = new URLSearchParams(search)
+  const type   = params.get('source') ?? config.type ?? 'xlsx'
+  if (!DEFAULT_PATHS[type]) {
+    throw new DataSourceError(`?source=${type}`, `unknown source type (use ${Object.keys(DEFAULT_PATHS).join(', ')})`)
+  }
+  const path = params.get('data') ?? (params.has('source') ? null : config.path) ?? DEFAULT_PATHS[type]
+  return { type, path }
+}
+
+// `init` is passed on to fetch; a 304 from a conditional request comes back
+// as is, for the caller to read as "unchanged".
+const request = async (fetcher, url, file, { optional = false, init } = {}) => {
+  let res
+  try {
+    res = await (init ? fetcher(url, init) : fetcher(url))
+  } catch (err) {
+    throw new DataSourceError(file, `network error (${err.message})`)
+  }
+  if (optional && res.status === 404) return null
+  if (res.status === 304) return res
+  if (!res.ok) throw new DataSourceError(file, `HTTP ${res.status}${res.statusText ? ` ${res.statusText}` : ''}`)
+  return res
+}
+
+// ── Validators ──────────────────────────────────────────────────────────────
+// The ETag and Last-Modified each file was served with, { file → { etag,
+// lastModified } }, so a later check can ask the host whether anything has
+// changed without downloading it again. An optional file that wasn't there
+// is recorded as null.
+
+const validatorsOf = (res) => res && {
+  etag:         res.headers.get('ETag'),
+  lastModified: res.headers.get('Last-Modified'),
+}
+
+const conditional = (v) => ({
+  cache:   'no-store', // let the 304 through rather than answering from the browser's cache
+  headers: {
+    ...(v?.etag && { 'If-None-Match': v.etag }),
+    ...(v?.lastModified && { 'If-Modified-Since': v.lastModified }),
+  },
+})
+
+// Every file a source reads, with whether it may be missing. A csv source
+// has one per sheet; the others are a single file.
+const csvDir = (path) => (path.endsWith('/') ? path : `${path}/`)
+
+const sourceFiles = ({ type, path }) => {
+  if (type !== 'csv') return [{ file: path, optional: false }]
+  return [...REQUIRED_SHEETS, ...OPTIONAL_SHEETS].map(sheet => ({
+    sheet,
+    file:     `${csvDir(path)}${sheet}.csv`,
+    optional: OPTIONAL_SHEETS.includes(sheet),
+  }))
+}
+
+// Wraps the parse step so data errors carry the file name too.
+const parsed = (file, parse) => {
+  try {
+    return parse()
+  } catch (err) {
+    if (err instanceof ParseError) throw new DataSourceError(file, err.message)
+    throw new DataSourceError(file, `could not be parsed (${err.message})`)
+  }
+}
+
+// The model plus the data-health issues found in the same rows.
+const readSheets = (lookup) => ({ ...parseSheets(lookup), issues: validateSheets(lookup) })
+
+// Parses a source from `fetchFile(file, { optional })`, which returns the
+// file's Response, or null for an optional file that isn't there.
+const readSource = async ({ type, path }, fetchFile) => {
+  if (type === 'xlsx') {
+    const res = await fetchFile(path)
+    const buf = await res.arrayBuffer()
+    return parsed(path, () => readSheets(xlsxSheets(buf)))
+  }
+
+  if (type === 'json') {
+    const res  = await fetchFile(path)
+    const body = await res.text()
+    return parsed(path, () => {
+      let data
+      try {
+        data = JSON.parse(body)
+      } catch (err) {
+        throw new ParseError(`invalid JSON (${err.message})`)
+      }
+      return readSheets(jsonSheets(data))
+    })
+  }
+
+  // csv: one request per sheet; optional sheets may be absent.
+  const files = {}
+  await Promise.all(sourceFiles({ type, path }).map(async ({ sheet, file, optional }) => {
+    const res = await fetchFile(file, { optional })
+    if (res) files[sheet] = await res.text()
+  }))
+  return parsed(csvDir(path), () => readSheets(csvSheets(files)))
+}
+
+// → { decks, players, sessions, gamePlayers, seasons, issues, validators }
+export const loadSource = async (source, { baseUrl = '/', fetcher = fetch } = {}) => {
+  const validators = {}
+  const model = await readSource(source, async (file, options) => {
+    const res = await request(fetcher, baseUrl + encodeURI(file), file, options)
+    validators[file] = validatorsOf(res)
+    return res
+  })
+  return { ...model, validators }
+}
+
+// Polls a source loaded earlier: asks the host, with the validators from that
+// load, whether any of its files has changed, and reloads it if so.
+// → { changed: false } or { changed: true, model } where model is what
+// loadSource returns. A host that sends neither ETag nor Last-Modified can't
+// say "unchanged", so every check reloads.
+export const refreshSource = async (source, validators, { baseUrl = '/', fetcher = fetch } = {}) => {
+  const checked = {} // file → the check's Response, or null for a missing optional sheet
+  const checks = await Promise.all(sourceFiles(source).map(async ({ file, optional }) => {
+    const before = validators[file]
+    const res = await request(fetcher, baseUrl + encodeURI(file), file, { optional, init: conditional(before) })
+    checked[file] = res
+    if (!res) return before != null // an optional sheet removed
+    return res.status !== 304
+  }))
+  if (!checks.some(Boolean)) return { changed: false }
+
+  // The checks already downloaded whatever changed. Only the other sheets of
+  // a csv source are asked for again, revalidating past the browser's cache
+  // (GitHub Pages lets it keep files for ten minutes).
+  const next = {}
+  const model = await readSource(source, async (file, options) => {
+    let res = checked[file]
+    if (res?.status === 304) {
+      res = await request(fetcher, baseUrl + encodeURI(file), file, { ...options, init: { cache: 'no-cache' } })
+    }
+    next[file] = validatorsOf(res)
+    return res
+  })
+  return { changed: true, model: { ...model, validators: next } }
+}
+
+// A short fingerprint of a model's rows. A reload that matches the one on
+// screen brought nothing new, which is what most checks against a host
+// without validators turn up.
+export const modelFingerprint = ({ decks, players, sessions, gamePlayers, seasons }) => {
+  const json = JSON.stringify([decks, players, sessions, gamePlayers, seasons])
+  let hash = 0x811c9dc5 // FNV-1a
+  for (let i = 0; i < json.length; i++) hash = Math.imul(hash ^ json.charCodeAt(i), 0x01000193)
+  return `${sessions.length}:${(hash >>> 0).toString(36)}`
+}
+
+// The workbook itself, for features that write an updated copy back out.
+// Revalidated past the browser's cache: an old copy would lose games.
+export const fetchWorkbook = async ({ type, path }, { baseUrl = '/', fetcher = fetch } = {}) => {
+  if (type !== 'xlsx') throw new DataSourceError(path, 'only an xlsx source can be updated in the browser')
+  const res = await request(fetcher, baseUrl + encodeURI(path), path, { init: { cache: 'no-cache' } })
+  return res.arrayBuffer()
+}
@@ -0,0 +1,134 @@
+import { describe, it, expect } from 'vitest'
+import { loadSource, refreshSource, fetchWorkbook, modelFingerprint } from './sources.js'
+import { createFileServer } from './fileServer.js'
+
+const workbook = (games) => JSON.stringify({
+  Players:        [{ PlayerID: 'P1', PlayerName: 'Nick' }, { PlayerID: 'P2', PlayerName: 'Ann' }],
+  Decks:          [{ DeckID: 'D1', PlayerName: 'Nick', Commander: 'Krenko, Mob Boss' }],
+  Games:          games.map(id => ({ GameID: id, Date: '2026-01-05', TotalPlayers: 2 })),
+  'Game Players': games.flatMap(id => [
+    { GameID: id, PlayerName: 'Nick', DeckID: 'D1', Commander: 'Krenko, Mob Boss', WinFlag: 1 },
+    { GameID: id, PlayerName: 'Ann', WinFlag: 0 },
+  ]),
+})
+
+const JSON_SOURCE = { type: 'json', path: 'games.json' }
+
+describe('refreshSource', () => {
+  it('asks with the validators from the last load and reloads only once the file changes', async () => {
+    const host  = createFileServer({ 'games.json': workbook(['G001']) })
+    const model = await loadSource(JSON_SOURCE, { fetcher: host.fetch })
+    expect(model.validators['games.json'].etag).toBe('"v1"')
+
+    expect(await refreshSource(JSON_SOURCE, model.validators, { fetcher: host.fetch })).toEqual({ changed: false })
+    expect(host.requests.at(-1)).toEqual({ path: 'games.json', status: 304 })
+
+    host.put('games.json', workbook(['G001', 'G002']))
+    const refreshed = await refreshSource(JSON_SOURCE, model.validators, { fetcher: host.fetch })
+    expect(refreshed.changed).toBe(true)
+    expect(refreshed.model.sessions.map(s => s.id)).toEqual(['G001', 'G002'])
+    expect(refreshed.model.validators['games.json'].etag).toBe('"v2"')
+  })
+
+  it('falls back to Last-Modified when there is no ETag', async () => {
+    let clock = Date.parse('2026-03-01T20:00:00Z')
+    const host  = createFileServer({ 'games.json': workbook(['G001']) }, { now: () => clock })
+    const model = await loadSource(JSON_SOURCE, { fetcher: host.fetch })
+    const byDate = { 'games.json': { ...model.validators['games.json'], etag: null } }
+
+    expect((await refreshSource(JSON_SOURCE, byDate, { fetcher: host.fetch })).changed).toBe(false)
+    clock += 60_000
+    host.put('games.json', workbook(['G001', 'G002']))
+    expect((await refreshSource(JSON_SOURCE, byDate, { fetcher: host.fetch })).changed).toBe(true)
+  })
+
+  it('reloads on every check when the host sends no validators', async () => {
+    const host  = createFileServer({ 'games.json': workbook(['G001']) }, { validators: false })
+    const model = await loadSource(JSON_SOURCE, { fetcher: host.fetch })
+    expect(model.validators['games.json']).toEqual({ etag: null, lastModified: null })
+    expect((await refreshSource(JSON_SOURCE, model.validators, { fetcher: host.fetch })).changed).toBe(true)
+  })
+
+  it('fingerprints a reload that brought nothing new like the data on screen', async () => {
+    const host  = createFileServer({ 'games.json': workbook(['G001']) }, { validators: false })
+    const model = await loadSource(JSON_SOURCE, { fetcher: host.fetch })
+    const again = await refreshSource(JSON_SOURCE, model.validators, { fetcher: host.fetch })
+    expect(modelFingerprint(again.model)).toBe(modelFingerprint(model))
+
+    host.put('games.json', workbook(['G001']).replace('Krenko, Mob Boss', 'Krenko, Tin Street Kingpin'))
+    const edited = await refreshSource(JSON_SOURCE, model.validators, { fetcher: host.fetch })
+    expect(modelFingerprint(edited.model)).not.toBe(modelFingerprint(model))
+  })
+
+  it('checks every sheet of a csv source, counting an optional sheet appearing or going as a change', async () => {
+    const host = createFileServer({
+      'data/Players.csv':      'PlayerID,PlayerName\nP1,Nick\n',
+      'data/Decks.csv':        'DeckID,PlayerName,Commander\nD1,Nick,Krenko\n',
+      'data/Games.csv':        'GameID,Date,TotalPlayers\n',
+      'data/Game Players.csv': 'GameID,PlayerName,DeckID,Commander,WinFlag\n',
+    })
+    const source = { type: 'csv', path: 'data' }
+    const model  = await loadSource(source, { fetcher: host.fetch })
+    expect(model.validators['data/Seasons.csv']).toBeNull()
+    expect((await refreshSource(source, model.validators, { fetcher: host.fetch })).changed).toBe(false)
+
+    host.put('data/Seasons.csv', 'Season,StartDate,EndDate\nSpring,2026-02-01,\n')
+    const added = await refreshSource(source, model.validators, { fetcher: host.fetch })
+    expect(added.model.seasons.map(s => s.name)).toEqual(['Spring'])
+
+    host.remove('data/Seasons.csv')
+    expect((await refreshSource(source, added.model.validators, { fetcher: host.fetch })).changed).toBe(true)
+  })
+
+  it('reads the changed file from the check itself, never from a stale browser cache', async () => {
+    const host  = createFileServer({ 'games.json': workbook(['G001']) })
+    const model = await loadSource(JSON_SOURCE, { fetcher: host.fetch })
+    // Like the browser with a cached copy: plain requests get the old file.
+    const stale   = workbook(['G001'])
+    const browser = (url, init) =>
+      (init?.cache === 'no-store' || init?.cache === 'no-cache' ? host.fetch(url, init) : new Response(stale))
+
+    host.put('games.json', workbook(['G001', 'G002']))
+    const before = host.requests.length
+    const refreshed = await refreshSource(JSON_SOURCE, model.validators, { fetcher: browser })
+    expect(refreshed.model.sessions.map(s => s.id)).toEqual(['G001', 'G002'])
+    expect(host.requests.slice(before)).toEqual([{ path: 'games.json', status: 200 }])
+  })
+
+  it('revalidates the unchanged sheets of a csv source past the browser cache', async () => {
+    const host = createFileServer({
+      'data/Players.csv':      'PlayerID,PlayerName\nP1,Nick\n',
+      'data/Decks.csv':        'DeckID,PlayerName,Commander\nD1,Nick,Krenko\n',
+      'data/Games.csv':        'GameID,Date,TotalPlayers\n',
+      'data/Game Players.csv': 'GameID,PlayerName,DeckID,Commander,WinFlag\n',
+    })
+    const source = { type: 'csv', path: 'data' }
+    const model  = await loadSource(source, { fetcher: host.fetch })
+    // A cache holding nothing useful: plain requests get an empty file.
+    const browser = (url, init) =>
+      (init?.cache === 'no-store' || init?.cache === 'no-cache' ? host.fetch(url, init) : new Response(''))
+
+    host.put('data/Players.csv', 'PlayerID,PlayerName\nP1,Nick\nP2,Ann\n')
+    const refreshed = await refreshSource(source, model.validators, { fetcher: browser })
+    expect(refreshed.model.players).toEqual(['Nick', 'Ann'])
+    expect(refreshed.model.decks.map(d => d.commander)).toEqual(['Krenko'])
+    expect(refreshed.model.validators['data/Players.csv'].etag).toBe('"v5"')
+  })
+
+  it('reports a file that has disappeared like a failed load', async () => {
+    const host  = createFileServer({ 'games.json': workbook([]) })
+    const model = await loadSource(JSON_SOURCE, { fetcher: host.fetch })
+    host.remove('games.json')
+    await expect(refreshSource(JSON_SOURCE, model.validators, { fetcher: host.fetch }))
+      .rejects.toThrow('games.json: HTTP 404')
+  })
+})
+
+describe('fetchWorkbook', () => {
+  it('gets the copy on the host, not one the browser kept', async () => {
+    const host    = createFileServer({ 'book.xlsx': 'new' })
+    const browser = (url, init) => (init?.cache === 'no-cache' ? host.fetch(url, init) : new Response('old'))
+    const buf     = await fetchWorkbook({ type: 'xlsx', path: 'book.xlsx' }, { fetcher: browser })
+    expect(new TextDecoder().decode(buf)).toBe('new')
+  })
+})
@@ -0,0 +1,64 @@
+import { expectedShare } from './expectation.js'
+
+// ─── Stat helpers ─────────────────────────────────────────────────────────────
+
+export const winRate = (wins, games) =>
+  games === 0 ? 0 : Math.round((wins / games) * 100)
+
+// ── Confidence-aware win rates ───────────────────────────────────────────────
+// A raw rate treats 1-0 as better than 7-3. Two fixes, both as 0–1 fractions:
+//
+// adjustedWinRate — Bayesian estimate. Every deck starts with PRIOR_GAMES
+// imaginary games at the rate a seat is expected to win (1/N for its pod
+// sizes), and real results pull it away from there as they pile up.
+//
+// winRateInterval — 95% Wilson score interval, the range the "true" rate
+// plausibly sits in given the sample. Drawn as whiskers on WinBar.
+
+const PRIOR_GAMES = 4
+
+// `expected` is Σ 1/N over the games played (see withDeckStats); with no
+// games yet, assume the usual four-player pod.
+export const adjustedWinRate = (wins, games, expected = games / 4) => {
+  const prior = games === 0 ? 0.25 : expected / games
+  return (wins + prior * PRIOR_GAMES) / (games + PRIOR_GAMES)
+}
+
+export const winRateInterval = (wins, games, z = 1.96) => {
+  if (games === 0) return { low: 0, high: 1 }
+  const p      = wins / games
+  const z2     = z * z
+  const centre = (p + z2 / (2 * games)) / (1 + z2 / games)
+  const spread = (z / (1 + z2 / games)) * Math.sqrt(p * (1 - p) / games + z2 / (4 * games * games))
+  return { low: Math.max(0, centre - spread), high: Math.min(1, centre + spread) }
+}
+
+// Deck metadata joined with games / wins / losses tallied from the seats of
+// `games`, so the totals always match the slice of history being shown.
+// `expected` is the wins a deck would have at an even 1/N share per pod.
+// Every seat that isn't a win is a loss, and seats whose GameID isn't on the
+// Games sheet belong to no game, so aren't counted; Data Health names both.
+export const withDeckStats = (decks, games) => {
+  const empty = () => ({ games: 0, wins: 0, losses: 0, expected: 0 })
+  const tally = {}
+  games.forEach(game => game.seats.forEach(({ deckId, win }) => {
+    if (!deckId) return
+    const t = (tally[deckId] ??= empty())
+    t.games++
+    t.expected += expectedShare(game)
+    if (win) t.wins++
+    else t.losses++
+  }))
+  return decks.map(d => ({ ...d, ...(tally[d.id] ?? empty()) }))
+}
+
+// Current and longest run of wins in a chronological list of results.
+export const winStreaks = (results) => {
+  let run = 0
+  let longest = 0
+  results.forEach(won => {
+    run = won ? run + 1 : 0
+    longest = Math.max(longest, run)
+  })
+  return { current: run, longest }
+}
@@ -0,0 +1,31 @@
+// ─── Browser storage ──────────────────────────────────────────────────────────
+// One JSON value kept under `key` in a Storage-like object (localStorage in
+// the browser). Nothing kept this way is essential, so a missing or unreadable
+// store reads as `fallback`, and a write it refuses is dropped.
+
+export const safeStorage = (store, key) => ({
+  read: (fallback = {}) => {
+    try {
+      return JSON.parse(store?.getItem(key) ?? 'null') ?? fallback
+    } catch {
+      return fallback
+    }
+  },
+  write: (value) => {
+    try {
+      store?.setItem(key, JSON.stringify(value))
+    } catch {
+      // quota exceeded or storage disabled
+    }
+  },
+})
+
+// An in-memory Storage for tests; localStorage isn't there under Node.
+export const memoryStorage = (initial = {}) => {
+  const data = { ...initial }
+  return {
+    getItem: (key) => (key in data ? data[key] : null),
+    setItem: (key, value) => { data[key] = String(value) },
+    data,
+  }
+}
@@ -0,0 +1,22 @@
+import { describe, it, expect } from 'vitest'
+import { safeStorage, memoryStorage } from './storage.js'
+
+describe('safeStorage', () => {
+  it('round-trips a JSON value under its key', () => {
+    const storage = memoryStorage()
+    safeStorage(storage, 'k').write({ a: [1, 2] })
+    expect(storage.data.k).toBe('{"a":[1,2]}')
+    expect(safeStorage(storage, 'k').read()).toEqual({ a: [1, 2] })
+  })
+
+  it('reads missing, broken or absent storage as the fallback', () => {
+    expect(safeStorage(memoryStorage(), 'k').read()).toEqual({})
+    expect(safeStorage(memoryStorage({ k: '{oops' }), 'k').read([])).toEqual([])
+    expect(safeStorage(undefined, 'k').read()).toEqual({})
+  })
+
+  it('drops a write the store refuses', () => {
+    const full = { getItem: () => null, setItem: () => { throw new Error('QuotaExceededError') } }
+    expect(() => safeStorage(full, 'k').write({})).not.toThrow()
+  })
+})
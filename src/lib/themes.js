@@ -0,0 +1,25 @@
+import { adjustedWinRate } from './stats.js'
+
+// ─── Themes ───────────────────────────────────────────────────────────────────
+// Per-tag totals from the Decks sheet's comma-separated Theme column. A deck
+// tagged "Tribal, Tokens" counts fully towards both.
+
+export const themeStats = (decks) => {
+  const tally = {}
+  decks.forEach(d => d.themes.forEach(theme => {
+    const t = (tally[theme] ??= { theme, decks: 0, games: 0, wins: 0, expected: 0, players: new Set() })
+    t.decks++
+    t.games    += d.games
+    t.wins     += d.wins
+    t.expected += d.expected ?? 0
+    t.players.add(d.player)
+  }))
+
+  return Object.values(tally)
+    .map(t => ({
+      ...t,
+      players:  [...t.players],
+      adjusted: adjustedWinRate(t.wins, t.games, t.expected),
+    }))
+    .sort((a, b) => b.games - a.games || b.decks - a.decks)
+}
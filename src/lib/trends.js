@@ -0,0 +1,32 @@
+// ─── Trends ───────────────────────────────────────────────────────────────────
+// Chart-ready series with one row per game: { game: GameID, [key]: value }.
+// `keyOf` picks what a seat counts as — the player, or the deck.
+
+// Running win total for each key. Carried forward on games a key sat out so
+// the lines read as a race.
+export const cumulativeWins = (games, keyOf, keys) => {
+  const wins = Object.fromEntries(keys.map(k => [k, 0]))
+  return games.map(game => {
+    game.winners.forEach(seat => {
+      const k = keyOf(seat)
+      if (k in wins) wins[k]++
+    })
+    return { game: game.id, ...wins }
+  })
+}
+
+// Win rate over each key's last `window` games, as a whole percentage. Only
+// set on games the key played, so lines connect across the gaps.
+export const rollingWinRate = (games, keyOf, keys, window) => {
+  const recent = Object.fromEntries(keys.map(k => [k, []]))
+  return games.map(game => {
+    const row = { game: game.id }
+    game.seats.forEach(seat => {
+      const k = keyOf(seat)
+      if (!recent[k]) return
+      recent[k] = [...recent[k], seat.win].slice(-window)
+      row[k] = Math.round((recent[k].filter(Boolean).length / recent[k].length) * 100)
+    })
+    return row
+  })
+}
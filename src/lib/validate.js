@@ -0,0 +1,140 @@
+import { text } from './parse.js'
+
+// ─── Data health ──────────────────────────────────────────────────────────────
+// Cross-checks the raw sheets before anyone trusts the totals. parseSheets is
+// deliberately forgiving — a seat pointing at a missing deck just vanishes
+// from the deck table — so this pass is where those mistakes get named.
+//
+// Each issue: { sheet, row, severity: 'error' | 'warning', message }.
+// `row` is the spreadsheet row number (header is row 1) when known.
+
+// sheet_to_json tags each row with its 0-based sheet row; JSON exports don't
+// have one, so fall back to the position under a header row.
+const rowNumber = (row, index) =>
+  row.__rowNum__ != null ? row.__rowNum__ + 1 : index + 2
+
+// Levenshtein distance, for "did you mean" hints on typo'd names.
+const distance = (a, b) => {
+  const prev = Array.from({ length: b.length + 1 }, (_, j) => j)
+  for (let i = 1; i <= a.length; i++) {
+    let diag = prev[0]
+    prev[0] = i
+    for (let j = 1; j <= b.length; j++) {
+      const tmp = prev[j]
+      prev[j] = Math.min(prev[j] + 1, prev[j - 1] + 1, diag + (a[i - 1] === b[j - 1] ? 0 : 1))
+      diag = tmp
+    }
+  }
+  return prev[b.length]
+}
+
+const suggest = (name, known) => {
+  const lower = name.toLowerCase()
+  const best = known
+    .map(k => ({ k, d: distance(lower, k.toLowerCase()) }))
+    .sort((a, b) => a.d - b.d)[0]
+  return best && best.d <= 2 ? ` — did you mean “${best.k}”?` : ''
+}
+
+export const validateSheets = (lookup) => {
+  const issues = []
+  const add = (sheet, row, severity, message) => issues.push({ sheet, row, severity, message })
+
+  const players = lookup('Players')      ?? []
+  const decks   = lookup('Decks')        ?? []
+  const games   = lookup('Games')        ?? []
+  const seats   = lookup('Game Players') ?? []
+
+  // ── Players ──────────────────────────────────────────────────────────────
+  const playerNames = []
+  players.forEach((r, i) => {
+    const name = text(r.PlayerName)
+    if (!name) return add('Players', rowNumber(r, i), 'warning', 'Row has no PlayerName')
+    if (playerNames.includes(name)) add('Players', rowNumber(r, i), 'error', `Player “${name}” is listed twice`)
+    playerNames.push(name)
+  })
+
+  const checkPlayer = (sheet, row, name) => {
+    if (!name) return add(sheet, row, 'error', 'Missing PlayerName')
+    if (!playerNames.includes(name)) {
+      add(sheet, row, 'error', `Player “${name}” is not in the Players sheet${suggest(name, playerNames)}`)
+    }
+  }
+
+  // ── Decks ────────────────────────────────────────────────────────────────
+  const deckById = {}
+  decks.forEach((r, i) => {
+    const row = rowNumber(r, i)
+    const id  = text(r.DeckID)
+    if (!id) return add('Decks', row, 'error', 'Row has no DeckID')
+    if (deckById[id]) add('Decks', row, 'error', `DeckID ${id} is used twice (also row ${deckById[id].row})`)
+    else deckById[id] = { row, commander: text(r.Commander) }
+    if (!text(r.Commander)) add('Decks', row, 'warning', `Deck ${id} has no Commander`)
+    checkPlayer('Decks', row, text(r.PlayerName))
+    if (r.EstPower != null && r.EstPower !== '' && isNaN(Number(r.EstPower))) {
+      add('Decks', row, 'warning', `Deck ${id} has a non-numeric EstPower “${r.EstPower}”`)
+    }
+  })
+
+  // ── Games ────────────────────────────────────────────────────────────────
+  const gameById = {}
+  games.forEach((r, i) => {
+    const row = rowNumber(r, i)
+    const id  = text(r.GameID)
+    if (!id) return add('Games', row, 'error', 'Row has no GameID')
+    if (gameById[id]) return add('Games', row, 'error', `GameID ${id} is used twice (also row ${gameById[id].row})`)
+    gameById[id] = { row, total: Number(r.TotalPlayers), seats: [], winners: 0 }
+    if (r.Date == null || r.Date === '') add('Games', row, 'warning', `Game ${id} has no Date`)
+  })
+
+  // ── Game Players ─────────────────────────────────────────────────────────
+  seats.forEach((r, i) => {
+    const row    = rowNumber(r, i)
+    const gameId = text(r.GameID)
+    const deckId = text(r.DeckID)
+    const player = text(r.PlayerName)
+    const flag   = Number(r.WinFlag)
+
+    if (!gameId) return add('Game Players', row, 'error', 'Row has no GameID')
+    const game = gameById[gameId]
+    if (!game) add('Game Players', row, 'error', `GameID ${gameId} is not in the Games sheet — this seat is left out of every total`)
+
+    checkPlayer('Game Players', row, player)
+
+    if (!deckId) {
+      add('Game Players', row, 'error', `${player || 'Seat'} in ${gameId} has no DeckID`)
+    } else if (!deckById[deckId]) {
+      add('Game Players', row, 'error', `DeckID ${deckId} is not in the Decks sheet — this seat is missing from every deck total`)
+    } else if (text(r.Commander) && text(r.Commander) !== deckById[deckId].commander) {
+      add('Game Players', row, 'warning', `Commander “${text(r.Commander)}” doesn't match deck ${deckId} (“${deckById[deckId].commander}”)`)
+    }
+
+    if (flag !== 0 && flag !== 1) {
+      add('Game Players', row, 'error', `WinFlag should be 1 or 0, found “${text(r.WinFlag)}” — counted as a loss`)
+    } else if (r.Result != null && text(r.Result) !== (flag === 1 ? 'Win' : 'Loss')) {
+      add('Game Players', row, 'warning', `Result “${text(r.Result)}” disagrees with WinFlag ${flag}`)
+    }
+
+    if (game) {
+      if (player && game.seats.includes(player)) {
+        add('Game Players', row, 'error', `${player} is seated twice in ${gameId}`)
+      }
+      game.seats.push(player)
+      if (flag === 1) game.winners++
+    }
+  })
+
+  // ── Per-game totals ──────────────────────────────────────────────────────
+  Object.entries(gameById).forEach(([id, g]) => {
+    if (!g.seats.length) {
+      return add('Games', g.row, 'error', `Game ${id} has no rows in Game Players`)
+    }
+    if (g.winners === 0) add('Games', g.row, 'error', `Game ${id} has no winner`)
+    if (g.winners > 1)   add('Games', g.row, 'error', `Game ${id} has ${g.winners} winners`)
+    if (g.total && g.total !== g.seats.length) {
+      add('Games', g.row, 'warning', `Game ${id} says TotalPlayers ${g.total} but ${g.seats.length} players are seated`)
+    }
+  })
+
+  return issues
+}
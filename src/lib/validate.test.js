@@ -0,0 +1,85 @@
+import { describe, it, expect } from 'vitest'
+import { validateSheets } from './validate.js'
+import { jsonSheets } from './parse.js'
+
+// A clean two-player workbook; each test breaks one thing in a copy of it.
+const clean = () => ({
+  Players: [{ PlayerName: 'Nick' }, { PlayerName: 'Ann' }],
+  Decks: [
+    { DeckID: 'D1', PlayerName: 'Nick', Commander: 'Krenko, Mob Boss', EstPower: 6 },
+    { DeckID: 'D2', PlayerName: 'Ann',  Commander: 'Edgar Markov',     EstPower: 7 },
+  ],
+  Games: [{ GameID: 'G001', Date: '2026-01-05', TotalPlayers: 2 }],
+  'Game Players': [
+    { GameID: 'G001', PlayerName: 'Nick', DeckID: 'D1', Commander: 'Krenko, Mob Boss', WinFlag: 1 },
+    { GameID: 'G001', PlayerName: 'Ann',  DeckID: 'D2', Commander: 'Edgar Markov',     WinFlag: 0 },
+  ],
+})
+
+const check = (change) => {
+  const data = clean()
+  change?.(data)
+  return validateSheets(jsonSheets(data))
+}
+
+describe('validateSheets', () => {
+  it('finds nothing wrong with a clean workbook', () => {
+    expect(check()).toEqual([])
+  })
+
+  it('names duplicate IDs with the row they clash with', () => {
+    const issues = check(d => {
+      d.Decks.push({ DeckID: 'D1', PlayerName: 'Ann', Commander: 'Atraxa' })
+      d.Games.push({ GameID: 'G001', Date: '2026-01-12', TotalPlayers: 2 })
+    })
+    expect(issues).toContainEqual({ sheet: 'Decks', row: 4, severity: 'error', message: 'DeckID D1 is used twice (also row 2)' })
+    expect(issues).toContainEqual({ sheet: 'Games', row: 3, severity: 'error', message: 'GameID G001 is used twice (also row 2)' })
+  })
+
+  it('flags a seat whose DeckID is not in Decks', () => {
+    const issues = check(d => { d['Game Players'][1].DeckID = 'D9' })
+    expect(issues).toEqual([{
+      sheet:    'Game Players',
+      row:      3,
+      severity: 'error',
+      message:  'DeckID D9 is not in the Decks sheet — this seat is missing from every deck total',
+    }])
+  })
+
+  it('names seats the totals leave out or count as losses', () => {
+    const issues = check(d => {
+      d['Game Players'].push({ GameID: 'G002', PlayerName: 'Nick', DeckID: 'D1', WinFlag: 1 })
+      d['Game Players'][1].WinFlag = 'L'
+    })
+    expect(issues).toContainEqual({
+      sheet: 'Game Players', row: 4, severity: 'error', message: 'GameID G002 is not in the Games sheet — this seat is left out of every total',
+    })
+    expect(issues).toContainEqual({
+      sheet: 'Game Players', row: 3, severity: 'error', message: 'WinFlag should be 1 or 0, found “L” — counted as a loss',
+    })
+  })
+
+  it('counts winners per game', () => {
+    expect(check(d => { d['Game Players'][0].WinFlag = 0 }).map(i => i.message)).toEqual(['Game G001 has no winner'])
+    expect(check(d => { d['Game Players'][1].WinFlag = 1 }).map(i => i.message)).toEqual(['Game G001 has 2 winners'])
+  })
+
+  it('warns when TotalPlayers disagrees with the seats logged', () => {
+    expect(check(d => { d.Games[0].TotalPlayers = 4 })).toEqual([{
+      sheet: 'Games', row: 2, severity: 'warning', message: 'Game G001 says TotalPlayers 4 but 2 players are seated',
+    }])
+  })
+
+  it('suggests the closest name for a misspelt player', () => {
+    const issues = check(d => { d['Game Players'][0].PlayerName = 'Nik' })
+    expect(issues).toContainEqual({
+      sheet: 'Game Players', row: 2, severity: 'error', message: 'Player “Nik” is not in the Players sheet — did you mean “Nick”?',
+    })
+  })
+
+  it('only warns about a missing Date', () => {
+    expect(check(d => { d.Games[0].Date = '' })).toEqual([{
+      sheet: 'Games', row: 2, severity: 'warning', message: 'Game G001 has no Date',
+    }])
+  })
+})
@@ -0,0 +1,308 @@
+import * as XLSX from 'xlsx'
+import { CFB } from 'xlsx' // SheetJS's zip reader/writer
+
+// ─── Writing the workbook ─────────────────────────────────────────────────────
+// Appends a logged game (and any decks or players added alongside it) to the
+// tracking workbook so it can be downloaded and committed in place of the
+// original.
+//
+// SheetJS can read the workbook but can't write its Excel tables back, and
+// the workbook leans on them: formula columns, the Deck Dashboard and the
+// list validations all refer to tblGamePlayers[…] and friends. So the file is
+// edited in place instead of rebuilt. An .xlsx is a zip of XML parts; each new
+// row is spliced into its sheet's XML as a copy of the row above — its styles,
+// and its formula wherever it has one — and the sheet's table is stretched to
+// take it in. Every other part is written back untouched, and Excel
+// recalculates the formulas when the file is next opened.
+
+// Excel serial for a UTC-midnight date (inverse of excelDateToJS).
+const toSerial = (date) => date.getTime() / 86400000 + 25569
+
+// Next ID in a sequence like G001…G030 → G031 or D1…D53 → D54, keeping
+// whatever zero-padding the existing IDs use.
+export const nextId = (ids, prefix) => {
+  const nums  = ids
+    .map(id => String(id ?? ''))
+    .filter(id => id.startsWith(prefix) && /^\d+$/.test(id.slice(prefix.length)))
+    .map(id => id.slice(prefix.length))
+  const max   = nums.reduce((m, n) => Math.max(m, Number(n)), 0)
+  const width = nums.some(n => n.startsWith('0')) ? Math.max(...nums.map(n => n.length)) : 0
+  return prefix + String(max + 1).padStart(width, '0')
+}
+
+// ── Parts ───────────────────────────────────────────────────────────────────
+
+const readPart = (zip, path) => {
+  const entry = CFB.find(zip, `/${path}`)
+  return entry ? new TextDecoder().decode(new Uint8Array(entry.content)) : null
+}
+
+const writePart = (zip, path, xml) => {
+  CFB.utils.cfb_add(zip, `/${path}`, new TextEncoder().encode(xml))
+}
+
+// `target` from a .rels file, as a path from the zip root.
+const resolvePart = (from, target) => {
+  if (target.startsWith('/')) return target.slice(1)
+  const parts = from.split('/').slice(0, -1)
+  target.split('/').forEach(p => (p === '..' ? parts.pop() : parts.push(p)))
+  return parts.join('/')
+}
+
+const relsOf = (path) => path.replace(/([^/]+)$/, '_rels/$1.rels')
+
+const attrs = (tag) =>
+  Object.fromEntries([...tag.matchAll(/([\w:]+)="([^"]*)"/g)].map(([, k, v]) => [k, v]))
+
+const unescapeXml = (s) => s
+  .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, '\'').replace(/&amp;/g, '&')
+
+const escapeXml = (s) => String(s)
+  .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;')
+
+// Relationship targets in a .rels part → { id → path from the zip root }.
+const relationships = (zip, path) => {
+  const xml = readPart(zip, relsOf(path)) ?? ''
+  return Object.fromEntries([...xml.matchAll(/<Relationship\b[^>]*>/g)].map(([tag]) => {
+    const { Id, Target } = attrs(tag)
+    return [Id, resolvePart(path, unescapeXml(Target))]
+  }))
+}
+
+// The worksheet part for a sheet name, and its table's part if it has one.
+const sheetParts = (zip, name) => {
+  const book = 'xl/workbook.xml'
+  const rels = relationships(zip, book)
+  const tag  = [...readPart(zip, book).matchAll(/<sheet\b[^>]*>/g)]
+    .map(([t]) => attrs(t))
+    .find(a => unescapeXml(a.name) === name)
+  if (!tag) return null
+  const sheet = rels[tag['r:id']]
+  const table = Object.values(relationships(zip, sheet)).find(p => /\/tables\//.test(p)) ?? null
+  return { sheet, table }
+}
+
+// ── Cells ───────────────────────────────────────────────────────────────────
+
+const ROW  = (r) => new RegExp(`<row\\b(?=[^>]*\\br="${r}")([^>]*?)(?:/>|>([\\s\\S]*?)</row>)`)
+const CELL = /<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g
+
+// A row's cells → { column letter → { attrs, formula } }.
+const cellsOf = (rowXml = '') => Object.fromEntries([...rowXml.matchAll(CELL)].map(([, a, body = '']) => {
+  const at = attrs(a)
+  return [at.r.replace(/\d+$/, ''), { attrs: at, formula: body.match(/<f\b[\s\S]*?(?:\/>|<\/f>)/)?.[0] ?? null }]
+}))
+
+const valueXml = (value) => (typeof value === 'number'
+  ? { t: '', v: `<v>${value}</v>` }
+  : { t: ' t="str"', v: `<v>${escapeXml(value)}</v>` })
+
+// A value to write as is, even where the cell above has a formula.
+const literal = (value) => ({ literal: value })
+
+// One cell of a new row, shaped like the cell above it: same style, same
+// formula (pointed at the new cell) with `value` cached as its result, or
+// `value` itself when the cell above holds a plain value.
+const cellXml = (ref, above, value) => {
+  const style = above?.attrs.s != null ? ` s="${above.attrs.s}"` : ''
+  if (value?.literal !== undefined) return cellXml(ref, above && { ...above, formula: null }, value.literal)
+  if (above?.formula) {
+    const cm      = above.attrs.cm != null ? ` cm="${above.attrs.cm}"` : ''
+    const formula = above.formula.replace(/\bref="[^"]*"/, `ref="${ref}"`)
+    const cached  = value == null ? { t: '', v: '' } : valueXml(value)
+    return `<c r="${ref}"${style}${cached.t}${cm}>${formula}${cached.v}</c>`
+  }
+  if (value == null || value === '') return style ? `<c r="${ref}"${style}/>` : ''
+  if (typeof value === 'number') return `<c r="${ref}"${style}><v>${value}</v></c>`
+  const space = /^\s|\s$/.test(value) ? ' xml:space="preserve"' : ''
+  return `<c r="${ref}"${style} t="inlineStr"><is><t${space}>${escapeXml(value)}</t></is></c>`
+}
+
+// Ranges in `sqref`/`ref` attributes that end on row `from` now end on `to`,
+// so validations and tables cover the new rows.
+const stretch = (xml, attr, from, to) =>
+  xml.replace(new RegExp(`\\b${attr}="([^"]*)"`, 'g'), (_, refs) => `${attr}="${
+    refs.replace(/([A-Z]+\d+:[A-Z]+)(\d+)/g, (m, head, end) => (Number(end) === from ? `${head}${to}` : m))
+  }"`)
+
+// Appends rows (objects keyed by column name) under a sheet's existing rows.
+// Columns a row doesn't mention are left blank, or keep the formula above.
+const appendRows = (workbook, name, rows) => {
+  const ws    = workbook.book.Sheets[name]
+  const parts = ws && sheetParts(workbook.zip, name)
+  if (!parts) throw new Error(`the workbook has no “${name}” sheet`)
+  if (!rows.length) return
+
+  const header = XLSX.utils.sheet_to_json(ws, { header: 1 })[0] ?? []
+  const last   = XLSX.utils.decode_range(ws['!ref']).e.r + 1 // 1-based, as in the XML
+  let xml = readPart(workbook.zip, parts.sheet)
+
+  const [, rowAttrs = '', rowBody] = (last > 1 && xml.match(ROW(last))) || []
+  const above    = cellsOf(rowBody)
+  const rowExtra = rowAttrs.replace(/\s*\br="\d+"/, '')
+
+  const added = rows.map((row, i) => {
+    const r = last + 1 + i
+    const cells = header.map((col, c) => {
+      const letter = XLSX.utils.encode_col(c)
+      return cellXml(`${letter}${r}`, above[letter], row[col])
+    })
+    return `<row r="${r}"${rowExtra}>${cells.join('')}</row>`
+  }).join('')
+
+  const end = last + rows.length
+  xml = xml.replace('</sheetData>', `${added}</sheetData>`)
+  xml = stretch(xml, 'ref', last, end)   // <dimension>
+  xml = stretch(xml, 'sqref', last, end) // data validations, conditional formats
+  writePart(workbook.zip, parts.sheet, xml)
+
+  if (parts.table) {
+    writePart(workbook.zip, parts.table, stretch(readPart(workbook.zip, parts.table), 'ref', last, end))
+  }
+  // Keep the SheetJS view in step, for anything appended after this.
+  const plain = rows.map(row => Object.fromEntries(
+    Object.entries(row).map(([col, v]) => [col, v?.literal !== undefined ? v.literal : v])))
+  XLSX.utils.sheet_add_json(ws, plain, { header, skipHeader: true, origin: last })
+}
+
+// Asks Excel to recalculate everything on opening, since the cached results
+// of formulas over the tables predate the new rows.
+const recalcOnLoad = (zip) => {
+  const path = 'xl/workbook.xml'
+  const xml  = readPart(zip, path)
+  const next = /<calcPr\b/.test(xml)
+    ? xml.replace(/<calcPr\b(?![^>]*fullCalcOnLoad)/, '<calcPr fullCalcOnLoad="1"')
+    : xml.replace(/(<extLst>|<\/workbook>)/, '<calcPr fullCalcOnLoad="1"/>$1')
+  writePart(zip, path, next)
+}
+
+// ── Matching the dashboard ──────────────────────────────────────────────────
+// The copy fetched for writing can differ from the data on screen (a browser
+// cache, or a push since the page loaded). Adding a game to the wrong copy
+// would drop or bring back games once it's pushed, so the two are checked
+// against each other, and new IDs come from the file rather than the screen.
+
+const idsIn = (book, sheet, column) =>
+  XLSX.utils.sheet_to_json(book.Sheets[sheet] ?? {}).map(r => String(r[column] ?? '').trim()).filter(Boolean)
+
+const listIds = (ids) => (ids.length > 3 ? `${ids.slice(0, 3).join(', ')} and ${ids.length - 3} more` : ids.join(', '))
+
+// Throws unless the workbook's Games sheet holds exactly the GameIDs `shown`.
+export const checkGames = (workbook, shown) => {
+  const inFile   = idsIn(workbook.book, 'Games', 'GameID')
+  const onScreen = shown.map(id => String(id ?? '').trim()).filter(Boolean)
+  const missing  = onScreen.filter(id => !inFile.includes(id))
+  const extra    = inFile.filter(id => !onScreen.includes(id))
+  if (!missing.length && !extra.length) return
+  const diff = [
+    missing.length && `it lacks ${listIds(missing)}`,
+    extra.length && `it has ${listIds(extra)}, which the dashboard hasn't loaded`,
+  ].filter(Boolean).join(' and ')
+  throw new Error(`the workbook on the site doesn't match the dashboard (${diff}); reload the page and try again`)
+}
+
+// `entry` with the next GameID in the workbook, and its new decks numbered
+// after the workbook's own (seats follow their decks).
+export const assignIds = (workbook, entry) => {
+  const deckIds  = idsIn(workbook.book, 'Decks', 'DeckID')
+  const renamed  = {}
+  const newDecks = entry.newDecks.map(d => {
+    const id = nextId(deckIds, 'D')
+    deckIds.push(id)
+    renamed[d.id] = id
+    return { ...d, id }
+  })
+  return {
+    ...entry,
+    gameId: nextId(idsIn(workbook.book, 'Games', 'GameID'), 'G'),
+    seats:  entry.seats.map(s => ({ ...s, deckId: renamed[s.deckId] ?? s.deckId })),
+    newDecks,
+  }
+}
+
+// ── Reading and writing ─────────────────────────────────────────────────────
+
+// → { zip, book }: the file's parts, and SheetJS's read of them for looking
+// things up. appendGame edits the parts; writeWorkbook zips them back up.
+export const readWorkbook = (buffer) => {
+  const data = new Uint8Array(buffer)
+  return { zip: CFB.read(data, { type: 'array' }), book: XLSX.read(data, { type: 'array' }) }
+}
+
+const record = (seats) => {
+  const wins = seats.filter(s => s.win).length
+  return { games: seats.length, wins, rate: seats.length ? wins / seats.length : 0 }
+}
+
+// entry: {
+//   gameId, date (UTC Date), location, notes,
+//   seats:      [{ player, deckId, commander, win }],
+//   newPlayers: [name],
+//   newDecks:   [{ id, player, commander, themes: [], power }],
+// }
+// Mutates and returns the workbook. New players and decks get their
+// GamesPlayed / Wins columns (and Deck Dashboard rows) filled from this game,
+// the only one they've played.
+export const appendGame = (workbook, entry) => {
+  const { book } = workbook
+  const playerIds = XLSX.utils.sheet_to_json(book.Sheets.Players ?? {}).map(r => r.PlayerID)
+  appendRows(workbook, 'Players', entry.newPlayers.map(name => {
+    const id = nextId(playerIds, 'P')
+    playerIds.push(id)
+    const { games, wins, rate } = record(entry.seats.filter(s => s.player === name))
+    return { PlayerID: id, PlayerName: name, GamesPlayed: games, Wins: wins, 'Win%': rate }
+  }))
+
+  appendRows(workbook, 'Decks', entry.newDecks.map(d => ({
+    DeckID:     d.id,
+    PlayerName: d.player,
+    Commander:  d.commander,
+    Theme:      d.themes.join(', ') || undefined,
+    EstPower:   d.power ?? undefined,
+  })))
+
+  if (book.Sheets['Deck Dashboard']) {
+    appendRows(workbook, 'Deck Dashboard', entry.newDecks.map(d => {
+      const { games, wins, rate } = record(entry.seats.filter(s => s.deckId === d.id))
+      return {
+        DeckID:        d.id,
+        Commander:     d.commander,
+        PlayerName:    d.player,
+        'Total Games': games,
+        Wins:          wins,
+        Losses:        games - wins,
+        'Win %':       rate,
+      }
+    }))
+  }
+
+  appendRows(workbook, 'Games', [{
+    GameID:       entry.gameId,
+    Date:         toSerial(entry.date),
+    Location:     entry.location || undefined,
+    TotalPlayers: entry.seats.length,
+    Notes:        entry.notes || undefined,
+  }])
+
+  // The sheet looks DeckID up from PlayerName and Commander, which can't
+  // find a borrowed deck; those seats get the ID itself.
+  const owners = Object.fromEntries([
+    ...XLSX.utils.sheet_to_json(book.Sheets.Decks ?? {}).map(r => [r.DeckID, r.PlayerName]),
+    ...entry.newDecks.map(d => [d.id, d.player]),
+  ])
+  appendRows(workbook, 'Game Players', entry.seats.map(s => ({
+    GameID:     entry.gameId,
+    PlayerName: s.player,
+    DeckID:     owners[s.deckId] === s.player ? s.deckId : literal(s.deckId),
+    Commander:  s.commander,
+    Result:     s.win ? 'Win' : 'Loss',
+    WinFlag:    s.win ? 1 : 0,
+  })))
+
+  recalcOnLoad(workbook.zip)
+  return workbook
+}
+
+export const XLSX_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+
+export const writeWorkbook = ({ zip }) => CFB.write(zip, { fileType: 'zip', type: 'array', compression: true })
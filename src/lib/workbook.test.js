@@ -0,0 +1,139 @@
+import { describe, it, expect } from 'vitest'
+import { readFileSync } from 'fs'
+import * as XLSX from 'xlsx'
+import { nextId, readWorkbook, checkGames, assignIds, appendGame, writeWorkbook } from './workbook.js'
+import { parseXLSX } from './parse.js'
+import { parseDay } from './period.js'
+
+const original = readFileSync(new URL('../../public/Game Tracking.xlsx', import.meta.url))
+
+// The parts of a written file, by path.
+const parts = (bytes) => {
+  const zip = XLSX.CFB.read(new Uint8Array(bytes), { type: 'array' })
+  return Object.fromEntries(zip.FileIndex
+    .map((entry, i) => [zip.FullPaths[i].replace(/^Root Entry\//, ''), entry])
+    .filter(([, entry]) => entry.type === 2 && !entry.name.startsWith('\u0001'))
+    .map(([path, entry]) => [path, new TextDecoder().decode(new Uint8Array(entry.content))]))
+}
+const formulas = (files) =>
+  Object.entries(files).filter(([p]) => p.startsWith('xl/worksheets/')).reduce((n, [, xml]) => n + (xml.match(/<f\b/g) ?? []).length, 0)
+
+const before = parseXLSX(original)
+const gameId = nextId(before.sessions.map(s => s.id), 'G')
+const deckId = nextId(before.decks.map(d => d.id), 'D')
+const nick   = before.decks.find(d => d.player === 'Nick')
+const shane  = before.decks.find(d => d.player === 'Shane')
+
+// Nick on his own deck, Zed (new) on a new deck, and Tom borrowing Shane's —
+// Zed wins.
+const entry = {
+  gameId,
+  date:       parseDay('2026-05-01'),
+  location:   'Nick & Ann’s',
+  notes:      '',
+  seats: [
+    { player: 'Nick', deckId: nick.id,  commander: nick.commander,  win: false },
+    { player: 'Zed',  deckId: deckId,   commander: 'Omnath, Locus of Creation', win: true },
+    { player: 'Tom',  deckId: shane.id, commander: shane.commander, win: false },
+  ],
+  newPlayers: ['Zed', 'Tom'],
+  newDecks:   [{ id: deckId, player: 'Zed', commander: 'Omnath, Locus of Creation', themes: ['Landfall'], power: 7 }],
+}
+
+const written = writeWorkbook(appendGame(readWorkbook(original), entry))
+const files   = parts(written)
+const after   = parseXLSX(written)
+
+describe('nextId', () => {
+  it('continues the sequence, keeping any zero-padding', () => {
+    expect(nextId(['G001', 'G030', 'G007'], 'G')).toBe('G031')
+    expect(nextId(['D1', 'D53', 'D9'], 'D')).toBe('D54')
+    expect(nextId(['G099'], 'G')).toBe('G100')
+  })
+
+  it('ignores IDs from other sequences and starts at 1', () => {
+    expect(nextId(['P1', 'Gx', null, 'G2b'], 'G')).toBe('G1')
+    expect(nextId([], 'P')).toBe('P1')
+  })
+})
+
+describe('appendGame', () => {
+  it('adds the game, its seats and the new players and decks', () => {
+    expect(after.sessions.at(-1)).toMatchObject({ id: gameId, location: 'Nick & Ann’s', players: 3 })
+    expect(after.sessions.at(-1).date).toEqual(entry.date)
+    expect(after.gamePlayers.slice(-3)).toEqual(entry.seats.map(s => ({ ...s, gameId })))
+    expect(after.players).toEqual([...before.players, 'Zed', 'Tom'])
+    expect(after.decks.at(-1)).toMatchObject({ id: deckId, player: 'Zed', themes: ['Landfall'], power: 7 })
+    expect(after.sessions.slice(0, -1)).toEqual(before.sessions)
+  })
+
+  it('fills in the new players’ and decks’ derived columns', () => {
+    const book = XLSX.read(written)
+    const zed  = XLSX.utils.sheet_to_json(book.Sheets.Players).find(r => r.PlayerName === 'Zed')
+    expect(zed).toMatchObject({ PlayerID: 'P8', GamesPlayed: 1, Wins: 1, 'Win%': 1 })
+    const row = XLSX.utils.sheet_to_json(book.Sheets['Deck Dashboard']).at(-1)
+    expect(row).toMatchObject({ DeckID: deckId, PlayerName: 'Zed', 'Total Games': 1, Wins: 1, Losses: 0 })
+  })
+})
+
+describe('the written workbook', () => {
+  it('keeps every part of the original, tables included', () => {
+    const untouched = parts(original)
+    expect(Object.keys(files).sort()).toEqual(Object.keys(untouched).sort())
+    expect(Object.keys(files).filter(p => p.startsWith('xl/tables/'))).toHaveLength(5)
+    for (const path of ['xl/sharedStrings.xml', 'xl/styles.xml', 'xl/calcChain.xml', '[Content_Types].xml']) {
+      expect(files[path]).toBe(untouched[path])
+    }
+  })
+
+  it('keeps the formulas and gives the new rows theirs', () => {
+    const was = formulas(parts(original))
+    expect(was).toBeGreaterThanOrEqual(121)
+    // Players: 3 per new player; Decks: none; Deck Dashboard: 6 per deck;
+    // Game Players: DeckID and WinFlag, except Tom's borrowed DeckID.
+    expect(formulas(files)).toBe(was + 2 * 3 + 6 + 3 * 2 - 1)
+  })
+
+  it('stretches each table over its new rows', () => {
+    const ref = (table) => files[`xl/tables/${table}.xml`].match(/<table\b[^>]*\bref="([^"]+)"/)[1]
+    expect(ref('table1')).toBe('A1:E10') // Players: 7 + 2
+    expect(ref('table2')).toBe('A1:F55') // Decks: 53 + 1
+    expect(ref('table3')).toBe('A1:E32') // Games: 30 + 1
+    expect(ref('table4')).toBe('A1:F124') // Game Players: 120 + 3
+    expect(ref('table5')).toBe('A1:G55') // Deck Dashboard: 53 + 1
+    expect(files['xl/tables/table4.xml']).toContain('<autoFilter ref="A1:F124"')
+    expect(files['xl/worksheets/sheet4.xml']).toContain('sqref="B2:B124"')
+  })
+
+  it('copies the row above: date format, lookups and all', () => {
+    const games = files['xl/worksheets/sheet3.xml']
+    expect(games).toMatch(/<c r="B32" s="4"><v>46143<\/v><\/c>/)
+    const seats = files['xl/worksheets/sheet4.xml']
+    expect(seats).toMatch(/<c r="C122" t="str" cm="1"><f t="array" ref="C122">_xlfn\.XLOOKUP/)
+    expect(seats).toContain(`<c r="C124" t="inlineStr"><is><t>${shane.id}</t></is></c>`)
+    expect(files['xl/workbook.xml']).toContain('<calcPr fullCalcOnLoad="1" calcId="191028"/>')
+  })
+})
+
+describe('matching the dashboard', () => {
+  const shown = before.sessions.map(s => s.id)
+
+  it('accepts a workbook holding the games on screen', () => {
+    expect(() => checkGames(readWorkbook(original), shown)).not.toThrow()
+  })
+
+  it('refuses one that lacks a game on screen, or has one the screen lacks', () => {
+    expect(() => checkGames(readWorkbook(original), [...shown, 'G099']))
+      .toThrow('doesn\'t match the dashboard (it lacks G099)')
+    expect(() => checkGames(readWorkbook(original), shown.slice(0, -1)))
+      .toThrow(`it has ${shown.at(-1)}, which the dashboard hasn't loaded`)
+  })
+
+  it('numbers the game and new decks from the workbook, not the screen', () => {
+    const logged = assignIds(readWorkbook(written), { ...entry, gameId: 'G001' })
+    expect(logged.gameId).toBe(nextId([...shown, gameId], 'G'))
+    expect(logged.newDecks[0].id).toBe(nextId([...before.decks.map(d => d.id), deckId], 'D'))
+    expect(logged.seats[1].deckId).toBe(logged.newDecks[0].id)
+    expect(logged.seats[0].deckId).toBe(nick.id)
+  })
+})